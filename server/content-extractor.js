@@ -0,0 +1,588 @@
+/**
+ * WordSurf - Content Extractor
+ * Readability-style main-content extraction for raw HTML pages
+ */
+
+// Elements whose content is never part of the article
+const REMOVED_TAGS = [
+    'script', 'style', 'noscript', 'svg', 'template', 'iframe', 'canvas',
+    'nav', 'footer', 'header', 'aside', 'form', 'button', 'select', 'dialog'
+];
+
+// Elements that never have a closing tag
+const VOID_TAGS = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+];
+
+// Elements whose text is treated as one paragraph of the article
+const BLOCK_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'pre', 'td', 'dd'];
+
+// Elements that can hold the main article body
+const CANDIDATE_TAGS = ['article', 'main', 'section', 'div', 'td', 'body'];
+
+// id/class/role hints for boilerplate (cookie banners, menus, share bars, etc.)
+const UNLIKELY_PATTERN = /cookie|consent|gdpr|banner|popup|modal|overlay|newsletter|subscribe|sidebar|breadcrumb|share|social|comment|advert|\bads?\b|promo|related|menu|navbar|masthead|skip-link|footer|header/i;
+
+// id/class hints that a node probably holds the article body
+const LIKELY_PATTERN = /article|content|main|body|entry|post|story|text|prose/i;
+
+// Links to files rather than pages
+const NON_PAGE_PATTERN = /\.(jpe?g|png|gif|svg|webp|ico|pdf|zip|gz|mp3|mp4|webm|css|js|json|xml|rss)$/i;
+
+// Minimum text length for a paragraph to count towards a candidate score
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// Highest code point String.fromCodePoint accepts
+const MAX_CODE_POINT = 0x10FFFF;
+
+// Named HTML entities we decode (numeric entities are handled generically)
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    ndash: '–',
+    mdash: '—',
+    lsquo: '‘',
+    rsquo: '’',
+    ldquo: '“',
+    rdquo: '”',
+    hellip: '…',
+    copy: '©',
+    reg: '®',
+    trade: '™'
+};
+
+const ContentExtractor = {
+    /**
+     * Extracts the main article content from an HTML page
+     * @param {string} html - Raw HTML of the page
+     * @param {string} url - URL the page was fetched from
+     * @returns {object} Extracted content in the {url, title, text} shape, plus
+     *                   markdown, the links found in the article body and its
+     *                   anchors ({text, url} in document order, for portals)
+     */
+    extract: function(html, url) {
+        const root = this.parseHtml(html || '');
+        const title = this.extractTitle(root) || url;
+
+        // Drop boilerplate before scoring so it can't win
+        this.removeBoilerplate(root);
+
+        // Pick the node that most likely holds the article body
+        const candidate = this.findTopCandidate(root) || root;
+
+        // Collect typed blocks from the winning node
+        const blocks = this.collectBlocks(candidate);
+
+        return {
+            url: url,
+            title: title,
+            text: blocks.map(block => block.text).join('\n\n'),
+            markdown: this.toMarkdown(blocks),
+            links: this.extractLinks(candidate, url),
+            anchors: this.extractAnchors(candidate, url)
+        };
+    },
+
+    /**
+     * Parses HTML into a lightweight element tree
+     * @param {string} html - Raw HTML
+     * @returns {object} Root node ({tag, attrs, children, parent})
+     */
+    parseHtml: function(html) {
+        const root = { tag: 'root', attrs: {}, children: [], parent: null };
+        const tokenRegex = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!doctype[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+|<)/gi;
+
+        // For finding closing tags of raw text elements; only ASCII is lower-cased
+        // so offsets still line up with html
+        const lowerHtml = html.replace(/[A-Z]+/g, letters => letters.toLowerCase());
+
+        let current = root;
+        let match;
+
+        while ((match = tokenRegex.exec(html)) !== null) {
+            const [token, closing, rawTag, rawAttrs, text] = match;
+
+            // Plain text (a lone '<' is treated as text too)
+            if (text !== undefined) {
+                current.children.push({ text: text, parent: current });
+                continue;
+            }
+
+            // Comments, CDATA and doctype carry no content
+            if (!rawTag) {
+                continue;
+            }
+
+            const tag = rawTag.toLowerCase();
+
+            if (closing) {
+                // Pop back to the matching open element, ignoring stray closing tags
+                let node = current;
+                while (node && node.tag !== tag) {
+                    node = node.parent;
+                }
+                if (node && node.parent) {
+                    current = node.parent;
+                }
+                continue;
+            }
+
+            const element = {
+                tag: tag,
+                attrs: this.parseAttributes(rawAttrs || ''),
+                children: [],
+                parent: current
+            };
+            current.children.push(element);
+
+            // Raw text elements: skip straight to their closing tag
+            if (tag === 'script' || tag === 'style') {
+                const closeIndex = lowerHtml.indexOf(`</${tag}`, tokenRegex.lastIndex);
+                tokenRegex.lastIndex = closeIndex === -1 ? html.length : closeIndex;
+                continue;
+            }
+
+            if (VOID_TAGS.includes(tag) || token.endsWith('/>')) {
+                continue;
+            }
+
+            current = element;
+        }
+
+        return root;
+    },
+
+    /**
+     * Parses an attribute string into a key/value map
+     * @param {string} rawAttrs - Attribute section of a start tag
+     * @returns {object} Attribute map with lower-case keys
+     */
+    parseAttributes: function(rawAttrs) {
+        const attrs = {};
+        const attrRegex = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        let match;
+
+        while ((match = attrRegex.exec(rawAttrs)) !== null) {
+            const value = match[2] !== undefined ? match[2] :
+                match[3] !== undefined ? match[3] :
+                match[4] !== undefined ? match[4] : '';
+            attrs[match[1].toLowerCase()] = this.decodeEntities(value);
+        }
+
+        return attrs;
+    },
+
+    /**
+     * Decodes HTML entities in a string
+     * Numeric references beyond the last Unicode code point are left as they are
+     * @param {string} text - Text with entities
+     * @returns {string} Decoded text
+     */
+    decodeEntities: function(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const value = code[1].toLowerCase() === 'x' ?
+                    parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return value <= MAX_CODE_POINT ? String.fromCodePoint(value) : entity;
+            }
+
+            const named = NAMED_ENTITIES[code.toLowerCase()];
+            return named !== undefined ? named : entity;
+        });
+    },
+
+    /**
+     * Finds the page title (og:title, then <title>, then the first <h1>)
+     * @param {object} root - Root node
+     * @returns {string} Title or empty string
+     */
+    extractTitle: function(root) {
+        const ogTitle = this.findAll(root, node =>
+            node.tag === 'meta' && (node.attrs.property === 'og:title' || node.attrs.name === 'twitter:title')
+        )[0];
+        if (ogTitle && ogTitle.attrs.content) {
+            return ogTitle.attrs.content.trim();
+        }
+
+        const titleNode = this.findAll(root, node => node.tag === 'title')[0];
+        if (titleNode) {
+            const title = this.getText(titleNode);
+            if (title) {
+                return title;
+            }
+        }
+
+        const heading = this.findAll(root, node => node.tag === 'h1')[0];
+        return heading ? this.getText(heading) : '';
+    },
+
+    /**
+     * Removes navigation, scripts, cookie banners and other boilerplate
+     * @param {object} root - Root node (modified in place)
+     */
+    removeBoilerplate: function(root) {
+        const walk = (node) => {
+            node.children = node.children.filter(child => {
+                if (!child.tag) {
+                    return true;
+                }
+                return !this.isBoilerplate(child);
+            });
+            node.children.forEach(child => {
+                if (child.tag) {
+                    walk(child);
+                }
+            });
+        };
+
+        walk(root);
+    },
+
+    /**
+     * Checks whether an element is boilerplate that should be dropped
+     * @param {object} node - Element node
+     * @returns {boolean} True if the element should be removed
+     */
+    isBoilerplate: function(node) {
+        if (REMOVED_TAGS.includes(node.tag)) {
+            return true;
+        }
+
+        // Never drop the document-level containers
+        if (node.tag === 'html' || node.tag === 'body' || node.tag === 'article' || node.tag === 'main') {
+            return false;
+        }
+
+        const role = (node.attrs.role || '').toLowerCase();
+        if (['navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'alertdialog', 'alert', 'menu'].includes(role)) {
+            return true;
+        }
+
+        if (node.attrs['aria-modal'] === 'true' || node.attrs.hidden !== undefined) {
+            return true;
+        }
+
+        const style = (node.attrs.style || '').replace(/\s+/g, '');
+        if (/display:none|visibility:hidden/i.test(style)) {
+            return true;
+        }
+
+        // Class/id hints, unless they also look like the article body
+        const hints = `${node.attrs.id || ''} ${node.attrs.class || ''}`;
+        return UNLIKELY_PATTERN.test(hints) && !LIKELY_PATTERN.test(hints);
+    },
+
+    /**
+     * Scores candidate containers by the paragraphs they hold and returns the best
+     * @param {object} root - Root node
+     * @returns {object|null} Best candidate node
+     */
+    findTopCandidate: function(root) {
+        const scores = new Map();
+
+        const addScore = (node, score) => {
+            if (!node || !CANDIDATE_TAGS.includes(node.tag)) {
+                return;
+            }
+            if (!scores.has(node)) {
+                scores.set(node, this.getInitialScore(node));
+            }
+            scores.set(node, scores.get(node) + score);
+        };
+
+        // Each paragraph votes for its parent and (with half weight) its grandparent
+        this.findAll(root, node => node.tag === 'p' || node.tag === 'pre' || node.tag === 'blockquote')
+            .forEach(paragraph => {
+                const text = this.getText(paragraph);
+                if (text.length < MIN_PARAGRAPH_LENGTH) {
+                    return;
+                }
+
+                const score = 1 + (text.split(/[,，、]/).length - 1) + Math.min(Math.floor(text.length / 100), 3);
+                addScore(paragraph.parent, score);
+                if (paragraph.parent) {
+                    addScore(paragraph.parent.parent, score / 2);
+                }
+            });
+
+        // Penalize candidates that are mostly links (menus, link lists)
+        let best = null;
+        let bestScore = 0;
+        scores.forEach((score, node) => {
+            const adjusted = score * (1 - this.getLinkDensity(node));
+            if (adjusted > bestScore) {
+                best = node;
+                bestScore = adjusted;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Gets a starting score for a candidate based on its tag and class/id hints
+     * @param {object} node - Candidate node
+     * @returns {number} Initial score
+     */
+    getInitialScore: function(node) {
+        let score = 0;
+
+        if (node.tag === 'article' || node.tag === 'main') {
+            score += 10;
+        } else if (node.tag === 'div') {
+            score += 5;
+        }
+
+        const hints = `${node.attrs.id || ''} ${node.attrs.class || ''}`;
+        if (LIKELY_PATTERN.test(hints)) {
+            score += 25;
+        }
+
+        return score;
+    },
+
+    /**
+     * Gets the share of a node's text that sits inside links
+     * @param {object} node - Element node
+     * @returns {number} Link density (0-1)
+     */
+    getLinkDensity: function(node) {
+        const textLength = this.getText(node).length;
+        if (textLength === 0) {
+            return 0;
+        }
+
+        const linkLength = this.findAll(node, child => child.tag === 'a')
+            .reduce((total, link) => total + this.getText(link).length, 0);
+
+        return Math.min(1, linkLength / textLength);
+    },
+
+    /**
+     * Collects typed text blocks from a container, in document order
+     * @param {object} container - Container node
+     * @returns {array} Blocks ({type, text, level}) where type is heading, paragraph,
+     *                  list-item, blockquote or code
+     */
+    collectBlocks: function(container) {
+        const blocks = [];
+
+        const walk = (node) => {
+            node.children.forEach(child => {
+                if (!child.tag) {
+                    return;
+                }
+
+                if (BLOCK_TAGS.includes(child.tag)) {
+                    // Skip link lists and other link-heavy blocks
+                    const text = child.tag === 'pre' ? this.getRawText(child) : this.getText(child);
+                    if (text.trim() && this.getLinkDensity(child) < 0.5) {
+                        blocks.push(this.createBlock(child.tag, text));
+                    }
+                    return;
+                }
+
+                walk(child);
+            });
+        };
+
+        walk(container);
+
+        // Pages without block markup: use the container's text as one paragraph
+        if (blocks.length === 0) {
+            const text = this.getText(container);
+            if (text) {
+                blocks.push(this.createBlock('p', text));
+            }
+        }
+
+        return blocks;
+    },
+
+    /**
+     * Creates a typed block for a block-level element
+     * @param {string} tag - Element tag
+     * @param {string} text - Block text
+     * @returns {object} Block ({type, text, level})
+     */
+    createBlock: function(tag, text) {
+        const heading = tag.match(/^h([1-6])$/);
+        if (heading) {
+            return { type: 'heading', text: text, level: parseInt(heading[1], 10) };
+        }
+
+        const types = { li: 'list-item', blockquote: 'blockquote', pre: 'code' };
+        return { type: types[tag] || 'paragraph', text: text, level: 0 };
+    },
+
+    /**
+     * Formats typed blocks as Markdown
+     * @param {array} blocks - Blocks from collectBlocks()
+     * @returns {string} Markdown
+     */
+    toMarkdown: function(blocks) {
+        return blocks.map(block => {
+            switch (block.type) {
+                case 'heading':
+                    return `${'#'.repeat(block.level)} ${block.text}`;
+                case 'list-item':
+                    return `- ${block.text}`;
+                case 'blockquote':
+                    return `> ${block.text}`;
+                case 'code':
+                    return '```\n' + block.text + '\n```';
+                default:
+                    return block.text;
+            }
+        }).join('\n\n');
+    },
+
+    /**
+     * Gets the text content of a node with whitespace preserved (for <pre>)
+     * @param {object} node - Any node
+     * @returns {string} Text content with trailing blank lines removed
+     */
+    getRawText: function(node) {
+        const parts = [];
+
+        const walk = (current) => {
+            if (current.text !== undefined) {
+                parts.push(current.text);
+                return;
+            }
+            if (current.tag === 'br') {
+                parts.push('\n');
+                return;
+            }
+            current.children.forEach(walk);
+        };
+
+        walk(node);
+
+        return this.decodeEntities(parts.join('')).replace(/^\n+|\s+$/g, '');
+    },
+
+    /**
+     * Gets the whitespace-normalized text content of a node
+     * @param {object} node - Any node
+     * @returns {string} Text content
+     */
+    getText: function(node) {
+        const parts = [];
+
+        const walk = (current) => {
+            if (current.text !== undefined) {
+                parts.push(current.text);
+                return;
+            }
+            if (current.tag === 'br') {
+                parts.push(' ');
+                return;
+            }
+            current.children.forEach(walk);
+        };
+
+        walk(node);
+
+        return this.decodeEntities(parts.join(''))
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Collects the page links under a node as absolute URLs
+     * Fragments are dropped, so links to sections of the same page collapse into one
+     * @param {object} node - Node to search under
+     * @param {string} baseUrl - URL the page was fetched from
+     * @returns {string[]} Unique http(s) URLs in document order
+     */
+    extractLinks: function(node, baseUrl) {
+        const links = [];
+        const seen = new Set();
+
+        this.findAll(node, child => child.tag === 'a' && child.attrs.href).forEach(anchor => {
+            const url = this.resolvePageUrl(anchor.attrs.href, baseUrl);
+            if (url && !seen.has(url)) {
+                seen.add(url);
+                links.push(url);
+            }
+        });
+
+        return links;
+    },
+
+    /**
+     * Collects the anchors under a node with their text, so links can be
+     * matched back to the words they were on
+     * @param {object} node - Node to search under
+     * @param {string} baseUrl - URL the page was fetched from
+     * @returns {object[]} Anchors ({text, url}) in document order, repeats included
+     */
+    extractAnchors: function(node, baseUrl) {
+        const anchors = [];
+
+        this.findAll(node, child => child.tag === 'a' && child.attrs.href).forEach(anchor => {
+            const url = this.resolvePageUrl(anchor.attrs.href, baseUrl);
+            const text = this.getText(anchor);
+            if (url && text) {
+                anchors.push({ text: text, url: url });
+            }
+        });
+
+        return anchors;
+    },
+
+    /**
+     * Resolves a link to an absolute page URL without its fragment
+     * @param {string} href - Link target
+     * @param {string} baseUrl - URL the page was fetched from
+     * @returns {string} http(s) URL, or '' for files, other schemes and invalid links
+     */
+    resolvePageUrl: function(href, baseUrl) {
+        let url;
+        try {
+            url = new URL(href.trim(), baseUrl);
+        } catch (error) {
+            return '';
+        }
+
+        if ((url.protocol !== 'http:' && url.protocol !== 'https:') || NON_PAGE_PATTERN.test(url.pathname)) {
+            return '';
+        }
+
+        url.hash = '';
+        return url.href;
+    },
+
+    /**
+     * Finds all descendant elements matching a predicate, in document order
+     * @param {object} node - Node to search under
+     * @param {Function} predicate - Test for each element
+     * @returns {object[]} Matching elements
+     */
+    findAll: function(node, predicate) {
+        const results = [];
+
+        const walk = (current) => {
+            current.children.forEach(child => {
+                if (!child.tag) {
+                    return;
+                }
+                if (predicate(child)) {
+                    results.push(child);
+                }
+                walk(child);
+            });
+        };
+
+        walk(node);
+        return results;
+    }
+};
+
+module.exports = ContentExtractor;
@@ -0,0 +1,448 @@
+/**
+ * WordSurf - Extraction Server
+ * Small local proxy that fetches a page and returns its main content
+ *
+ * Usage: node server/extraction-server.js [port]
+ * GET /extract?url=<page url>  ->  { url, title, text, markdown, links, anchors }
+ * GET /feed?url=<feed url>     ->  the feed's XML, for feeds without CORS headers
+ * GET /crawl?url=<start url>&maxPages=<n>&maxDepth=<n>
+ *                              ->  { url, pages: [{ url, title, text, markdown, depth, referrer, links, anchors }] }
+ *                                  (same-site pages, breadth first, within the limits)
+ *
+ * Only public web addresses are fetched: hosts that resolve to this machine or
+ * a private network are refused, redirects included, and so are hosts outside
+ * WORDSURF_ALLOWED_DOMAINS / inside WORDSURF_BLOCKED_DOMAINS (comma-separated,
+ * matched like CONFIG.safety.allowedDomains and blockedDomains in the game).
+ */
+
+const http = require('http');
+const dns = require('dns');
+const net = require('net');
+const ContentExtractor = require('./content-extractor');
+
+// Addresses that are never fetched: this machine, private networks, link-local,
+// shared (carrier-grade NAT), benchmarking, multicast and reserved ranges
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Reads a comma-separated list from an environment variable
+ * @param {string} value - Variable value
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+const readList = (value) => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+const ExtractionServer = {
+    // Server settings (overridable through environment variables)
+    config: {
+        port: parseInt(process.env.WORDSURF_PROXY_PORT, 10) || 8787,
+        host: process.env.WORDSURF_PROXY_HOST || '127.0.0.1',       // Only this machine can connect
+        allowedOrigins: readList(process.env.WORDSURF_PROXY_ORIGINS), // Pages that may call us ('*' for any); default: this machine's
+        allowedDomains: readList(process.env.WORDSURF_ALLOWED_DOMAINS),
+        blockedDomains: readList(process.env.WORDSURF_BLOCKED_DOMAINS),
+        maxRedirects: 5,                // Most redirects followed for one fetch
+        fetchTimeoutMs: 15000,          // Give up on slow pages after this long
+        maxPageBytes: 5 * 1024 * 1024,  // Refuse pages larger than this
+        maxCrawlPages: 25,              // Most pages a /crawl request may ask for
+        maxCrawlDepth: 3,               // Most link hops a /crawl request may ask for
+        userAgent: 'Mozilla/5.0 (compatible; WordSurfExtractor/1.0)'
+    },
+
+    // Node HTTP server instance
+    server: null,
+
+    /**
+     * Starts the server
+     * @param {number} port - Port to listen on (default: from config)
+     * @param {string} host - Address to listen on (default: from config)
+     * @returns {Promise<http.Server>} Listening server
+     */
+    start: function(port = this.config.port, host = this.config.host) {
+        this.server = http.createServer((request, response) => {
+            this.handleRequest(request, response).catch(error => {
+                console.error('Unhandled error in extraction server:', error);
+                this.sendJson(response, 500, { error: 'Internal server error' });
+            });
+        });
+
+        return new Promise(resolve => {
+            this.server.listen(port, host, () => {
+                console.log(`[WordSurf] Extraction server listening on http://${host}:${this.server.address().port}`);
+                resolve(this.server);
+            });
+        });
+    },
+
+    /**
+     * Stops the server
+     * @returns {Promise<void>}
+     */
+    stop: function() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            this.server.close(() => {
+                this.server = null;
+                resolve();
+            });
+        });
+    },
+
+    /**
+     * Routes an incoming request
+     * @param {http.IncomingMessage} request - Incoming request
+     * @param {http.ServerResponse} response - Outgoing response
+     */
+    handleRequest: async function(request, response) {
+        // Allow the game (served from another port) to call us
+        const origin = request.headers.origin;
+        if (origin && this.isAllowedOrigin(origin)) {
+            response.setHeader('Access-Control-Allow-Origin', origin);
+            response.setHeader('Vary', 'Origin');
+        }
+        response.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        const requestUrl = new URL(request.url, 'http://localhost');
+
+        if (request.method !== 'GET' || !['/extract', '/feed', '/crawl'].includes(requestUrl.pathname)) {
+            this.sendJson(response, 404, { error: 'Not found' });
+            return;
+        }
+
+        const targetUrl = requestUrl.searchParams.get('url');
+        if (!this.isValidTargetUrl(targetUrl)) {
+            this.sendJson(response, 400, { error: 'Missing or invalid url parameter' });
+            return;
+        }
+
+        try {
+            await this.checkTarget(targetUrl);
+        } catch (error) {
+            this.sendJson(response, 403, { error: `Refused: ${error.message}` });
+            return;
+        }
+
+        if (requestUrl.pathname === '/feed') {
+            await this.handleFeedRequest(targetUrl, response);
+            return;
+        }
+
+        if (requestUrl.pathname === '/crawl') {
+            const limits = this.getCrawlLimits(requestUrl.searchParams);
+            const result = await this.crawl(targetUrl, limits, () => response.destroyed);
+
+            if (result.pages.length === 0) {
+                this.sendJson(response, 422, { error: 'No readable pages found' });
+                return;
+            }
+
+            this.sendJson(response, 200, result);
+            return;
+        }
+
+        try {
+            const html = await this.fetchPage(targetUrl);
+            const content = ContentExtractor.extract(html, targetUrl);
+
+            if (!content.text) {
+                this.sendJson(response, 422, { error: 'No readable content found' });
+                return;
+            }
+
+            this.sendJson(response, 200, content);
+        } catch (error) {
+            console.error('Error extracting content:', error.message);
+            this.sendJson(response, 502, { error: `Could not fetch page: ${error.message}` });
+        }
+    },
+
+    /**
+     * Passes a feed's XML through unchanged
+     * @param {string} targetUrl - Feed URL
+     * @param {http.ServerResponse} response - Outgoing response
+     */
+    handleFeedRequest: async function(targetUrl, response) {
+        try {
+            const xml = await this.fetchPage(targetUrl);
+            response.writeHead(200, { 'Content-Type': 'application/xml; charset=utf-8' });
+            response.end(xml);
+        } catch (error) {
+            console.error('Error fetching feed:', error.message);
+            this.sendJson(response, 502, { error: `Could not fetch feed: ${error.message}` });
+        }
+    },
+
+    /**
+     * Reads crawl limits from the query string, capped by the server's own limits
+     * @param {URLSearchParams} params - Query parameters (maxPages, maxDepth)
+     * @returns {object} {maxPages, maxDepth}
+     */
+    getCrawlLimits: function(params) {
+        const read = (name, fallback, max) => {
+            const value = parseInt(params.get(name), 10);
+            return Math.min(Number.isFinite(value) && value >= 0 ? value : fallback, max);
+        };
+
+        return {
+            maxPages: Math.max(1, read('maxPages', 5, this.config.maxCrawlPages)),
+            maxDepth: read('maxDepth', 1, this.config.maxCrawlDepth)
+        };
+    },
+
+    /**
+     * Crawls same-site pages breadth first from a start URL
+     * Pages that fail or have no readable text are skipped; at most three
+     * fetches per requested page are made, so the crawl always ends
+     * @param {string} startUrl - Page to start from
+     * @param {object} limits - {maxPages, maxDepth}
+     * @param {Function} isCancelled - Returns true when the client has gone away
+     * @returns {Promise<object>} {url, pages}
+     */
+    crawl: async function(startUrl, limits, isCancelled = () => false) {
+        const start = new URL(startUrl);
+        start.hash = '';
+
+        const queue = [{ url: start.href, depth: 0, referrer: null }];
+        const queued = new Set([start.href]);
+        const pages = [];
+        const maxFetches = limits.maxPages * 3;
+        let fetches = 0;
+
+        while (queue.length > 0 && pages.length < limits.maxPages && fetches < maxFetches && !isCancelled()) {
+            const { url, depth, referrer } = queue.shift();
+            fetches++;
+
+            let content;
+            try {
+                content = ContentExtractor.extract(await this.fetchPage(url), url);
+            } catch (error) {
+                console.error(`Skipping ${url} in crawl:`, error.message);
+                continue;
+            }
+
+            const links = content.links.filter(link => new URL(link).origin === start.origin);
+
+            if (content.text) {
+                pages.push({
+                    url: url,
+                    title: content.title,
+                    text: content.text,
+                    markdown: content.markdown,
+                    depth: depth,
+                    referrer: referrer,
+                    links: links,
+                    anchors: content.anchors
+                });
+            }
+
+            if (depth < limits.maxDepth) {
+                links.forEach(link => {
+                    if (!queued.has(link)) {
+                        queued.add(link);
+                        queue.push({ url: link, depth: depth + 1, referrer: url });
+                    }
+                });
+            }
+        }
+
+        console.log(`[WordSurf] Crawled ${pages.length} page(s) from ${start.href} in ${fetches} fetch(es)`);
+        return { url: start.href, pages: pages };
+    },
+
+    /**
+     * Checks that a target URL is an absolute http(s) URL
+     * @param {string} targetUrl - URL to check
+     * @returns {boolean} True if the URL can be fetched
+     */
+    isValidTargetUrl: function(targetUrl) {
+        if (!targetUrl) {
+            return false;
+        }
+
+        try {
+            const parsed = new URL(targetUrl);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Checks whether a page from an origin may call the server
+     * Without WORDSURF_PROXY_ORIGINS, only pages served from this machine may
+     * @param {string} origin - Origin header of the request
+     * @returns {boolean} True if the origin is allowed
+     */
+    isAllowedOrigin: function(origin) {
+        if (this.config.allowedOrigins.length > 0) {
+            return this.config.allowedOrigins.includes('*') || this.config.allowedOrigins.includes(origin);
+        }
+
+        try {
+            const hostname = new URL(origin).hostname.replace(/^\[|\]$/g, '');
+            return hostname === 'localhost' || (net.isIP(hostname) !== 0 && this.isLoopbackAddress(hostname));
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Checks whether an IP address is this machine
+     * @param {string} address - IPv4 or IPv6 address
+     * @returns {boolean} True for loopback addresses
+     */
+    isLoopbackAddress: function(address) {
+        return address === '::1' || /^127\./.test(address);
+    },
+
+    /**
+     * Checks whether an IP address is this machine or on a private or reserved network
+     * @param {string} address - IPv4 or IPv6 address
+     * @returns {boolean} True if the address must not be fetched
+     */
+    isBlockedAddress: function(address) {
+        const family = net.isIP(address);
+        if (family === 0) {
+            return true;
+        }
+        return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    },
+
+    /**
+     * Checks that a URL may be fetched: its host passes the domain lists and
+     * every address it resolves to is public
+     * @param {string} targetUrl - Absolute http(s) URL
+     * @throws {Error} Saying why the URL is refused
+     */
+    checkTarget: async function(targetUrl) {
+        const parsed = new URL(targetUrl);
+        const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+        const matches = (domain) => {
+            const bare = domain.toLowerCase().replace(/^\*\./, '').replace(/\.$/, '');
+            return !!bare && (host === bare || host.endsWith('.' + bare));
+        };
+
+        if (parsed.username || parsed.password) {
+            throw new Error('addresses with a user name or password are not fetched');
+        }
+        if (this.config.blockedDomains.some(matches)) {
+            throw new Error(`${host} is on the blocked list`);
+        }
+        if (this.config.allowedDomains.length > 0 && !this.config.allowedDomains.some(matches)) {
+            throw new Error(`${host} is not on the allowed list`);
+        }
+
+        let addresses;
+        if (net.isIP(host) !== 0) {
+            addresses = [host];
+        } else {
+            try {
+                addresses = (await dns.promises.lookup(host, { all: true, verbatim: true })).map(entry => entry.address);
+            } catch (error) {
+                throw new Error(`${host} could not be resolved`);
+            }
+        }
+
+        if (addresses.length === 0 || addresses.some(address => this.isBlockedAddress(address))) {
+            throw new Error(`${host} is a local or private network address`);
+        }
+    },
+
+    /**
+     * Fetches a page's HTML
+     * Redirects are followed one at a time so each new address is checked too
+     * @param {string} targetUrl - URL to fetch
+     * @returns {Promise<string>} Page HTML
+     */
+    fetchPage: async function(targetUrl) {
+        const signal = AbortSignal.timeout(this.config.fetchTimeoutMs);
+        let url = targetUrl;
+        let response;
+
+        for (let redirects = 0; ; redirects++) {
+            await this.checkTarget(url);
+            response = await fetch(url, {
+                headers: {
+                    'User-Agent': this.config.userAgent,
+                    'Accept': 'text/html,application/xhtml+xml'
+                },
+                redirect: 'manual',
+                signal: signal
+            });
+
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status >= 400 || !location) {
+                break;
+            }
+            if (redirects >= this.config.maxRedirects) {
+                throw new Error('Too many redirects');
+            }
+
+            url = new URL(location, url).href;
+            if (!this.isValidTargetUrl(url)) {
+                throw new Error('Redirected to an unsupported address');
+            }
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType && !/html|xml|text\/plain/i.test(contentType)) {
+            throw new Error(`Unsupported content type ${contentType}`);
+        }
+
+        const contentLength = parseInt(response.headers.get('content-length'), 10);
+        if (contentLength > this.config.maxPageBytes) {
+            throw new Error('Page too large');
+        }
+
+        const html = await response.text();
+        if (html.length > this.config.maxPageBytes) {
+            throw new Error('Page too large');
+        }
+
+        return html;
+    },
+
+    /**
+     * Sends a JSON response
+     * @param {http.ServerResponse} response - Outgoing response
+     * @param {number} status - HTTP status code
+     * @param {object} body - Response body
+     */
+    sendJson: function(response, status, body) {
+        if (response.headersSent) {
+            response.end();
+            return;
+        }
+
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(body));
+    }
+};
+
+// Start the server when run directly
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || undefined;
+    ExtractionServer.start(port);
+}
+
+module.exports = ExtractionServer;
@@ -0,0 +1,204 @@
+/**
+ * WordSurf - Article Cache
+ * Persists processed article data in IndexedDB so replays skip the pipeline
+ */
+
+const ArticleCache = {
+    // IndexedDB settings
+    dbName: 'wordsurf',
+    storeName: 'articles',
+    dbVersion: 1,
+
+    // Promise for the open database (null result if IndexedDB is unavailable)
+    dbPromise: null,
+
+    /**
+     * Opens the cache database
+     * @returns {Promise<IDBDatabase|null>} Database, or null if caching is unavailable
+     */
+    open: function() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise(resolve => {
+            if (!CONFIG.cache.enabled || !window.indexedDB) {
+                Utils.debugLog('Article cache disabled or IndexedDB unavailable');
+                resolve(null);
+                return;
+            }
+
+            const request = window.indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+
+            request.onerror = () => {
+                console.error('Error opening article cache:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Runs a request against the articles store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} createRequest - Receives the store and returns an IDBRequest
+     * @returns {Promise<any>} Request result (undefined if caching is unavailable)
+     */
+    withStore: async function(mode, createRequest) {
+        const db = await this.open();
+        if (!db) {
+            return undefined;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Builds the cache key for a URL
+     * The key includes the pipeline version, the configured providers and the
+     * tone prompt so changing any of them invalidates old entries
+     * @param {string} url - Article URL
+     * @returns {string} Cache key
+     */
+    getKey: function(url) {
+        const signature = Utils.hashString(
+            JSON.stringify(CONFIG.pipeline.providers) + CONFIG.content.openAIPrompt
+        );
+        return `${url}#v${CONFIG.cache.pipelineVersion}-${signature}`;
+    },
+
+    /**
+     * Gets cached article data for a URL
+     * @param {string} url - Article URL
+     * @returns {Promise<object|null>} Article data, or null on a miss or expired entry
+     */
+    get: async function(url) {
+        try {
+            const key = this.getKey(url);
+            const record = await this.withStore('readonly', store => store.get(key));
+
+            if (!record) {
+                return null;
+            }
+
+            if (record.expiresAt <= Date.now()) {
+                Utils.debugLog('Cached article expired: ' + url);
+                await this.remove(key);
+                return null;
+            }
+
+            Utils.debugLog('Article cache hit: ' + url);
+            return record.articleData;
+        } catch (error) {
+            console.error('Error reading article cache:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Stores processed article data for a URL
+     * @param {string} url - Article URL
+     * @param {object} articleData - Processed article data
+     * @returns {Promise<void>}
+     */
+    put: async function(url, articleData) {
+        try {
+            const json = JSON.stringify(articleData);
+            const now = Date.now();
+
+            await this.withStore('readwrite', store => store.put({
+                key: this.getKey(url),
+                url: url,
+                title: (articleData.source && articleData.source.title) || url,
+                pipelineVersion: CONFIG.cache.pipelineVersion,
+                storedAt: now,
+                expiresAt: now + CONFIG.cache.ttlHours * 60 * 60 * 1000,
+                size: new Blob([json]).size,
+                words: this.countWords(articleData),
+                articleData: articleData
+            }));
+
+            Utils.debugLog('Article cached: ' + url);
+        } catch (error) {
+            console.error('Error writing article cache:', error);
+        }
+    },
+
+    /**
+     * Counts the words in processed article data
+     * @param {object} articleData - Processed article data
+     * @returns {number} Word count
+     */
+    countWords: function(articleData) {
+        return (articleData.paragraphs || []).reduce((total, paragraph) =>
+            total + (paragraph.sentences || []).reduce((sum, sentence) => sum + (sentence.length || 0), 0), 0);
+    },
+
+    /**
+     * Lists cached articles (without their article data)
+     * @returns {Promise<array>} Entries with key, url, title, size, words, storedAt and expiresAt
+     */
+    list: async function() {
+        try {
+            const records = await this.withStore('readonly', store => store.getAll()) || [];
+
+            return records
+                .map(record => ({
+                    key: record.key,
+                    url: record.url,
+                    title: record.title,
+                    size: record.size,
+                    words: record.words,
+                    storedAt: record.storedAt,
+                    expiresAt: record.expiresAt,
+                    isCurrent: record.key === this.getKey(record.url),
+                    isExpired: record.expiresAt <= Date.now()
+                }))
+                .sort((a, b) => b.storedAt - a.storedAt);
+        } catch (error) {
+            console.error('Error listing article cache:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Removes a cached entry
+     * @param {string} key - Cache key (from list())
+     * @returns {Promise<void>}
+     */
+    remove: async function(key) {
+        try {
+            await this.withStore('readwrite', store => store.delete(key));
+        } catch (error) {
+            console.error('Error removing cached article:', error);
+        }
+    },
+
+    /**
+     * Removes every cached entry
+     * @returns {Promise<void>}
+     */
+    clear: async function() {
+        try {
+            await this.withStore('readwrite', store => store.clear());
+        } catch (error) {
+            console.error('Error clearing article cache:', error);
+        }
+    }
+};
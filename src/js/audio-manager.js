@@ -22,6 +22,12 @@ const AudioManager = {
     // Flag to track if audio is enabled
     enabled: true,
     
+    // Aborts in-flight MiniMax requests (see cancelRequests)
+    abortController: null,
+    
+    // Language narrated in language-learning mode: 'source' or 'translation' (see setNarration)
+    narration: 'source',
+    
     /**
      * Initializes the audio manager
      */
@@ -36,11 +42,85 @@ const AudioManager = {
         
         // Set enabled state from config
         this.enabled = CONFIG.audio.enabled;
+        this.narration = CONFIG.translation.narrate === 'translation' ? 'translation' : 'source';
         
         // Clear cache and queue
         this.audioCache = {};
         this.audioQueue = [];
         this.activeSources = [];
+        this.abortController = new AbortController();
+    },
+    
+    /**
+     * Aborts in-flight audio requests and clears the preload queue
+     */
+    cancelRequests: function() {
+        this.audioQueue = [];
+        
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        this.abortController = new AbortController();
+    },
+    
+    /**
+     * Switches the narrated language in language-learning mode
+     * Audio already generated is kept, so switching back doesn't fetch it again
+     * @param {string} narration - 'source' (the article's language) or 'translation'
+     */
+    setNarration: function(narration) {
+        if (narration !== 'source' && narration !== 'translation') {
+            return;
+        }
+        
+        this.narration = narration;
+        this.stopAll();
+        Utils.debugLog(`Narrating in ${Utils.getLanguageName(this.getNarrationLanguage())}`);
+    },
+    
+    /**
+     * Checks whether sentences are narrated in translation
+     * @returns {boolean} True when narrating translations of a translated article
+     */
+    isNarratingTranslation: function() {
+        const articleData = ContentPipeline.articleData;
+        return this.narration === 'translation' && !!(articleData && articleData.translation);
+    },
+    
+    /**
+     * Gets the language being narrated
+     * @returns {string} Language code
+     */
+    getNarrationLanguage: function() {
+        if (this.isNarratingTranslation()) {
+            return ContentPipeline.articleData.translation.language;
+        }
+        
+        const articleData = ContentPipeline.articleData;
+        return (articleData && articleData.source && articleData.source.language) || 'en';
+    },
+    
+    /**
+     * Gets the text narrated for a sentence
+     * @param {object} sentence - Sentence object
+     * @returns {string} The sentence's translation when narrating translations, otherwise its text
+     *                   (words masked by the content filter are left out)
+     */
+    getNarrationText: function(sentence) {
+        if (this.isNarratingTranslation() && sentence.translation) {
+            return ContentFilter.getSpeakableText(sentence.translation, sentence.maskedTranslationWords);
+        }
+        return ContentFilter.getSpeakableText(sentence.text, sentence.maskedWords);
+    },
+    
+    /**
+     * Gets the audio cache key for a sentence (one entry per narrated language)
+     * @param {object} sentence - Sentence object
+     * @returns {string} Cache key
+     */
+    getCacheKey: function(sentence) {
+        const id = sentence.id || sentence.text;
+        return this.isNarratingTranslation() && sentence.translation ? `${this.getNarrationLanguage()}:${id}` : id;
     },
     
     /**
@@ -75,7 +155,8 @@ const AudioManager = {
         const sentence = this.audioQueue.shift();
         
         // Skip if already cached
-        if (this.audioCache[sentence.id || sentence.text]) {
+        const cacheKey = this.getCacheKey(sentence);
+        if (this.audioCache[cacheKey]) {
             // Continue with next sentence
             if (this.audioQueue.length > 0) {
                 this.processAudioQueue();
@@ -85,18 +166,24 @@ const AudioManager = {
         
         try {
             // Generate audio for the sentence
-            const audioBuffer = await this.generateAudio(sentence.text);
+            const text = this.getNarrationText(sentence);
+            const audioBuffer = await this.generateAudio(text);
             
             // Cache the audio
-            this.audioCache[sentence.id || sentence.text] = audioBuffer;
+            this.audioCache[cacheKey] = audioBuffer;
             
-            Utils.debugLog(`Audio generated for: ${sentence.text.substring(0, 30)}...`);
+            Utils.debugLog(`Audio generated for: ${text.substring(0, 30)}...`);
             
             // Continue with next sentence
             if (this.audioQueue.length > 0) {
                 this.processAudioQueue();
             }
         } catch (error) {
+            if (Utils.isAbortError(error)) {
+                Utils.debugLog('Audio request cancelled');
+                return;
+            }
+            
             console.error('Error generating audio:', error);
             
             // Continue with next sentence despite error
@@ -125,6 +212,7 @@ const AudioManager = {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${CONFIG.apiKeys.minimax}`
                 },
+                signal: this.abortController.signal,
                 body: JSON.stringify({
                     text: text,
                     model: 'speech-02-turbo',
@@ -154,6 +242,11 @@ const AudioManager = {
             return audioBuffer;
             
         } catch (error) {
+            // Cancelled requests don't fall back to Web Speech
+            if (Utils.isAbortError(error)) {
+                throw error;
+            }
+            
             console.error('Error calling MiniMax API:', error);
             
             // Fallback to Web Speech API if enabled
@@ -226,7 +319,7 @@ const AudioManager = {
             const sampleRate = this.audioContext ? this.audioContext.sampleRate : 44100;
             
             // Estimate duration based on text length (approx. 3 words per second)
-            const wordCount = text.split(/\s+/).length;
+            const wordCount = Utils.countWords(text);
             const durationSeconds = wordCount / 3;
             
             // Create buffer
@@ -256,13 +349,13 @@ const AudioManager = {
             return;
         }
         
-        const sentenceId = sentence.id || sentence.text;
+        const sentenceId = this.getCacheKey(sentence);
         
         // Check if audio is cached
         if (!this.audioCache[sentenceId]) {
             // Try to generate it now
             try {
-                this.audioCache[sentenceId] = await this.generateAudio(sentence.text);
+                this.audioCache[sentenceId] = await this.generateAudio(this.getNarrationText(sentence));
             } catch (error) {
                 console.error('Failed to generate audio for sentence:', error);
                 return;
@@ -321,8 +414,9 @@ const AudioManager = {
     /**
      * Speaks text using Web Speech API
      * @param {string} text - Text to speak
+     * @param {string} language - Language of the text (default: the narrated language)
      */
-    speakWithWebSpeech: function(text) {
+    speakWithWebSpeech: function(text, language = this.getNarrationLanguage()) {
         if (!this.speechSynthesis) {
             return;
         }
@@ -337,7 +431,7 @@ const AudioManager = {
         utterance.volume = CONFIG.audio.volume;
         utterance.rate = 1.0;
         utterance.pitch = 1.0;
-        utterance.lang = 'en-US';
+        utterance.lang = language === 'en' ? 'en-US' : language;
         
         // Speak
         this.speechSynthesis.speak(utterance);
@@ -346,14 +440,22 @@ const AudioManager = {
     /**
      * Plays audio for a word
      * @param {string} word - Word to play audio for
+     * @param {boolean} masked - Whether the content filter masked the word (see ContentFilter.isMaskedWord)
      */
-    playWord: function(word) {
+    playWord: function(word, masked = false) {
         if (!this.enabled) {
             return;
         }
         
+        // Masked words aren't spoken
+        if (masked) {
+            return;
+        }
+        
         // For simplicity, we'll just use Web Speech API for individual words
-        this.speakWithWebSpeech(word);
+        // (words on the platforms are always in the article's language)
+        const articleData = ContentPipeline.articleData;
+        this.speakWithWebSpeech(word, (articleData && articleData.source && articleData.source.language) || 'en');
     },
     
     /**
@@ -18,12 +18,57 @@ const CONFIG = {
         backgroundColor: 0x121212 // Background color (dark gray)
     },
     
+    // OpenAI tone requests (long articles are sent in chunks)
+    toneAnalysis: {
+        chunkSize: 40,            // Sentences per request
+        concurrency: 3,           // Requests in flight at once
+        maxRetries: 2,            // Extra attempts for chunks that failed
+        fuzzyMatchThreshold: 0.8  // Text similarity needed to match a score without a known ID
+    },
+    
+    // Curve families for platform surfaces (see curve-families.js)
+    curves: {
+        family: 'auto',           // 'auto' picks one per sentence from its tone, or a family name for every platform
+        maxSlope: 2.5,            // Steepest rise or drop on any surface (height per unit of length)
+        calmBelow: 0.25,          // Arousal below this is calm (ramps and step-downs)
+        intenseFrom: 0.65,        // Arousal from this up is intense (kickers and half-pipes)
+        complexFrom: 0.65         // Complexity from this up gets a spline
+    },
+    
+    // Reachability checks when platforms are placed (see layout-solver.js)
+    layout: {
+        checkReachability: true,  // Move platforms the player couldn't reach from the one before
+        frameRate: 60,            // Frames per second the solver simulates (the player's physics step once per frame)
+        takeoffRange: 3,          // Distance before a platform's end the solver tries jumping from
+        step: 0.5,                // Step when moving a platform
+        maxHeightShift: 3,        // Furthest a platform is moved up or down
+        maxOverlap: 2,            // Furthest a platform may slide under the end of the one before
+        maxFall: 30               // How far below the platforms an arc is followed
+    },
+    
+    // Level streaming: platforms are built as the player nears them (see level-streamer.js)
+    streaming: {
+        sentencesAhead: 3,        // Sentences built ahead of the player
+        sentencesBehind: 2,       // Sentences kept behind the player before they're disposed of
+        cellSize: 20              // Width of a cell in the spatial index used for collisions
+    },
+    
+    // How each tone dimension shapes a platform
+    tone: {
+        maxAmplitude: 5,          // Wave height at full arousal
+        maxFrequency: 3,          // Oscillations per platform at full complexity (1 when simple)
+        baseClimb: 35,            // Climb angle in degrees for neutral valence
+        valenceClimb: 15,         // Extra climb for positive valence (negative valence flattens)
+        maxThickness: 1.5         // Platform thickness at full complexity (minimum: game.minPlatformHeight)
+    },
+    
     // API Keys (replace with your actual keys in production)
     apiKeys: {
         apify: "",
         bemAI: "",
         openAI: "",
         minimax: "",
+        translation: "",          // Key for the translation endpoint (the openAI key is used when empty)
         browserbase: "YOUR_BROWSERBASE_KEY",
         aws: {
             region: "us-west-2",
@@ -38,34 +83,196 @@ const CONFIG = {
         apify: "https://api.apify.com/v2/acts/aYG0l9s7dbB7j3gbS/runs",
         bemAI: "https://api.bem.ai/",
         openAI: "https://api.openai.com/v1/chat/completions",
+        translation: "https://api.openai.com/v1/chat/completions", // Any OpenAI-compatible chat endpoint
         minimax: "https://api.minimaxi.chat/v1/t2a_v2",
-        browserbase: "https://api.browserbase.com/v1/sessions"
+        browserbase: "https://api.browserbase.com/v1/sessions",
+        extractionProxy: "http://localhost:8787/extract", // Local server (npm run proxy)
+        feedProxy: "http://localhost:8787/feed",          // Same server, for feeds without CORS headers
+        crawlProxy: "http://localhost:8787/crawl"         // Same server, for world mode crawls
+    },
+    
+    // Content pipeline providers (see content-providers.js for the registered names)
+    pipeline: {
+        providers: {
+            fetch: "apify",       // apify | extractionProxy | placeholder | mock
+            structure: "bemAI",   // bemAI | local | mock
+            tone: "openAI",       // openAI | lexicon | mock (openAI is skipped without an API key)
+            crawl: "apify",       // apify | extractionProxy | mock (world mode only)
+            translate: "openAI"   // openAI | stub | mock (language-learning mode only)
+        },
+        // Providers to try, in order, when the configured one fails
+        fallbacks: {
+            fetch: ["extractionProxy", "placeholder"],
+            structure: ["local"],
+            tone: ["lexicon"],
+            crawl: ["extractionProxy"],
+            translate: []
+        }
     },
     
     // Content Processing
     content: {
-        maxArticleLength: 10000,  // Maximum article length to process
+        maxArticleLength: 10000,  // Characters per level; longer articles are split into parts
         minSentenceLength: 3,     // Minimum words in a sentence to create a platform
         maxSentenceLength: 30,    // Maximum words in a sentence (longer will be split)
         defaultCurviness: 5,      // Default curviness if API fails
+        maxUploadBytes: 1048576,  // Largest .txt/.md file accepted from the start screen (1 MB)
+        maxLevelFileBytes: 10485760, // Largest .wordsurf.json level file accepted (10 MB)
+        language: 'auto',         // Language for sentence/word segmentation ('auto' detects from the script)
         
-        // OpenAI prompt for curviness analysis
+        // OpenAI prompt for tone analysis
         openAIPrompt: `
             You are an assistant that analyzes text tone.
-            Analyze the tone/mood of each sentence in the following article. Rate each sentence on a "curviness" scale from 0 to 10.
-            - 0 means the sentence is very neutral, flat, or factual in tone.
-            - 10 means the sentence is extremely dynamic, emotional, or intense in tone.
+            Analyze the tone/mood of each sentence in the following list on three dimensions:
+            - "valence": -1 (very negative) to 1 (very positive), 0 for neutral.
+            - "arousal": 0 (calm, flat, factual) to 1 (extremely dynamic, emotional or intense).
+            - "complexity": 0 (short, simple words) to 1 (long, dense, hard to read).
+            Provide the results as a JSON array where each element has:
+              "id": <the sentence id, exactly as given>,
+              "valence": <number from -1 to 1>,
+              "arousal": <number from 0 to 1>,
+              "complexity": <number from 0 to 1>.
+            Include one element for every sentence id in the list.
+            Do NOT include any extra text or explanations besides the JSON.
+            
+            Sentences (JSON array of {"id", "text"}):
+            {sentences}
+        `,
+        
+        // Prompt for translating sentences (language-learning mode)
+        translationPrompt: `
+            Translate each sentence in the following list into {language}.
+            Keep the meaning and tone; translate names only where {language} has its own form of them.
             Provide the results as a JSON array where each element has:
-              "sentence": <the original sentence text>,
-              "curviness": <score from 0 to 10 (number)>.
-            Include every sentence from the article in order. Use the exact sentences as they appear.
+              "id": <the sentence id, exactly as given>,
+              "translation": <the translated sentence>.
+            Include one element for every sentence id in the list.
             Do NOT include any extra text or explanations besides the JSON.
             
-            Article Text:
-            {articleText}
+            Sentences (JSON array of {"id", "text"}):
+            {sentences}
+        `,
+        
+        // Follow-up sent when a tone response fails validation
+        toneRepairPrompt: `
+            Your previous reply had these problems:
+            {errors}
+            Reply with only the corrected JSON array: one element per sentence id, each with
+            "id", "valence" (-1 to 1), "arousal" (0 to 1) and "complexity" (0 to 1). No other text.
         `
     },
     
+    // Crawl limits, so a fetch never turns into an open-ended site crawl
+    crawl: {
+        article: {                // Fetching a single article
+            maxDepth: 0,          // Link hops from the start URL
+            maxPages: 1           // Pages fetched
+        },
+        world: {                  // World mode (each page becomes a level)
+            maxDepth: 2,
+            maxPages: 8
+        },
+        maxConcurrency: 5         // Pages Apify fetches at once
+    },
+    
+    // Language-learning mode: every sentence also gets a translation, shown under its platform text
+    translation: {
+        enabled: false,           // Translate sentences (the "Translate into" option on the start screen)
+        targetLanguage: 'es',     // Language to translate into (ISO 639-1 code)
+        model: 'gpt-4o-mini',     // Model asked for translations
+        chunkSize: 40,            // Sentences per request
+        concurrency: 3,           // Requests in flight at once
+        narrate: 'source',        // Language narrated at the start: 'source' or 'translation'
+        textColor: '#263238'      // Colour of the translation line on the front of each platform
+    },
+    
+    // Karaoke-style highlighting of platform text as the player surfs it
+    highlight: {
+        enabled: true,
+        surfedColor: '#00897b',   // Words already surfed
+        currentColor: '#ffffff',  // The current word (the one just spoken)...
+        currentBackground: '#ff7043' // ...outlined in this colour
+    },
+    
+    // Platform text, drawn from a shared signed-distance-field glyph atlas (see glyph-atlas.js)
+    text: {
+        atlasSize: 2048,          // Width and height of the atlas texture (one byte per pixel, so 4 MB)
+        glyphSize: 32,            // Font size glyphs are rasterized at
+        sdfRadius: 10,            // Distance field reach around each glyph (pixels); outlines can't be wider
+        outlineWidth: 0.15,       // White outline around platform text (em)
+        emphasisWidth: 0.22       // Outline around the highlighted word (em)
+    },
+    
+    // RSS/Atom feed playlists
+    playlist: {
+        maxEntries: 50,           // Entries read from a feed
+        autoAdvanceSeconds: 5     // Countdown on the end screen before the next entry starts
+    },
+    
+    // Document structure (headings, lists, quotes and code blocks)
+    structure: {
+        maxCodeLines: 12,         // Code lines per block that become grind rails
+        stoneWords: 3,            // Words per list-item stepping stone
+        stoneGap: 0.8,            // Gap between stepping stones
+        stoneStep: 0.5,           // Drop between stepping stones
+        clauseGap: 1,             // Gap between the linked sub-platforms of a long sentence
+        clauseStep: 1,            // Drop between the linked sub-platforms of a long sentence
+        gateHeight: 4             // Height of a top-level heading gate
+    },
+    
+    // Difficulty rating from the article's readability (see readability.js) and the layout each rating plays with
+    difficulty: {
+        easyBelow: 0.3,           // Readability scores (0-1) below this rate easy
+        hardFrom: 0.6,            // Scores from this up rate hard
+        layouts: {
+            // gap between platforms, descent per platform, and game.jumpForce / game.playerSpeed multipliers
+            easy:   { gap: 1.5, descent: 3.5, jumpScale: 1.1,  speedScale: 0.9 },
+            normal: { gap: 2,   descent: 5,   jumpScale: 1,    speedScale: 1 },
+            hard:   { gap: 3,   descent: 6.5, jumpScale: 0.95, speedScale: 1.2 }
+        }
+    },
+    
+    // Keyword collectibles (key terms from the article, see keywords.js)
+    keywords: {
+        enabled: true,
+        sentencesPerTerm: 3,      // One term per this many sentences...
+        maxTerms: 25,             // ...and at most this many per article
+        entityBoost: 1.5,         // Score multiplier for names (capitalised words mid-sentence)
+        minPoints: 20,            // Points for a term found in every sentence
+        maxPoints: 100,           // Points for a term found in only one sentence
+        height: 1.4,              // Height of a token above its words (a small jump reaches it)
+        collectRadius: 0.7,       // How close the player must get to collect a token
+        color: 0xffd54f
+    },
+    
+    // Safety policy for classroom and kiosk deployments (see content-filter.js)
+    safety: {
+        allowedDomains: [],       // When not empty, only these domains (and their subdomains) can be played
+        blockedDomains: [],       // Domains (and their subdomains) that can never be played, e.g. "example.com"
+        blockPrivateHosts: false, // Refuse localhost and private network addresses
+        textFilter: true,         // Mask profanity and skip unsafe sentences before a level is built
+        profanityAction: 'mask',  // 'mask' the words or 'skip' the whole sentence
+        extraProfanity: [],       // More words to treat as profanity (lower case)
+        extraUnsafeTerms: []      // More words or phrases that take a sentence out of the level
+    },
+    
+    // Hyperlink portals (links in an article open the linked article as a nested level)
+    portals: {
+        enabled: true,
+        height: 1.3,              // Height of a portal ring's centre above the linked words
+        radius: 0.7,              // Ring radius (rings are stretched to cover the linked words)
+        triggerHeight: 0.9,       // Player must be this far above the words (i.e. jumping) to enter
+        maxDepth: 3,              // Most portals nested inside each other
+        color: 0xe040fb
+    },
+    
+    // Processed article cache (IndexedDB)
+    cache: {
+        enabled: true,
+        ttlHours: 168,            // Cached articles expire after a week
+        pipelineVersion: 5        // Bump when pipeline output changes to invalidate old entries
+    },
+    
     // Audio settings
     audio: {
         enabled: true,
@@ -80,6 +287,7 @@ const CONFIG = {
         showFPS: false,           // Show FPS counter
         skipApis: false,          // Skip all API calls and use mock data
         skipBemAI: false,          // Skip only BEM AI API calls (useful for CORS issues)
+        showJumpArcs: false,      // Draw the layout solver's predicted jump arcs (Ctrl+J)
         logApiCalls: true         // Log API requests and responses
     }
 };
@@ -0,0 +1,378 @@
+/**
+ * WordSurf - Content Filter
+ * Safety policy for classroom and kiosk deployments: which URLs may be played
+ * (allow/deny domain lists, see CONFIG.safety) and a text filter that masks
+ * profanity and skips sentences with unsafe content before a level is built
+ */
+
+// Words masked in platform text ("d***"); inflections ("-s", "-ed", "-ing", ...) are matched too
+const PROFANITY_TERMS = new Set(`
+    arse arsehole asshole bastard bitch bollocks bullshit crap cunt damn dick dickhead
+    fag faggot fuck fucker fucking goddamn jackass motherfucker nigger piss pussy shit
+    shitty slut twat wanker whore
+`.trim().split(/\s+/));
+
+// Words and phrases that take a whole sentence out of the level
+const UNSAFE_TERMS = [
+    'porn', 'porno', 'pornography', 'pornographic', 'hentai', 'xxx', 'nude', 'nudes', 'rape', 'raped',
+    'kill yourself', 'kill myself', 'suicide method', 'how to make a bomb', 'self harm', 'self-harm',
+    'cut myself', 'buy drugs', 'beheading'
+];
+
+// Endings stripped when looking a word up in PROFANITY_TERMS
+const PROFANITY_SUFFIXES = ['s', 'es', 'ed', 'er', 'ers', 'ing', 'y', 'in'];
+
+const ContentFilter = {
+    /**
+     * Checks a URL against the safety policy
+     * Only http(s) URLs without embedded credentials are accepted; then a host
+     * on CONFIG.safety.blockedDomains is refused, and when allowedDomains is
+     * set, so is every host not on it
+     * @param {string} url - URL typed by the player or found in content
+     * @returns {object} {allowed, reason} (reason says why a URL was refused)
+     */
+    checkUrl: function(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return { allowed: false, reason: 'it is not a valid web address' };
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return { allowed: false, reason: 'only http and https addresses can be played' };
+        }
+        if (parsed.username || parsed.password) {
+            return { allowed: false, reason: 'addresses with a user name or password are not allowed' };
+        }
+
+        const host = parsed.hostname.toLowerCase().replace(/\.$/, '');
+        if (CONFIG.safety.blockPrivateHosts && this.isPrivateHost(host)) {
+            return { allowed: false, reason: 'local and private network addresses are blocked' };
+        }
+        if (CONFIG.safety.blockedDomains.some(domain => this.matchesDomain(host, domain))) {
+            return { allowed: false, reason: `${host} is on the blocked list` };
+        }
+        if (CONFIG.safety.allowedDomains.length > 0 &&
+            !CONFIG.safety.allowedDomains.some(domain => this.matchesDomain(host, domain))) {
+            return { allowed: false, reason: `${host} is not on the allowed list` };
+        }
+
+        return { allowed: true, reason: '' };
+    },
+
+    /**
+     * Checks whether a host is a domain or one of its subdomains
+     * @param {string} host - Lower-case host name
+     * @param {string} domain - Domain from the policy ("example.com" or "*.example.com")
+     * @returns {boolean} True if the domain covers the host
+     */
+    matchesDomain: function(host, domain) {
+        const bare = String(domain).trim().toLowerCase().replace(/^\*\./, '').replace(/\.$/, '');
+        return !!bare && (host === bare || host.endsWith('.' + bare));
+    },
+
+    /**
+     * Checks whether a host is this machine or on a private network
+     * @param {string} host - Lower-case host name (IPv6 addresses in brackets, as in URL.hostname)
+     * @returns {boolean} True for localhost and private, loopback, link-local and shared (CGNAT) addresses
+     */
+    isPrivateHost: function(host) {
+        if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local')) {
+            return true;
+        }
+
+        // Only IPv6 addresses have colons; domain names like fdic.gov must not match their ranges
+        if (host.startsWith('[') || host.includes(':')) {
+            const hextets = this.parseIPv6(host.replace(/^\[|\]$/g, ''));
+            if (!hextets) {
+                return false;
+            }
+
+            // IPv4-mapped addresses (::ffff:a.b.c.d) reach the IPv4 host
+            if (hextets.slice(0, 5).every(hextet => hextet === 0) && hextets[5] === 0xffff) {
+                return this.isPrivateIPv4([hextets[6] >> 8, hextets[6] & 0xff, hextets[7] >> 8, hextets[7] & 0xff]);
+            }
+
+            // Unspecified (::) and loopback (::1), unique local (fc00::/7) and link-local (fe80::/10)
+            return (hextets.slice(0, 7).every(hextet => hextet === 0) && hextets[7] <= 1) ||
+                (hextets[0] & 0xfe00) === 0xfc00 || (hextets[0] & 0xffc0) === 0xfe80;
+        }
+
+        const octets = host.split('.').map(Number);
+        return octets.length === 4 && octets.every(octet => Number.isInteger(octet)) && this.isPrivateIPv4(octets);
+    },
+
+    /**
+     * Checks whether an IPv4 address is this machine or on a private network
+     * @param {number[]} octets - The address's four octets
+     * @returns {boolean} True for "this network" (0/8), private (10/8, 172.16/12, 192.168/16),
+     *                    shared (100.64/10), loopback (127/8) and link-local (169.254/16) addresses
+     */
+    isPrivateIPv4: function(octets) {
+        const [a, b] = octets;
+        return a === 0 || a === 10 || a === 127 || (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+    },
+
+    /**
+     * Parses an IPv6 address into its eight 16-bit groups
+     * @param {string} address - Address without brackets ("::" and a dotted IPv4 tail allowed)
+     * @returns {number[]|null} Groups, or null if it isn't a valid address
+     */
+    parseIPv6: function(address) {
+        const halves = address.split('::');
+        if (halves.length > 2) {
+            return null;
+        }
+
+        const toHextets = part => {
+            if (!part) {
+                return [];
+            }
+            const hextets = [];
+            part.split(':').forEach(group => {
+                if (group.includes('.')) {
+                    const octets = group.split('.').map(octet => /^\d{1,3}$/.test(octet) ? Number(octet) : NaN);
+                    const valid = octets.length === 4 && octets.every(octet => octet <= 255);
+                    hextets.push(valid ? (octets[0] << 8) | octets[1] : NaN, valid ? (octets[2] << 8) | octets[3] : NaN);
+                } else {
+                    hextets.push(/^[0-9a-f]{1,4}$/.test(group) ? parseInt(group, 16) : NaN);
+                }
+            });
+            return hextets;
+        };
+
+        const head = toHextets(halves[0]);
+        const tail = halves.length === 2 ? toHextets(halves[1]) : [];
+        const missing = 8 - head.length - tail.length;
+        if (halves.length === 2 ? missing < 1 : missing !== 0) {
+            return null;
+        }
+
+        const hextets = head.concat(new Array(missing).fill(0), tail);
+        return hextets.some(hextet => Number.isNaN(hextet)) ? null : hextets;
+    },
+
+    /**
+     * Filters a level's sentences: portals to URLs the policy refuses are
+     * removed and, with CONFIG.safety.textFilter, sentences with unsafe content
+     * (or, with profanityAction 'skip', profanity) are left out and profanity is masked
+     * The sentences themselves aren't changed, so the cached article stays complete
+     * @param {array} sentences - Sentences of the level
+     * @returns {object} {sentences (filtered copies), report (see createReport)}
+     */
+    filterSentences: function(sentences) {
+        const report = this.createReport();
+        const filtered = [];
+
+        sentences.forEach(sentence => {
+            const check = CONFIG.safety.textFilter ? this.checkText(sentence.text) : { profanity: [], unsafe: [] };
+
+            const skip = check.unsafe.length > 0 ||
+                (check.profanity.length > 0 && CONFIG.safety.profanityAction === 'skip');
+            if (skip) {
+                report.skippedSentences++;
+                report.items.push({
+                    id: sentence.id,
+                    action: 'skipped',
+                    category: check.unsafe.length > 0 ? 'unsafe' : 'profanity',
+                    count: check.unsafe.length + check.profanity.length
+                });
+                return;
+            }
+
+            const copy = { ...sentence };
+
+            if (check.profanity.length > 0) {
+                const masked = this.maskText(sentence.text);
+                copy.text = masked.text;
+                report.maskedSentences++;
+                report.maskedWords += masked.count;
+                report.items.push({ id: sentence.id, action: 'masked', category: 'profanity', count: masked.count });
+
+                // Narration leaves these words out (see getSpeakableText)
+                copy.maskedWords = masked.wordIndices;
+
+                // No gem over a masked word
+                if (Array.isArray(sentence.keywords)) {
+                    copy.keywords = sentence.keywords.filter(keyword =>
+                        !masked.wordIndices.some(index => index >= keyword.wordStart && index < keyword.wordEnd));
+                }
+            }
+
+            if (copy.translation && CONFIG.safety.textFilter) {
+                const maskedTranslation = this.maskText(copy.translation);
+                copy.translation = maskedTranslation.text;
+                if (maskedTranslation.count > 0) {
+                    copy.maskedTranslationWords = maskedTranslation.wordIndices;
+                }
+            }
+
+            if (Array.isArray(sentence.links)) {
+                copy.links = sentence.links.filter(link => this.checkUrl(link.url).allowed);
+                if (copy.links.length < sentence.links.length) {
+                    report.removedLinks += sentence.links.length - copy.links.length;
+                    report.items.push({
+                        id: sentence.id,
+                        action: 'unlinked',
+                        category: 'url',
+                        count: sentence.links.length - copy.links.length
+                    });
+                }
+            }
+
+            filtered.push(copy);
+        });
+
+        if (report.items.length > 0) {
+            Utils.debugLog('Content filter report:', report);
+        }
+
+        return { sentences: filtered, report: report };
+    },
+
+    /**
+     * Creates an empty filter report
+     * @returns {object} {skippedSentences, maskedSentences, maskedWords, removedLinks,
+     *                    items: [{id, action ('skipped', 'masked' or 'unlinked'), category, count}]}
+     */
+    createReport: function() {
+        return { skippedSentences: 0, maskedSentences: 0, maskedWords: 0, removedLinks: 0, items: [] };
+    },
+
+    /**
+     * Describes a filter report in one line
+     * @param {object} report - Report from filterSentences
+     * @returns {string} Summary, or '' when nothing was filtered
+     */
+    summarizeReport: function(report) {
+        const parts = [];
+        if (report.skippedSentences > 0) {
+            parts.push(`${report.skippedSentences} sentence(s) skipped`);
+        }
+        if (report.maskedWords > 0) {
+            parts.push(`${report.maskedWords} word(s) masked`);
+        }
+        if (report.removedLinks > 0) {
+            parts.push(`${report.removedLinks} link(s) to blocked sites removed`);
+        }
+
+        return parts.length > 0 ? `Content filter: ${parts.join(', ')}` : '';
+    },
+
+    /**
+     * Finds the profanity and unsafe terms in a text
+     * @param {string} text - Text to check
+     * @returns {object} {profanity: [words], unsafe: [terms]}
+     */
+    checkText: function(text) {
+        const words = (text.toLowerCase().match(/[\p{L}\p{N}'’]+/gu) || [])
+            .map(word => word.replace(/['’]/g, ''));
+        const normalized = ` ${words.join(' ')} `;
+
+        const unsafeTerms = UNSAFE_TERMS.concat(CONFIG.safety.extraUnsafeTerms);
+        const unsafe = unsafeTerms.filter(term => {
+            const phrase = term.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).join(' ');
+            return phrase && normalized.includes(` ${phrase} `);
+        });
+
+        return {
+            profanity: words.filter(word => this.isProfanity(word)),
+            unsafe: unsafe
+        };
+    },
+
+    /**
+     * Checks whether a word (or its stem: "shitty" -> "shit") is profanity
+     * @param {string} word - Lower-case word without apostrophes
+     * @returns {boolean} True if the word is on the profanity list
+     */
+    isProfanity: function(word) {
+        if (PROFANITY_TERMS.has(word) || CONFIG.safety.extraProfanity.includes(word)) {
+            return true;
+        }
+
+        return PROFANITY_SUFFIXES.some(suffix => {
+            if (!word.endsWith(suffix) || word.length - suffix.length < 3) {
+                return false;
+            }
+            const stem = word.slice(0, -suffix.length);
+            return PROFANITY_TERMS.has(stem) || CONFIG.safety.extraProfanity.includes(stem) ||
+                PROFANITY_TERMS.has(stem.replace(/(.)\1$/, '$1'));
+        });
+    },
+
+    /**
+     * Masks the profanity in a text, keeping each word's first letter and length
+     * ("shit" -> "s***"), so word counts and positions don't change
+     * @param {string} text - Text to mask
+     * @returns {object} {text, count, wordIndices (indices in Utils.splitIntoWords of the masked words)}
+     */
+    maskText: function(text) {
+        const words = Utils.splitIntoWords(text);
+        const wordIndices = [];
+        const maskedWords = words.map((word, index) => {
+            let changed = false;
+            const masked = word.replace(/[\p{L}\p{N}'’]+/gu, part => {
+                if (!this.isProfanity(part.toLowerCase().replace(/['’]/g, ''))) {
+                    return part;
+                }
+                changed = true;
+                const letters = Array.from(part);
+                return letters[0] + '*'.repeat(letters.length - 1);
+            });
+            if (changed) {
+                wordIndices.push(index);
+            }
+            return masked;
+        });
+
+        if (wordIndices.length === 0) {
+            return { text: text, count: 0, wordIndices: wordIndices };
+        }
+
+        // Replace word by word so the text keeps its own spacing and punctuation
+        let result = '';
+        let position = 0;
+        words.forEach((word, index) => {
+            const start = text.indexOf(word, position);
+            if (start < 0) {
+                return;
+            }
+            result += text.slice(position, start) + maskedWords[index];
+            position = start + word.length;
+        });
+        result += text.slice(position);
+
+        return { text: result, count: wordIndices.length, wordIndices: wordIndices };
+    },
+
+    /**
+     * Drops the words maskText masked from text before it's spoken, so
+     * narration doesn't read out the mask; other text (even with asterisks,
+     * like "A* search") is spoken as it is
+     * @param {string} text - Filtered text
+     * @param {number[]} maskedWords - Indices in Utils.splitIntoWords of the masked words
+     *                                 (a sentence's maskedWords or maskedTranslationWords)
+     * @returns {string} Text to speak
+     */
+    getSpeakableText: function(text, maskedWords) {
+        if (!CONFIG.safety.textFilter || !Array.isArray(maskedWords) || maskedWords.length === 0) {
+            return text;
+        }
+
+        return TextSegmenter.joinWords(Utils.splitIntoWords(text).filter((word, index) => !maskedWords.includes(index)));
+    },
+
+    /**
+     * Checks whether a word of a filtered sentence was masked
+     * @param {object} sentence - Sentence from filterSentences
+     * @param {number} wordIndex - Index in Utils.splitIntoWords of the sentence text
+     * @returns {boolean} True if the word was masked
+     */
+    isMaskedWord: function(sentence, wordIndex) {
+        return CONFIG.safety.textFilter && !!sentence && Array.isArray(sentence.maskedWords) &&
+            sentence.maskedWords.includes(wordIndex);
+    }
+};
@@ -7,6 +7,16 @@ const ContentPipeline = {
     // Store the processed article data
     articleData: null,
     
+    // Level-sized parts of the article (see paginate) and the part being played
+    parts: [],
+    currentPart: 0,
+    
+    // Aborts the load in progress (see cancel)
+    abortController: null,
+    
+    // Listeners for pipeline events (see on)
+    eventListeners: [],
+    
     /**
      * Initializes the content pipeline
      */
@@ -17,38 +27,159 @@ const ContentPipeline = {
     /**
      * Processes a URL through the entire pipeline
      * @param {string} url - URL to process
+     * @param {object} options - Processing options
+     * @param {boolean} options.refresh - Ignore the article cache and re-run the pipeline
+     * @returns {Promise<object>} Processed article data
+     */
+    processUrl: async function(url, options = {}) {
+        return this.processSource(url, (signal) => this.fetchArticleContent(url, signal), options);
+    },
+    
+    /**
+     * Processes user-supplied text (pasted or uploaded) through the structure and tone stages
+     * @param {string} text - Plain text or Markdown
+     * @param {object} options - Processing options
+     * @param {string} options.title - Title to show for the text (optional)
+     * @param {string} options.format - 'text' or 'markdown' (detected if omitted)
+     * @param {boolean} options.refresh - Ignore the article cache and re-run the pipeline
      * @returns {Promise<object>} Processed article data
      */
-    processUrl: async function(url) {
+    processText: async function(text, options = {}) {
+        if (!text || !text.trim()) {
+            throw new Error('No text to process');
+        }
+        
+        const format = options.format || (Markdown.looksLikeMarkdown(text) ? 'markdown' : 'text');
+        
+        // Identical text maps to the same cache entry
+        const sourceUrl = `text:${Utils.hashString(text)}`;
+        
+        return this.processSource(
+            sourceUrl,
+            async () => this.createTextContent(text, sourceUrl, format, options.title),
+            options
+        );
+    },
+    
+    /**
+     * Builds fetch-stage content from user-supplied text
+     * @param {string} text - Plain text or Markdown
+     * @param {string} sourceUrl - Pseudo-URL identifying the text
+     * @param {string} format - 'text' or 'markdown'
+     * @param {string} title - Title for the text (optional)
+     * @returns {object} Article content ({url, title, text, format, markdown})
+     */
+    createTextContent: function(text, sourceUrl, format, title) {
+        const content = {
+            url: sourceUrl,
+            title: title,
+            format: format,
+            text: text
+        };
+        
+        if (format === 'markdown') {
+            const blocks = Markdown.parseBlocks(text);
+            content.markdown = text;
+            content.text = blocks.map(block => block.text).join('\n\n');
+            
+            // Use the first heading as the title if none was given
+            const heading = blocks.find(block => block.type === 'heading');
+            if (!content.title && heading) {
+                content.title = heading.text;
+            }
+        }
+        
+        // Fall back to the first line of text
+        if (!content.title) {
+            const firstLine = content.text.trim().split('\n')[0];
+            content.title = firstLine.length > 60 ? firstLine.substring(0, 57) + '...' : firstLine;
+        }
+        
+        return content;
+    },
+    
+    /**
+     * Runs content through the pipeline stages, using the article cache when possible
+     * @param {string} sourceUrl - URL (or pseudo-URL) identifying the content
+     * @param {Function} loadContent - Async function receiving an AbortSignal and returning fetch-stage content
+     * @param {object} options - Processing options ({refresh})
+     * @returns {Promise<object>} Processed article data
+     */
+    processSource: async function(sourceUrl, loadContent, options = {}) {
+        // Mock data is never cached
+        const useCache = !(CONFIG.debug.enabled && CONFIG.debug.skipApis);
+        const signal = this.startLoad();
+        
         try {
-            Utils.updateLoadingProgress(10, 'Fetching article content...');
+            // Check the cache first (a hit skips the whole pipeline)
+            if (useCache && !options.refresh) {
+                const cachedData = await this.runStage('cache', signal,
+                    () => ArticleCache.get(sourceUrl),
+                    data => data ? 'Found a cached copy' : 'Not cached yet'
+                );
+                
+                if (cachedData) {
+                    // Cached before translation was switched on (or in another language): translate and re-save
+                    if (this.needsTranslation(cachedData)) {
+                        const translatedData = await this.runStage('translate', signal,
+                            () => this.translateContent(cachedData, signal),
+                            data => this.summarizeTranslation(data)
+                        );
+                        this.setArticleData(translatedData);
+                        if (translatedData.translation) {
+                            await this.runStage('save', signal, () => ArticleCache.put(sourceUrl, translatedData));
+                        }
+                        return translatedData;
+                    }
+                    
+                    this.setArticleData(cachedData);
+                    return cachedData;
+                }
+            }
+            
+            // Step 1: Fetch article content (see CONFIG.pipeline.providers)
+            const articleContent = await this.runStage('fetch', signal, () => loadContent(signal));
             
-            // Step 1: Fetch article content using Apify
-            const articleContent = await this.fetchArticleContent(url);
-            Utils.updateLoadingProgress(30, 'Structuring content...');
+            // Step 2: Structure the content into paragraphs and sentences
+            const structuredContent = await this.runStage('structure', signal,
+                () => this.structureContent(articleContent, sourceUrl, signal)
+            );
             
-            // Step 2: Structure the content using BEM AI
-            const structuredContent = await this.structureContent(articleContent, url);
-            Utils.updateLoadingProgress(60, 'Analyzing tone...');
+            // Step 3: Analyze tone and assign curviness
+            const contentWithCurviness = await this.runStage('tone', signal,
+                () => this.analyzeTone(structuredContent, signal)
+            );
             
-            // Step 3: Analyze tone and assign curviness using OpenAI
-            const contentWithCurviness = await this.analyzeTone(structuredContent);
-            Utils.updateLoadingProgress(90, 'Finalizing...');
+            // Step 4: Translate every sentence (language-learning mode)
+            const processedContent = this.needsTranslation(contentWithCurviness) ?
+                await this.runStage('translate', signal,
+                    () => this.translateContent(contentWithCurviness, signal),
+                    data => this.summarizeTranslation(data)
+                ) :
+                contentWithCurviness;
             
             // Store the processed data
-            this.articleData = contentWithCurviness;
+            this.setArticleData(processedContent);
+            
+            // Cache it for replays, translations included (placeholder content is not worth keeping)
+            if (useCache && !articleContent.isPlaceholder) {
+                await this.runStage('save', signal, () => ArticleCache.put(sourceUrl, processedContent));
+            }
             
-            Utils.updateLoadingProgress(100, 'Ready!');
-            return contentWithCurviness;
+            return processedContent;
             
         } catch (error) {
-            console.error('Error processing URL:', error);
-            Utils.updateLoadingProgress(100, 'Error loading content');
+            if (signal.aborted) {
+                Utils.debugLog('Content loading cancelled');
+                throw error;
+            }
+            
+            console.error('Error processing content:', error);
             
             // If debug mode is enabled and we're skipping APIs, return mock data
             if (CONFIG.debug.enabled && CONFIG.debug.skipApis) {
-                const mockData = await this.generateMockArticleData(url);
-                this.articleData = mockData;
+                const mockData = await this.generateMockArticleData(sourceUrl);
+                this.setArticleData(mockData);
                 return mockData;
             }
             
@@ -57,128 +188,366 @@ const ContentPipeline = {
     },
     
     /**
-     * Fetches article content using Apify
-     * @param {string} url - URL to fetch
-     * @returns {Promise<object>} Article content
+     * Crawls a site for world mode with the configured crawl provider, within CONFIG.crawl.world
+     * @param {string} url - Start URL
+     * @returns {Promise<object>} Crawl ({url, pages: [{url, title, text, markdown, depth, referrer, links}]})
      */
-    fetchArticleContent: async function(url) {
-        // If debug mode is enabled and we're skipping APIs, return mock data
-        if (CONFIG.debug.enabled && CONFIG.debug.skipApis) {
-            return Utils.generateMockResponse('apify', { url });
-        }
+    crawlSite: async function(url) {
+        const signal = this.startLoad();
+        const limits = CONFIG.crawl.world;
         
+        return this.runStage('crawl', signal,
+            () => ContentProviders.run('crawl', { url, limits, signal }),
+            crawl => `${crawl.pages.length} page(s) found`
+        );
+    },
+    
+    /**
+     * Processes one crawled page (world mode); its text is already fetched, so
+     * only the structure and tone stages run
+     * @param {object} page - Crawled page ({url, title, text, markdown, anchors})
+     * @param {object} options - Processing options ({refresh})
+     * @returns {Promise<object>} Processed article data
+     */
+    processCrawledPage: async function(page, options = {}) {
+        return this.processSource(page.url, async () => ({
+            url: page.url,
+            title: page.title,
+            text: page.text,
+            markdown: page.markdown,
+            anchors: page.anchors
+        }), options);
+    },
+    
+    /**
+     * Runs one pipeline stage, emitting stage-start and stage-finish events around it
+     * @param {string} stage - Stage name (cache, fetch, structure, tone, translate, save, level, crawl)
+     * @param {AbortSignal} signal - Signal of the current load
+     * @param {Function} task - Async function doing the stage's work
+     * @param {Function} summarize - Turns the result into a message for stage-finish (optional)
+     * @returns {Promise<any>} Result of the task
+     */
+    runStage: async function(stage, signal, task, summarize) {
+        signal.throwIfAborted();
+        this.emit({ type: 'stage-start', stage: stage });
+        
+        let result;
         try {
-            Utils.debugLog('Starting Apify content extraction for: ' + url);
+            result = await task();
             
-            // Make a single call to Apify with waitForFinish=true to wait for the result
-            const response = await fetch(`${CONFIG.endpoints.apify}?token=${CONFIG.apiKeys.apify}&waitForFinish=300`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    "startUrls": [
-                        {
-                            "url": url
-                        }
-                    ],
-                    "useSitemaps": false,
-                    "respectRobotsTxtFile": true,
-                    "crawlerType": "playwright:adaptive",
-                    "includeUrlGlobs": [],
-                    "excludeUrlGlobs": [],
-                    "keepUrlFragments": false,
-                    "ignoreCanonicalUrl": false,
-                    "maxCrawlDepth": 20,
-                    "maxCrawlPages": 9999999,
-                    "initialConcurrency": 0,
-                    "maxConcurrency": 200,
-                    "initialCookies": [],
-                    "proxyConfiguration": {
-                        "useApifyProxy": true
-                    },
-                    "maxSessionRotations": 10,
-                    "maxRequestRetries": 5,
-                    "requestTimeoutSecs": 60,
-                    "minFileDownloadSpeedKBps": 128,
-                    "dynamicContentWaitSecs": 10,
-                    "waitForSelector": "",
-                    "softWaitForSelector": "",
-                    "maxScrollHeightPixels": 5000,
-                    "keepElementsCssSelector": "",
-                    "removeElementsCssSelector": "nav, footer, script, style, noscript, svg, img[src^='data:'], [role=\"alert\"], [role=\"banner\"], [role=\"dialog\"], [role=\"alertdialog\"], [role=\"region\"][aria-label*=\"skip\" i], [aria-modal=\"true\"]",
-                    "removeCookieWarnings": true,
-                    "expandIframes": true,
-                    "clickElementsCssSelector": "[aria-expanded=\"false\"]",
-                    "htmlTransformer": "readableText",
-                    "readableTextCharThreshold": 100,
-                    "aggressivePrune": false,
-                    "debugMode": false,
-                    "debugLog": false,
-                    "saveHtml": false,
-                    "saveHtmlAsFile": false,
-                    "saveMarkdown": true,
-                    "saveFiles": false,
-                    "saveScreenshots": false,
-                    "maxResults": 9999999,
-                    "clientSideMinChangePercentage": 15,
-                    "renderingTypeDetectionPercentage": 10
-                })
+            // Work that ignores the signal (cache, mocks) still stops here
+            signal.throwIfAborted();
+        } catch (error) {
+            this.emit({
+                type: 'stage-finish',
+                stage: stage,
+                status: signal.aborted ? 'cancelled' : 'failed',
+                reason: error.message
             });
-            
-            if (!response.ok) {
-                throw new Error(`Apify API error: ${response.status}`);
+            throw error;
+        }
+        
+        this.emit({
+            type: 'stage-finish',
+            stage: stage,
+            status: 'done',
+            message: summarize ? summarize(result) : undefined
+        });
+        return result;
+    },
+    
+    /**
+     * Starts a new load, cancelling any load still in progress
+     * @returns {AbortSignal} Signal that aborts when the load is cancelled
+     */
+    startLoad: function() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        
+        this.abortController = new AbortController();
+        return this.abortController.signal;
+    },
+    
+    /**
+     * Cancels the load in progress, aborting its in-flight requests
+     */
+    cancel: function() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    },
+    
+    /**
+     * Subscribes to pipeline events:
+     *   {type: 'stage-start', stage}
+     *   {type: 'stage-progress', stage, progress (0-1, optional), provider (optional), message}
+     *   {type: 'stage-fallback', stage, provider, reason}
+     *   {type: 'stage-finish', stage, status ('done', 'failed' or 'cancelled'), message or reason}
+     * @param {Function} listener - Called with each event
+     * @returns {Function} Unsubscribes the listener
+     */
+    on: function(listener) {
+        this.eventListeners.push(listener);
+        
+        return () => {
+            this.eventListeners = this.eventListeners.filter(other => other !== listener);
+        };
+    },
+    
+    /**
+     * Sends an event to every listener
+     * @param {object} event - Pipeline event (see on)
+     */
+    emit: function(event) {
+        Utils.debugLog('Pipeline event:', event);
+        
+        this.eventListeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in pipeline event listener:', error);
             }
-            
-            const runData = await response.json();
-            
-            // If the run has finished, get the dataset items directly
-            if (runData.data && runData.data.status === 'SUCCEEDED') {
-                Utils.debugLog('Apify run completed successfully, fetching results');
-                
-            const datasetResponse = await fetch(`https://api.apify.com/v2/actor-runs/${runData.data.id}/dataset/items?token=${CONFIG.apiKeys.apify}`);
-                
-            const items = await datasetResponse.json();
-            if (items && items.length > 0) {
-                // Log the Apify response structure
-                Utils.debugLog('Apify response structure:', items[0]);
+        });
+    },
+    
+    /**
+     * Fetches article content with the configured fetch provider
+     * @param {string} url - URL to fetch
+     * @param {AbortSignal} signal - Aborts the request (optional)
+     * @returns {Promise<object>} Article content
+     */
+    fetchArticleContent: async function(url, signal) {
+        return ContentProviders.run('fetch', { url, signal });
+    },
+    
+    /**
+     * Fetches article content using Apify
+     * @param {string} url - URL to fetch
+     * @param {AbortSignal} signal - Aborts the request (optional)
+     * @returns {Promise<object>} Article content
+     */
+    fetchFromApify: async function(url, signal) {
+        Utils.debugLog('Starting Apify content extraction for: ' + url);
+        
+        const items = await this.runApifyCrawl(url, CONFIG.crawl.article, signal);
+        
+        // Log the Apify response structure
+        Utils.debugLog('Apify response structure:', items[0]);
+        
+        // Log the content text
+        if (items[0].text) {
+            Utils.debugLog('Apify content text sample:', items[0].text.substring(0, 200) + '...');
+            Utils.debugLog('Apify content text length:', items[0].text.length);
+        } else {
+            Utils.debugLog('Warning: No text field found in Apify response');
+        }
+        
+        return items[0]; // Get the first item
+    },
+    
+    /**
+     * Crawls same-site pages for world mode using Apify
+     * @param {string} url - Start URL
+     * @param {object} limits - {maxDepth, maxPages}
+     * @param {AbortSignal} signal - Aborts the requests (optional)
+     * @returns {Promise<object>} Crawl ({url, pages: [{url, title, text, markdown, depth, referrer, links}]})
+     */
+    crawlWithApify: async function(url, limits, signal) {
+        Utils.debugLog(`Starting Apify crawl for ${url} (${limits.maxPages} pages, depth ${limits.maxDepth})`);
+        
+        const items = await this.runApifyCrawl(url, { ...limits, sameSite: true }, signal);
+        
+        return {
+            url: url,
+            pages: items.map(item => {
+                const crawl = item.crawl || {};
+                const pageUrl = crawl.loadedUrl || item.url;
                 
-                // Log the content text
-                if (items[0].text) {
-                    Utils.debugLog('Apify content text sample:', items[0].text.substring(0, 200) + '...');
-                    Utils.debugLog('Apify content text length:', items[0].text.length);
-                } else {
-                    Utils.debugLog('Warning: No text field found in Apify response');
+                return {
+                    url: pageUrl,
+                    title: (item.metadata && item.metadata.title) || item.title || pageUrl,
+                    text: item.text || '',
+                    markdown: item.markdown || '',
+                    depth: crawl.depth || 0,
+                    referrer: crawl.referrerUrl || null,
+                    links: Markdown.extractLinks(item.markdown, pageUrl)
+                };
+            })
+        };
+    },
+    
+    /**
+     * Runs the Apify website content crawler and returns its dataset items
+     * @param {string} url - Start URL
+     * @param {object} limits - {maxDepth, maxPages, sameSite} (see CONFIG.crawl)
+     * @param {AbortSignal} signal - Aborts the requests (optional)
+     * @returns {Promise<array>} Dataset items (at least one)
+     */
+    runApifyCrawl: async function(url, limits, signal) {
+        // Make a single call to Apify with waitForFinish=true to wait for the result
+        const response = await fetch(`${CONFIG.endpoints.apify}?token=${CONFIG.apiKeys.apify}&waitForFinish=300`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: signal,
+            body: JSON.stringify(this.buildApifyInput(url, limits))
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Apify API error: ${response.status}`);
+        }
+        
+        const runData = await response.json();
+        
+        // If the run has finished, get the dataset items directly
+        if (!runData.data || runData.data.status !== 'SUCCEEDED') {
+            throw new Error('Apify run did not complete within the timeout period');
+        }
+        
+        Utils.debugLog('Apify run completed successfully, fetching results');
+        
+        const datasetResponse = await fetch(`https://api.apify.com/v2/actor-runs/${runData.data.id}/dataset/items?token=${CONFIG.apiKeys.apify}&limit=${limits.maxPages}`, {
+            signal: signal
+        });
+        
+        const items = await datasetResponse.json();
+        if (!items || items.length === 0) {
+            throw new Error('No items found in Apify dataset');
+        }
+        
+        return items;
+    },
+    
+    /**
+     * Builds the Apify crawler input
+     * @param {string} url - Start URL
+     * @param {object} limits - {maxDepth, maxPages, sameSite}; sameSite allows
+     *                          any page on the start URL's origin, not just below its path
+     * @returns {object} Actor input
+     */
+    buildApifyInput: function(url, limits) {
+        return {
+            "startUrls": [
+                {
+                    "url": url
                 }
-                
-                return items[0]; // Get the first item
-            } else {
-                throw new Error('No items found in Apify dataset');
-            }
-            } else {
-                throw new Error('Apify run did not complete within the timeout period');
-            }
-            
-        } catch (error) {
-            console.error('Error fetching article content:', error);
-            
-            // Fallback: Use a simple client-side extraction
-            return this.fallbackContentExtraction(url);
+            ],
+            "useSitemaps": false,
+            "respectRobotsTxtFile": true,
+            "crawlerType": "playwright:adaptive",
+            "includeUrlGlobs": limits.sameSite ? [{ "glob": `${new URL(url).origin}/**` }] : [],
+            "excludeUrlGlobs": [],
+            "keepUrlFragments": false,
+            "ignoreCanonicalUrl": false,
+            "maxCrawlDepth": limits.maxDepth,
+            "maxCrawlPages": limits.maxPages,
+            "initialConcurrency": 0,
+            "maxConcurrency": CONFIG.crawl.maxConcurrency,
+            "initialCookies": [],
+            "proxyConfiguration": {
+                "useApifyProxy": true
+            },
+            "maxSessionRotations": 10,
+            "maxRequestRetries": 5,
+            "requestTimeoutSecs": 60,
+            "minFileDownloadSpeedKBps": 128,
+            "dynamicContentWaitSecs": 10,
+            "waitForSelector": "",
+            "softWaitForSelector": "",
+            "maxScrollHeightPixels": 5000,
+            "keepElementsCssSelector": "",
+            "removeElementsCssSelector": "nav, footer, script, style, noscript, svg, img[src^='data:'], [role=\"alert\"], [role=\"banner\"], [role=\"dialog\"], [role=\"alertdialog\"], [role=\"region\"][aria-label*=\"skip\" i], [aria-modal=\"true\"]",
+            "removeCookieWarnings": true,
+            "expandIframes": true,
+            "clickElementsCssSelector": "[aria-expanded=\"false\"]",
+            "htmlTransformer": "readableText",
+            "readableTextCharThreshold": 100,
+            "aggressivePrune": false,
+            "debugMode": false,
+            "debugLog": false,
+            "saveHtml": false,
+            "saveHtmlAsFile": false,
+            "saveMarkdown": true,
+            "saveFiles": false,
+            "saveScreenshots": false,
+            "maxResults": limits.maxPages,
+            "clientSideMinChangePercentage": 15,
+            "renderingTypeDetectionPercentage": 10
+        };
+    },
+    
+    /**
+     * Fetches article content through the local extraction server
+     * @param {string} url - URL to fetch
+     * @param {AbortSignal} signal - Aborts the request (optional)
+     * @returns {Promise<object>} Article content
+     */
+    fetchFromExtractionProxy: async function(url, signal) {
+        if (!CONFIG.endpoints.extractionProxy) {
+            throw new Error('Extraction proxy endpoint not configured');
+        }
+        
+        Utils.debugLog('Fetching content through extraction proxy for: ' + url);
+        
+        const response = await fetch(`${CONFIG.endpoints.extractionProxy}?url=${encodeURIComponent(url)}`, {
+            signal: signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Extraction proxy error: ${response.status}`);
         }
+        
+        const content = await response.json();
+        
+        if (!content || !content.text) {
+            throw new Error('Extraction proxy returned no text');
+        }
+        
+        Utils.debugLog('Extraction proxy content text length:', content.text.length);
+        
+        return content;
     },
     
     /**
-     * Fallback method to extract content if Apify fails
+     * Crawls same-site pages through the local extraction server (world mode)
+     * @param {string} url - Start URL
+     * @param {object} limits - {maxDepth, maxPages}
+     * @param {AbortSignal} signal - Aborts the request (optional)
+     * @returns {Promise<object>} Crawl ({url, pages})
+     */
+    crawlWithExtractionProxy: async function(url, limits, signal) {
+        if (!CONFIG.endpoints.crawlProxy) {
+            throw new Error('Extraction proxy crawl endpoint not configured');
+        }
+        
+        const query = `url=${encodeURIComponent(url)}&maxPages=${limits.maxPages}&maxDepth=${limits.maxDepth}`;
+        const response = await fetch(`${CONFIG.endpoints.crawlProxy}?${query}`, {
+            signal: signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Extraction proxy crawl error: ${response.status}`);
+        }
+        
+        const crawl = await response.json();
+        
+        if (!crawl || !Array.isArray(crawl.pages) || crawl.pages.length === 0) {
+            throw new Error('Extraction proxy crawl returned no pages');
+        }
+        
+        return crawl;
+    },
+    
+    /**
+     * Last-resort fallback that returns placeholder content for a URL
      * @param {string} url - URL to extract content from
      * @returns {Promise<object>} Extracted content
      */
     fallbackContentExtraction: async function(url) {
         try {
-            // Create a proxy request to avoid CORS issues
-            // Note: In a real implementation, you would need a server-side proxy
-            // For this demo, we'll simulate a response
-            
-            Utils.debugLog('Using fallback content extraction');
+            Utils.debugLog('Using placeholder fallback content');
             
             // Extract a title from the URL
             let title = 'Article';
@@ -215,6 +584,7 @@ const ContentPipeline = {
             return {
                 url: url,
                 title: title,
+                isPlaceholder: true,
                 text: "This is fallback content. The original article could not be fetched. This text is generated as a placeholder. Each sentence will become a platform in the game. The content extraction API returned an error or invalid data. We're using this text instead to ensure the game functions properly."
             };
         } catch (error) {
@@ -224,71 +594,101 @@ const ContentPipeline = {
             return {
                 url: url,
                 title: 'Article',
+                isPlaceholder: true,
                 text: "Fallback content. Unable to fetch article. This is emergency fallback text to prevent the game from crashing."
             };
         }
     },
     
     /**
-     * Structures content using BEM AI
-     * @param {object} articleContent - Article content from Apify
+     * Structures content with the configured structure provider
+     * @param {object} articleContent - Article content from the fetch stage
      * @param {string} url - Original URL
+     * @param {AbortSignal} signal - Aborts provider requests (optional)
      * @returns {Promise<object>} Structured content
      */
-    structureContent: async function(articleContent, url) {
-        // Log the article content received from Apify
+    structureContent: async function(articleContent, url, signal) {
+        // Log the article content received from the fetch stage
         Utils.debugLog('Article content received for structuring:', {
             url: articleContent.url,
             title: articleContent.title,
             textLength: articleContent.text ? articleContent.text.length : 0
         });
-        // If debug mode is enabled and we're skipping all APIs or specifically BEM AI, return mock data or use fallback
-        if (CONFIG.debug.enabled && (CONFIG.debug.skipApis || CONFIG.debug.skipBemAI)) {
-            if (CONFIG.debug.skipApis) {
-                Utils.debugLog('Skipping BEM AI API call (skipApis enabled) - using mock data');
-                return Utils.generateMockResponse('bemAI', { url });
-            } else {
-                Utils.debugLog('Skipping BEM AI API call (skipBemAI enabled) - using fallback method');
-                return this.fallbackStructureContent(articleContent, url);
-            }
-        }
         
-        try {
-            Utils.debugLog('Making BEM AI API call for content structuring');
-            
-            const response = await fetch(CONFIG.endpoints.bemAI, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': CONFIG.apiKeys.bemAI
-                },
-                body: JSON.stringify({
-                    text: articleContent.text,
-                    metadata: {
-                        url: articleContent.url,
-                        title: articleContent.title,
-                        retrievedAt: new Date().toISOString()
+        const structuredContent = await ContentProviders.run('structure', { articleContent, url, signal });
+        
+        // Tone scores are matched to sentences by ID, and not every provider sets them
+        this.assignSentenceIds(structuredContent);
+        
+        // Keep the article's links on the words they were on (they become portals)
+        this.attachLinks(structuredContent, this.getAnchors(articleContent, url));
+        
+        return structuredContent;
+    },
+    
+    /**
+     * Gives sentences without an ID (or with one already taken) an ID of their
+     * own: s<position in the article> as in fallbackStructureContent, or the
+     * next free number after it
+     * @param {object} structuredContent - Structured content (modified in place)
+     */
+    assignSentenceIds: function(structuredContent) {
+        const usedIds = new Set();
+        let sentenceIndex = 0;
+        
+        (structuredContent.paragraphs || []).forEach(paragraph => {
+            (paragraph.sentences || []).forEach(sentence => {
+                if (sentence.id === undefined || sentence.id === null || usedIds.has(String(sentence.id))) {
+                    let number = sentenceIndex;
+                    while (usedIds.has(`s${number}`)) {
+                        number++;
                     }
-                })
+                    sentence.id = `s${number}`;
+                }
+                
+                usedIds.add(String(sentence.id));
+                sentenceIndex++;
             });
-            
-            if (!response.ok) {
-                throw new Error(`BEM AI API error: ${response.status}`);
-            }
-            
-            return await response.json();
-            
-        } catch (error) {
-            console.error('Error structuring content:', error);
-            
-            // Fallback: Structure the content client-side
-            return this.fallbackStructureContent(articleContent, url);
+        });
+    },
+    
+    /**
+     * Structures content using BEM AI
+     * @param {object} articleContent - Article content from the fetch stage
+     * @param {string} url - Original URL
+     * @param {AbortSignal} signal - Aborts the request (optional)
+     * @returns {Promise<object>} Structured content
+     */
+    structureWithBemAI: async function(articleContent, url, signal) {
+        Utils.debugLog('Making BEM AI API call for content structuring');
+        
+        const response = await fetch(CONFIG.endpoints.bemAI, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': CONFIG.apiKeys.bemAI
+            },
+            signal: signal,
+            body: JSON.stringify({
+                text: articleContent.text,
+                metadata: {
+                    url: articleContent.url,
+                    title: articleContent.title,
+                    retrievedAt: new Date().toISOString()
+                }
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`BEM AI API error: ${response.status}`);
         }
+        
+        return await response.json();
     },
     
     /**
-     * Fallback method to structure content if BEM AI fails
-     * @param {object} articleContent - Article content from Apify
+     * Structures content client-side (used when BEM AI is unavailable)
+     * @param {object} articleContent - Article content from the fetch stage
      * @param {string} url - Original URL
      * @returns {object} Structured content
      */
@@ -311,51 +711,64 @@ const ContentPipeline = {
         const text = articleContent.text || 
             "No content available. This is fallback text generated when the article couldn't be retrieved properly.";
         
-        // Split the text into sentences
-        const sentences = Utils.splitIntoSentences(text);
+        // Detect the language once so every block is segmented the same way
+        const language = TextSegmenter.detectLocale(text);
         
-        // Log the sentences extracted
-        Utils.debugLog(`Split content into ${sentences.length} sentences`);
-        if (sentences.length > 0) {
-            Utils.debugLog('First few sentences:', sentences.slice(0, 3));
-        }
+        // Work out the typed blocks (heading, paragraph, list-item, blockquote, code)
+        let blocks;
         
-        // Group sentences into paragraphs (here we just create one paragraph per sentence)
-        // This ensures each sentence is treated individually
-        const paragraphs = [];
+        if (articleContent.markdown) {
+            // Markdown (uploaded, or from Apify/the extraction proxy) keeps its document structure
+            blocks = Markdown.parseBlocks(articleContent.markdown);
+        } else if (articleContent.format === 'text') {
+            // User-supplied plain text: blank lines separate paragraphs
+            blocks = text.split(/\n\s*\n/)
+                .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+                .filter(paragraph => paragraph.length > 0)
+                .map(paragraph => ({ type: 'paragraph', text: paragraph, level: 0 }));
+        } else {
+            // Scraped text: one paragraph per sentence
+            // This ensures each sentence is treated individually
+            blocks = Utils.splitIntoSentences(text, language)
+                .map(sentence => ({ type: 'paragraph', text: sentence, level: 0 }));
+        }
         
-        sentences.forEach((sentence) => {
-            paragraphs.push(sentence);
-        });
+        // Markdown with no usable blocks: fall back to the plain text
+        if (blocks.length === 0) {
+            blocks = [{ type: 'paragraph', text: text, level: 0 }];
+        }
         
-        Utils.debugLog(`Created ${paragraphs.length} paragraphs from ${sentences.length} sentences`);
+        Utils.debugLog(`Created ${blocks.length} blocks`);
         
         // Create the structured content
         const structuredContent = {
             source: {
                 url: url,
                 title: articleContent.title,
+                language: language,
                 retrievedAt: new Date().toISOString()
             },
             paragraphs: []
         };
         
-        // Add each sentence as its own paragraph
-        // This ensures each sentence gets its own wave object
-        paragraphs.forEach((paragraphText, pIndex) => {
-            // Each paragraph contains exactly one sentence
-            const sentenceText = paragraphText;
-            
-            const sentenceData = {
-                id: `s${pIndex}`,
+        // Split each block into sentences (sentence IDs run across the whole article)
+        let sentenceIndex = 0;
+        
+        blocks.forEach((block, pIndex) => {
+            const sentences = this.splitBlock(block, language).map(sentenceText => ({
+                id: `s${sentenceIndex++}`,
                 text: sentenceText,
-                length: Utils.countWords(sentenceText)
-            };
+                length: Utils.countWords(sentenceText, language),
+                blockType: block.type,
+                blockLevel: block.level
+            }));
             
             structuredContent.paragraphs.push({
                 index: pIndex,
-                text: paragraphText,
-                sentences: [sentenceData] // Each paragraph has exactly one sentence
+                type: block.type,
+                level: block.level,
+                text: block.text,
+                sentences: sentences
             });
         });
         
@@ -365,151 +778,699 @@ const ContentPipeline = {
     },
     
     /**
-     * Analyzes tone and assigns curviness using OpenAI
-     * @param {object} structuredContent - Structured content from BEM AI
-     * @returns {Promise<object>} Content with curviness scores
+     * Splits a typed block into the texts that become sentences
+     * Headings stay whole and code blocks are split by line
+     * @param {object} block - Block ({type, text})
+     * @param {string} language - Article language (detected if omitted)
+     * @returns {string[]} Sentence texts
      */
-    analyzeTone: async function(structuredContent) {
-        // If debug mode is enabled and we're skipping APIs, return mock data
-        if (CONFIG.debug.enabled && CONFIG.debug.skipApis) {
-            return this.mergeCurvinessScores(structuredContent, 
-                await Utils.generateMockResponse('openAI'));
+    splitBlock: function(block, language) {
+        if (block.type === 'heading') {
+            return [block.text];
+        }
+        
+        if (block.type === 'code') {
+            return block.text.split('\n')
+                .map(line => line.trim())
+                .filter(line => line.length > 0)
+                .slice(0, CONFIG.structure.maxCodeLines);
         }
         
+        return Utils.splitIntoSentences(block.text, language);
+    },
+    
+    /**
+     * Gets the links of fetched content: the anchors the fetch provider found,
+     * otherwise the inline links in its Markdown. Links back to the article
+     * itself are left out.
+     * @param {object} articleContent - Article content from the fetch stage
+     * @param {string} url - Original URL
+     * @returns {array} Anchors ({text, url}) in document order
+     */
+    getAnchors: function(articleContent, url) {
+        const baseUrl = articleContent.url || url;
+        const anchors = Array.isArray(articleContent.anchors) ?
+            articleContent.anchors :
+            Markdown.extractAnchors(articleContent.markdown, baseUrl);
+        
+        let pageUrl = '';
         try {
-            // Extract all sentences from the structured content
-            const allSentences = [];
-            structuredContent.paragraphs.forEach(paragraph => {
-                paragraph.sentences.forEach(sentence => {
-                    allSentences.push(sentence.text);
-                });
+            const parsed = new URL(baseUrl);
+            parsed.hash = '';
+            pageUrl = parsed.href;
+        } catch (error) {
+            // User text has a pseudo-URL
+        }
+        
+        return anchors.filter(anchor =>
+            anchor && typeof anchor.text === 'string' && anchor.text.trim() &&
+            /^https?:\/\//i.test(anchor.url || '') && anchor.url !== pageUrl
+        );
+    },
+    
+    /**
+     * Finds each anchor's text in the sentences and records it on the sentence
+     * as sentence.links: [{text, url, wordStart, wordEnd}], where the word
+     * range (end exclusive) indexes Utils.splitIntoWords(sentence.text).
+     * Anchors are in document order, so each search starts where the last
+     * match ended; anchors whose text isn't found (e.g. in dropped boilerplate)
+     * are skipped. Headings and code lines don't get links.
+     * @param {object} structuredContent - Structured content (modified in place)
+     * @param {array} anchors - Anchors ({text, url}) in document order
+     */
+    attachLinks: function(structuredContent, anchors) {
+        if (!structuredContent || !Array.isArray(structuredContent.paragraphs) || anchors.length === 0) {
+            return;
+        }
+        
+        const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+        const sentences = [];
+        structuredContent.paragraphs.forEach(paragraph => {
+            (paragraph.sentences || []).forEach(sentence => {
+                if (sentence.blockType !== 'heading' && sentence.blockType !== 'code') {
+                    sentences.push({ sentence: sentence, words: Utils.splitIntoWords(sentence.text).map(normalize) });
+                }
             });
+        });
+        
+        let sentenceIndex = 0;
+        let wordIndex = 0;
+        let attached = 0;
+        
+        anchors.forEach(anchor => {
+            const anchorWords = Utils.splitIntoWords(anchor.text).map(normalize).filter(word => word);
+            if (anchorWords.length === 0) return;
             
-            // Join sentences into a single text for the API call
-            const articleText = allSentences.join(' ');
-            
-            // Replace placeholder in the prompt
-            const prompt = CONFIG.content.openAIPrompt.replace('{articleText}', articleText);
-            
-            const response = await fetch(CONFIG.endpoints.openAI, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${CONFIG.apiKeys.openAI}`
-                },
-                body: JSON.stringify({
-                    model: "gpt-4o",
-                    messages: [
-                        {
-                            role: "system",
-                            content: "You are an assistant that analyzes text tone."
-                        },
-                        {
-                            role: "user",
-                            content: prompt
-                        }
-                    ],
-                    temperature: 0.7
-                })
+            for (let i = sentenceIndex; i < sentences.length; i++) {
+                const words = sentences[i].words;
+                
+                for (let start = i === sentenceIndex ? wordIndex : 0; start + anchorWords.length <= words.length; start++) {
+                    if (anchorWords.every((word, offset) => words[start + offset] === word)) {
+                        const sentence = sentences[i].sentence;
+                        sentence.links = sentence.links || [];
+                        sentence.links.push({
+                            text: anchor.text.trim(),
+                            url: anchor.url,
+                            wordStart: start,
+                            wordEnd: start + anchorWords.length
+                        });
+                        
+                        sentenceIndex = i;
+                        wordIndex = start + anchorWords.length;
+                        attached++;
+                        return;
+                    }
+                }
+            }
+        });
+        
+        Utils.debugLog(`Attached ${attached} of ${anchors.length} links to sentences`);
+    },
+    
+    /**
+     * Analyzes tone and assigns curviness with the configured tone provider
+     * @param {object} structuredContent - Structured content from the structure stage
+     * @param {AbortSignal} signal - Aborts provider requests (optional)
+     * @returns {Promise<object>} Content with tone and curviness on every sentence
+     */
+    analyzeTone: async function(structuredContent, signal) {
+        return ContentProviders.run('tone', { structuredContent, signal });
+    },
+    
+    /**
+     * Analyzes tone using OpenAI
+     * Sentences are sent by ID in chunks (CONFIG.toneAnalysis) with bounded
+     * concurrency; only chunks that fail are retried
+     * @param {object} structuredContent - Structured content from the structure stage
+     * @param {AbortSignal} signal - Aborts the requests (optional)
+     * @returns {Promise<object>} Content with tone and curviness on every sentence
+     */
+    analyzeToneWithOpenAI: async function(structuredContent, signal) {
+        const { chunkSize, concurrency, maxRetries } = CONFIG.toneAnalysis;
+        
+        // Extract all sentences from the structured content
+        const allSentences = [];
+        structuredContent.paragraphs.forEach(paragraph => {
+            paragraph.sentences.forEach(sentence => {
+                allSentences.push({ id: sentence.id, text: sentence.text });
             });
-            
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
+        });
+        
+        // Split into chunks of at most chunkSize sentences
+        const chunks = [];
+        for (let start = 0; start < allSentences.length; start += chunkSize) {
+            chunks.push(allSentences.slice(start, start + chunkSize));
+        }
+        
+        const chunkScores = new Array(chunks.length).fill(null);
+        let completedChunks = 0;
+        let pending = chunks.map((chunk, index) => index);
+        
+        for (let attempt = 0; attempt <= maxRetries && pending.length > 0; attempt++) {
+            if (attempt > 0) {
+                Utils.debugLog(`Retrying ${pending.length} failed tone chunk(s), attempt ${attempt + 1}`);
+                this.emit({
+                    type: 'stage-progress',
+                    stage: 'tone',
+                    progress: completedChunks / chunks.length,
+                    message: `Retrying ${pending.length} failed chunk(s)`
+                });
             }
             
-            const data = await response.json();
-            const content = data.choices[0].message.content;
+            const failed = [];
             
-            // Parse the JSON response
-            const curvinessData = Utils.safeJsonParse(content, []);
+            await Utils.mapWithConcurrency(pending, concurrency, async (chunkIndex) => {
+                try {
+                    chunkScores[chunkIndex] = await this.requestToneChunk(chunks[chunkIndex], signal);
+                    completedChunks++;
+                    
+                    this.emit({
+                        type: 'stage-progress',
+                        stage: 'tone',
+                        progress: completedChunks / chunks.length,
+                        message: `${completedChunks} of ${chunks.length} chunks scored`
+                    });
+                } catch (error) {
+                    // Cancelled: stop instead of retrying
+                    if (signal && signal.aborted) {
+                        throw error;
+                    }
+                    
+                    console.error(`Error analyzing tone chunk ${chunkIndex + 1}/${chunks.length}:`, error);
+                    failed.push(chunkIndex);
+                }
+            });
             
-            // Merge curviness scores into the structured content
-            return this.mergeCurvinessScores(structuredContent, curvinessData);
+            pending = failed.sort((a, b) => a - b);
+        }
+        
+        if (chunks.length > 0 && completedChunks === 0) {
+            throw new Error('OpenAI tone analysis failed for every chunk');
+        }
+        
+        if (pending.length > 0) {
+            console.warn(`${pending.length} tone chunk(s) failed; those sentences use offline scoring`);
+        }
+        
+        // Merge tone scores into the structured content
+        const toneData = chunkScores.filter(Boolean).flat();
+        return this.mergeToneScores(structuredContent, toneData);
+    },
+    
+    /**
+     * Requests tone scores for one chunk of sentences
+     * The response is validated (ToneValidator); if it has problems, one repair
+     * request is sent with the validation errors
+     * @param {array} sentences - Sentences ({id, text}) to score
+     * @param {AbortSignal} signal - Aborts the requests (optional)
+     * @returns {Promise<array>} Validated scores ({id, valence, arousal, complexity, source, issue})
+     */
+    requestToneChunk: async function(sentences, signal) {
+        // Replace placeholder in the prompt
+        const prompt = CONFIG.content.openAIPrompt.replace('{sentences}', JSON.stringify(sentences));
+        const messages = [
+            {
+                role: "system",
+                content: "You are an assistant that analyzes text tone."
+            },
+            {
+                role: "user",
+                content: prompt
+            }
+        ];
+        
+        const content = await this.requestOpenAIChat(messages, signal);
+        let result = ToneValidator.check(content, sentences);
+        
+        if (result.errors.length > 0) {
+            console.warn(`Tone response for ${sentences[0].id}-${sentences[sentences.length - 1].id} failed validation:`, result.errors);
             
+            try {
+                const repairContent = await this.requestOpenAIChat([
+                    ...messages,
+                    { role: "assistant", content: content },
+                    { role: "user", content: ToneValidator.buildRepairPrompt(result.errors) }
+                ], signal);
+                result = ToneValidator.combine(result, ToneValidator.check(repairContent, sentences), sentences);
+                
+                if (result.errors.length > 0) {
+                    console.warn('Tone repair response still has problems:', result.errors);
+                }
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    throw error;
+                }
+                console.error('Error sending tone repair request:', error);
+            }
+        }
+        
+        if (result.scores.length === 0) {
+            throw new Error(`OpenAI returned no valid tone scores: ${result.errors.join('; ')}`);
+        }
+        
+        return result.scores;
+    },
+    
+    /**
+     * Sends a chat completion request to OpenAI (or another OpenAI-compatible endpoint)
+     * @param {array} messages - Chat messages
+     * @param {AbortSignal} signal - Aborts the request (optional)
+     * @param {object} options - Endpoint, API key, model and temperature (default: OpenAI settings)
+     * @returns {Promise<string>} Content of the reply
+     */
+    requestOpenAIChat: async function(messages, signal, options = {}) {
+        const response = await fetch(options.endpoint || CONFIG.endpoints.openAI, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${options.apiKey !== undefined ? options.apiKey : CONFIG.apiKeys.openAI}`
+            },
+            signal: signal,
+            body: JSON.stringify({
+                model: options.model || "gpt-4o",
+                messages: messages,
+                temperature: options.temperature !== undefined ? options.temperature : 0.7
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`OpenAI API error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        return data.choices[0].message.content;
+    },
+    
+    /**
+     * Checks whether content still needs translating into the target language
+     * @param {object} content - Processed content
+     * @returns {boolean} True in language-learning mode when the content isn't translated into CONFIG.translation.targetLanguage
+     */
+    needsTranslation: function(content) {
+        return CONFIG.translation.enabled &&
+            !(content.translation && content.translation.language === CONFIG.translation.targetLanguage);
+    },
+    
+    /**
+     * Translates every sentence with the configured translate provider
+     * A failed translation doesn't stop the level: it plays in one language
+     * @param {object} content - Processed content
+     * @param {AbortSignal} signal - Aborts provider requests (optional)
+     * @returns {Promise<object>} Content with translations, or the content unchanged if no provider could translate it
+     */
+    translateContent: async function(content, signal) {
+        try {
+            return await ContentProviders.run('translate', {
+                structuredContent: content,
+                language: CONFIG.translation.targetLanguage,
+                signal: signal
+            });
         } catch (error) {
-            console.error('Error analyzing tone:', error);
+            if (signal && signal.aborted) {
+                throw error;
+            }
             
-            // Fallback: Assign default curviness values
-            return this.fallbackAssignCurviness(structuredContent);
+            console.error('Translation failed:', error);
+            return content;
         }
     },
     
     /**
-     * Merges curviness scores into the structured content
+     * Describes the result of the translate stage for the loading screen
+     * @param {object} content - Content returned by translateContent
+     * @returns {string} Message
+     */
+    summarizeTranslation: function(content) {
+        if (!content.translation) {
+            return 'Not available; playing without translations';
+        }
+        
+        const { language, count } = content.translation;
+        if (language !== CONFIG.translation.targetLanguage) {
+            // A cached article keeps its earlier translation when a new one fails
+            return `Not available; keeping the ${Utils.getLanguageName(language)} translation`;
+        }
+        return `${count} sentence(s) translated into ${Utils.getLanguageName(language)}`;
+    },
+    
+    /**
+     * Gets the sentences to translate (everything but code)
      * @param {object} structuredContent - Structured content
-     * @param {array} curvinessData - Curviness data from OpenAI
-     * @returns {object} Content with curviness scores
-     */
-    mergeCurvinessScores: function(structuredContent, curvinessData) {
-        // Create a map of sentences to curviness scores
-        const curvinessMap = {};
-        curvinessData.forEach(item => {
-            curvinessMap[item.sentence] = item.curviness;
+     * @returns {array} Sentences ({id, text})
+     */
+    getTranslatableSentences: function(structuredContent) {
+        const sentences = [];
+        structuredContent.paragraphs.forEach(paragraph => {
+            paragraph.sentences.forEach(sentence => {
+                if (sentence.blockType !== 'code') {
+                    sentences.push({ id: sentence.id, text: sentence.text });
+                }
+            });
         });
         
-        // Clone the structured content to avoid modifying the original
-        const contentWithCurviness = JSON.parse(JSON.stringify(structuredContent));
+        return sentences;
+    },
+    
+    /**
+     * Translates sentences with an OpenAI-compatible chat endpoint
+     * (CONFIG.endpoints.translation), in chunks with bounded concurrency
+     * @param {object} structuredContent - Processed content
+     * @param {string} language - Target language (ISO 639-1 code)
+     * @param {AbortSignal} signal - Aborts the requests (optional)
+     * @returns {Promise<object>} Content with a translation on each sentence the endpoint translated
+     */
+    translateWithOpenAI: async function(structuredContent, language, signal) {
+        const { chunkSize, concurrency } = CONFIG.translation;
+        const sentences = this.getTranslatableSentences(structuredContent);
+        
+        const chunks = [];
+        for (let start = 0; start < sentences.length; start += chunkSize) {
+            chunks.push(sentences.slice(start, start + chunkSize));
+        }
         
-        // Add curviness scores to each sentence
-        contentWithCurviness.paragraphs.forEach(paragraph => {
+        const chunkTranslations = new Array(chunks.length).fill(null);
+        let completedChunks = 0;
+        
+        await Utils.mapWithConcurrency(chunks.map((chunk, index) => index), concurrency, async (chunkIndex) => {
+            try {
+                chunkTranslations[chunkIndex] = await this.requestTranslationChunk(chunks[chunkIndex], language, signal);
+                completedChunks++;
+                
+                this.emit({
+                    type: 'stage-progress',
+                    stage: 'translate',
+                    progress: completedChunks / chunks.length,
+                    message: `${completedChunks} of ${chunks.length} chunks translated`
+                });
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    throw error;
+                }
+                
+                console.error(`Error translating chunk ${chunkIndex + 1}/${chunks.length}:`, error);
+            }
+        });
+        
+        if (chunks.length > 0 && completedChunks === 0) {
+            throw new Error('Translation failed for every chunk');
+        }
+        
+        return this.mergeTranslations(structuredContent, chunkTranslations.filter(Boolean).flat(), language, 'model');
+    },
+    
+    /**
+     * Requests translations for one chunk of sentences
+     * @param {array} sentences - Sentences ({id, text}) to translate
+     * @param {string} language - Target language (ISO 639-1 code)
+     * @param {AbortSignal} signal - Aborts the request (optional)
+     * @returns {Promise<array>} Translations ({id, translation}) for sentences in the chunk
+     */
+    requestTranslationChunk: async function(sentences, language, signal) {
+        const prompt = CONFIG.content.translationPrompt
+            .replace(/\{language\}/g, Utils.getLanguageName(language))
+            .replace('{sentences}', JSON.stringify(sentences));
+        
+        const content = await this.requestOpenAIChat([
+            { role: "system", content: "You are a translator for language learners." },
+            { role: "user", content: prompt }
+        ], signal, {
+            endpoint: CONFIG.endpoints.translation,
+            apiKey: CONFIG.apiKeys.translation || CONFIG.apiKeys.openAI,
+            model: CONFIG.translation.model,
+            temperature: 0.2
+        });
+        
+        // The reply may wrap the array in prose or a code fence
+        const match = content.match(/\[[\s\S]*\]/);
+        const items = match ? Utils.safeJsonParse(match[0], []) : [];
+        const ids = new Set(sentences.map(sentence => sentence.id));
+        const translations = (Array.isArray(items) ? items : []).filter(item =>
+            item && ids.has(item.id) && typeof item.translation === 'string' && item.translation.trim()
+        );
+        
+        if (translations.length === 0) {
+            throw new Error('The translation reply had no usable translations');
+        }
+        
+        return translations;
+    },
+    
+    /**
+     * Puts translations on their sentences
+     * @param {object} structuredContent - Processed content
+     * @param {array} translations - Translations ({id, translation})
+     * @param {string} language - Language translated into
+     * @param {string} source - Where the translations came from (e.g. 'model', 'stub')
+     * @returns {object} Copy of the content with sentence.translation set and
+     *                   translation ({language, source, count}) on the article
+     */
+    mergeTranslations: function(structuredContent, translations, language, source) {
+        const translatedContent = JSON.parse(JSON.stringify(structuredContent));
+        const translationsById = new Map(translations.map(item => [item.id, item.translation.trim()]));
+        let count = 0;
+        
+        translatedContent.paragraphs.forEach(paragraph => {
             paragraph.sentences.forEach(sentence => {
-                // Look up the curviness score by sentence text
-                if (curvinessMap[sentence.text] !== undefined) {
-                    sentence.curviness = curvinessMap[sentence.text];
-                } else {
-                    // If not found, assign a default value
-                    sentence.curviness = CONFIG.content.defaultCurviness;
+                delete sentence.translation;
+                if (translationsById.has(sentence.id)) {
+                    sentence.translation = translationsById.get(sentence.id);
+                    count++;
                 }
             });
         });
         
-        return contentWithCurviness;
+        translatedContent.translation = { language: language, source: source, count: count };
+        
+        Utils.debugLog(`Translated ${count} sentence(s) into ${language} (${source})`);
+        return translatedContent;
     },
     
     /**
-     * Fallback method to assign curviness if OpenAI fails
+     * Merges per-sentence tone scores into the structured content
+     * Scores are matched by sentence ID; scores without a known ID are matched
+     * to the most similar unscored sentence text. Each score is used once, so
+     * duplicated sentences keep their own scores. Sentences left without a
+     * score are scored offline with the tone lexicon. Each sentence records
+     * where its score came from (toneSource, plus toneIssue when degraded).
      * @param {object} structuredContent - Structured content
-     * @returns {object} Content with curviness scores
+     * @param {array} toneData - Scores ({id or sentence, valence, arousal, complexity}) from OpenAI or a mock
+     * @param {string} defaultSource - Source recorded for scores that don't name one (default: 'model')
+     * @returns {object} Content with tone and curviness on every sentence
      */
-    fallbackAssignCurviness: function(structuredContent) {
-        Utils.debugLog('Using fallback curviness assignment');
-        
+    mergeToneScores: function(structuredContent, toneData, defaultSource = 'model') {
         // Clone the structured content to avoid modifying the original
-        const contentWithCurviness = JSON.parse(JSON.stringify(structuredContent));
+        const contentWithTone = JSON.parse(JSON.stringify(structuredContent));
+        
+        const sentences = [];
+        contentWithTone.paragraphs.forEach(paragraph => {
+            sentences.push(...paragraph.sentences);
+        });
+        
+        const sentencesById = {};
+        sentences.forEach(sentence => {
+            sentencesById[sentence.id] = sentence;
+        });
         
-        // Simple heuristic for curviness:
-        // - Longer sentences get higher curviness
-        // - Sentences with exclamation or question marks get higher curviness
-        // - Otherwise, assign a random value between 2 and 8
+        const scored = new Set();
+        const unmatched = [];
         
-        contentWithCurviness.paragraphs.forEach(paragraph => {
+        // Match by ID first
+        toneData.forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            
+            const sentence = sentencesById[item.id];
+            if (sentence && !scored.has(sentence)) {
+                this.applyTone(sentence, this.normalizeTone(item), item.source || defaultSource, item.issue);
+                scored.add(sentence);
+            } else {
+                unmatched.push(item);
+            }
+        });
+        
+        // Then by the closest sentence text
+        unmatched.forEach(item => {
+            const text = item.sentence || item.text;
+            if (!text) return;
+            
+            const sentence = this.findSimilarSentence(text, sentences.filter(candidate => !scored.has(candidate)));
+            if (!sentence) return;
+            
+            // An exact text match is as good as an ID match; anything looser is recorded
+            if (this.normalizeForMatching(sentence.text) === this.normalizeForMatching(text)) {
+                this.applyTone(sentence, this.normalizeTone(item), item.source || defaultSource, item.issue);
+            } else {
+                const issue = item.issue ? `matched by similar text; ${item.issue}` : 'matched by similar text';
+                this.applyTone(sentence, this.normalizeTone(item), 'fuzzy-match', issue);
+            }
+            scored.add(sentence);
+        });
+        
+        // Anything still unscored gets an offline score
+        sentences
+            .filter(sentence => !scored.has(sentence))
+            .forEach(sentence => {
+                this.applyTone(sentence, ToneLexicon.analyze(sentence.text), 'lexicon', 'no score returned');
+            });
+        
+        this.logToneProvenance(sentences);
+        
+        return contentWithTone;
+    },
+    
+    /**
+     * Logs which sentences did not get a clean score from the tone service
+     * @param {array} sentences - Scored sentences
+     */
+    logToneProvenance: function(sentences) {
+        const degraded = sentences.filter(sentence => sentence.toneIssue);
+        if (degraded.length === 0) {
+            return;
+        }
+        
+        console.warn(`${degraded.length} of ${sentences.length} sentence(s) have degraded tone scores:`);
+        console.table(degraded.map(sentence => ({
+            id: sentence.id,
+            source: sentence.toneSource,
+            issue: sentence.toneIssue,
+            text: sentence.text.slice(0, 60)
+        })));
+    },
+    
+    /**
+     * Finds the sentence whose text best matches the given text
+     * @param {string} text - Text returned by the tone service
+     * @param {array} candidates - Sentences to choose from
+     * @returns {object|null} Best match at or above CONFIG.toneAnalysis.fuzzyMatchThreshold
+     */
+    findSimilarSentence: function(text, candidates) {
+        const target = this.normalizeForMatching(text);
+        let best = null;
+        let bestScore = 0;
+        
+        for (const candidate of candidates) {
+            const score = this.textSimilarity(target, this.normalizeForMatching(candidate.text));
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+            if (score === 1) break;
+        }
+        
+        return bestScore >= CONFIG.toneAnalysis.fuzzyMatchThreshold ? best : null;
+    },
+    
+    /**
+     * Normalizes text for matching (case, punctuation, quotes and whitespace ignored)
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalizeForMatching: function(text) {
+        return text.toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+    
+    /**
+     * Measures how similar two normalized texts are (Dice coefficient over character bigrams)
+     * @param {string} a - First text
+     * @param {string} b - Second text
+     * @returns {number} Similarity from 0 (nothing shared) to 1 (identical)
+     */
+    textSimilarity: function(a, b) {
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+        
+        const bigrams = new Map();
+        for (let i = 0; i < a.length - 1; i++) {
+            const bigram = a.slice(i, i + 2);
+            bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+        
+        let shared = 0;
+        for (let i = 0; i < b.length - 1; i++) {
+            const bigram = b.slice(i, i + 2);
+            const count = bigrams.get(bigram) || 0;
+            if (count > 0) {
+                bigrams.set(bigram, count - 1);
+                shared++;
+            }
+        }
+        
+        return (2 * shared) / (a.length + b.length - 2);
+    },
+    
+    /**
+     * Assigns tone client-side with the offline tone lexicon
+     * Deterministic: the same text always produces the same level
+     * @param {object} structuredContent - Structured content
+     * @returns {object} Content with tone and curviness on every sentence
+     */
+    assignLexiconTone: function(structuredContent) {
+        Utils.debugLog('Using offline lexicon tone scoring');
+        
+        // Clone the structured content to avoid modifying the original
+        const contentWithTone = JSON.parse(JSON.stringify(structuredContent));
+        
+        contentWithTone.paragraphs.forEach(paragraph => {
             paragraph.sentences.forEach(sentence => {
-                let curviness = CONFIG.content.defaultCurviness;
-                
-                // Length factor (longer = more curved)
-                const wordCount = sentence.length || Utils.countWords(sentence.text);
-                if (wordCount > 15) {
-                    curviness += 2;
-                } else if (wordCount < 5) {
-                    curviness -= 2;
-                }
-                
-                // Punctuation factor
-                if (sentence.text.includes('!')) {
-                    curviness += 3;
-                } else if (sentence.text.includes('?')) {
-                    curviness += 2;
-                }
-                
-                // Add some randomness
-                curviness += Math.random() * 2 - 1;
-                
-                // Clamp to valid range
-                sentence.curviness = Math.max(0, Math.min(10, curviness));
+                this.applyTone(sentence, ToneLexicon.analyze(sentence.text), 'lexicon');
             });
         });
         
-        return contentWithCurviness;
+        return contentWithTone;
+    },
+    
+    /**
+     * Converts a tone score into {valence, arousal, complexity}, clamping each
+     * dimension to its range. Older single-number scores ({curviness}) become arousal.
+     * @param {object} score - Tone score (may be missing or partial)
+     * @returns {object} Tone ({valence: -1..1, arousal: 0..1, complexity: 0..1})
+     */
+    normalizeTone: function(score = {}) {
+        const clamp = (value, min, max, fallback) =>
+            Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+        
+        const curviness = Number.isFinite(Number(score.curviness)) ?
+            Number(score.curviness) : CONFIG.content.defaultCurviness;
+        
+        return {
+            valence: clamp(Number(score.valence), -1, 1, 0),
+            arousal: clamp(Number(score.arousal), 0, 1, clamp(curviness / CONFIG.game.maxCurviness, 0, 1, 0.5)),
+            complexity: clamp(Number(score.complexity), 0, 1, 0.5)
+        };
+    },
+    
+    /**
+     * Stores a tone on a sentence, with curviness (0-10) derived from arousal
+     * @param {object} sentence - Sentence object
+     * @param {object} tone - Tone ({valence, arousal, complexity})
+     * @param {string} source - Where the score came from ('model', 'model-clamped',
+     *                          'model-repaired', 'fuzzy-match', 'lexicon', 'mock' or 'imported')
+     * @param {string} issue - Why the score is degraded, if it is
+     */
+    applyTone: function(sentence, tone, source, issue) {
+        sentence.tone = tone;
+        sentence.curviness = Math.round(tone.arousal * CONFIG.game.maxCurviness * 10) / 10;
+        sentence.toneSource = source;
+        
+        if (issue) {
+            sentence.toneIssue = issue;
+        } else {
+            delete sentence.toneIssue;
+        }
+    },
+    
+    /**
+     * Loads a level that was imported from a level file, skipping every network stage
+     * @param {object} articleData - Article data from LevelFile.parse
+     * @returns {Promise<object>} The same article data
+     */
+    loadImportedLevel: async function(articleData) {
+        const signal = this.startLoad();
+        
+        await this.runStage('level', signal, async () => this.setArticleData(articleData));
+        return articleData;
     },
     
     /**
@@ -518,11 +1479,114 @@ const ContentPipeline = {
      * @returns {Promise<object>} Mock article data
      */
     generateMockArticleData: async function(url) {
-        const mockApifyData = await Utils.generateMockResponse('apify', { url });
-        const mockBemData = await Utils.generateMockResponse('bemAI', { url });
-        const mockOpenAIData = await Utils.generateMockResponse('openAI');
+        const mockArticle = await ContentProviders.get('fetch', 'mock').run({ url });
+        const mockStructure = await ContentProviders.get('structure', 'mock').run({ articleContent: mockArticle, url });
         
-        return this.mergeCurvinessScores(mockBemData, mockOpenAIData);
+        return ContentProviders.get('tone', 'mock').run({ structuredContent: mockStructure });
+    },
+    
+    /**
+     * Stores processed article data, rates its readability, picks its key
+     * terms and splits it into level-sized parts
+     * @param {object} articleData - Processed article data
+     */
+    setArticleData: function(articleData) {
+        // Readability rates the level's difficulty and key terms become collectibles
+        // (cached and imported articles may predate either)
+        if (!articleData.readability) {
+            articleData.readability = Readability.analyze(articleData);
+        }
+        if (!articleData.keywords) {
+            articleData.keywords = Keywords.attach(articleData);
+        }
+        
+        this.articleData = articleData;
+        this.parts = this.paginate(articleData.paragraphs, CONFIG.content.maxArticleLength);
+        this.currentPart = 0;
+        
+        if (this.parts.length > 1) {
+            Utils.debugLog(`Article split into ${this.parts.length} parts of up to ${CONFIG.content.maxArticleLength} characters`);
+        }
+    },
+    
+    /**
+     * Groups paragraphs into parts of at most maxLength characters
+     * Parts only break between paragraphs, so a single paragraph longer than
+     * maxLength becomes a part of its own
+     * @param {array} paragraphs - Structured paragraphs
+     * @param {number} maxLength - Largest part size in characters
+     * @returns {array} Parts ({start, end, length, words}) where start/end are paragraph indices (end exclusive)
+     */
+    paginate: function(paragraphs, maxLength) {
+        const parts = [];
+        let part = null;
+        
+        paragraphs.forEach((paragraph, index) => {
+            const sentences = paragraph.sentences || [];
+            const length = paragraph.text ? paragraph.text.length :
+                sentences.reduce((total, sentence) => total + sentence.text.length + 1, 0);
+            const words = sentences.reduce((total, sentence) =>
+                total + (sentence.length || Utils.countWords(sentence.text)), 0);
+            
+            if (!part || (part.length > 0 && part.length + length > maxLength)) {
+                part = { start: index, end: index, length: 0, words: 0 };
+                parts.push(part);
+            }
+            
+            part.end = index + 1;
+            part.length += length;
+            part.words += words;
+        });
+        
+        return parts;
+    },
+    
+    /**
+     * Describes the part being played and what is left after it
+     * @returns {object} {part, totalParts, remainingLength, remainingWords, hasNextPart} (part is 1-based)
+     */
+    getPartInfo: function() {
+        const remaining = this.parts.slice(this.currentPart + 1);
+        
+        return {
+            part: this.currentPart + 1,
+            totalParts: Math.max(this.parts.length, 1),
+            remainingLength: remaining.reduce((total, part) => total + part.length, 0),
+            remainingWords: remaining.reduce((total, part) => total + part.words, 0),
+            hasNextPart: remaining.length > 0
+        };
+    },
+    
+    /**
+     * Moves on to the next part of the article
+     * @returns {boolean} True if there was a next part
+     */
+    nextPart: function() {
+        if (this.currentPart + 1 >= this.parts.length) {
+            return false;
+        }
+        
+        this.currentPart++;
+        return true;
+    },
+    
+    /**
+     * Gets the sentences of the part being played
+     * @returns {array} Array of sentence objects with curviness
+     */
+    getCurrentPartSentences: function() {
+        const part = this.parts[this.currentPart];
+        if (!this.articleData || !part) {
+            return this.getAllSentences();
+        }
+        
+        const sentences = [];
+        this.articleData.paragraphs.slice(part.start, part.end).forEach(paragraph => {
+            sentences.push(...paragraph.sentences);
+        });
+        
+        Utils.debugLog(`Part ${this.currentPart + 1}/${this.parts.length}: ${sentences.length} sentences`);
+        return sentences;
     },
     
     /**
@@ -550,6 +1614,25 @@ const ContentPipeline = {
         return allSentences;
     },
     
+    /**
+     * Gets the seed for the level's decorations: the article's own seed if it has
+     * one (e.g. from a level file), otherwise one derived from its source
+     * @param {object} articleData - Processed article data (default: the current article)
+     * @returns {number|string|undefined} Seed
+     */
+    getLevelSeed: function(articleData = this.articleData) {
+        if (!articleData) {
+            return undefined;
+        }
+        
+        if (articleData.seed !== undefined) {
+            return articleData.seed;
+        }
+        
+        const source = articleData.source || {};
+        return source.url || source.title;
+    },
+    
     /**
      * Gets the article metadata
      * @returns {object} Article metadata
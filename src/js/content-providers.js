@@ -0,0 +1,319 @@
+/**
+ * WordSurf - Content Providers
+ * Registry of named implementations for each content pipeline stage
+ *
+ * Stages and the input each provider's run() receives:
+ *   fetch     - { url, signal }                 -> { url, title, text }
+ *   structure - { articleContent, url, signal } -> { source, paragraphs }
+ *   tone      - { structuredContent, signal }   -> structured content with tone
+ *                                                  ({valence, arousal, complexity}) and curviness
+ *   crawl     - { url, limits, signal }         -> { url, pages: [{ url, title, text, markdown,
+ *                                                  depth, referrer, links }] } (world mode;
+ *                                                  limits is {maxDepth, maxPages})
+ *   translate - { structuredContent, language, signal }
+ *                                              -> content with a translation on each sentence
+ *                                                 (language-learning mode; language is an ISO 639-1 code)
+ * signal is an AbortSignal that fires when the player cancels loading; pass it
+ * to fetch() so requests stop.
+ *
+ * Register your own implementation from any script loaded before game.js:
+ *   ContentProviders.register('fetch', 'inHouse', { run: async ({ url }) => ... });
+ * and select it with CONFIG.pipeline.providers.fetch = 'inHouse'.
+ * Providers may also define isAvailable() to be skipped when not configured.
+ */
+
+const ContentProviders = {
+    // Registered providers, keyed by stage and then by name
+    registry: {
+        fetch: {},
+        structure: {},
+        tone: {},
+        crawl: {},
+        translate: {}
+    },
+
+    /**
+     * Registers a provider for a pipeline stage
+     * @param {string} stage - Pipeline stage (fetch, structure, tone, crawl, translate)
+     * @param {string} name - Provider name used in CONFIG.pipeline
+     * @param {object} provider - Provider with an async run(input) method and an
+     *                            optional isAvailable() check
+     */
+    register: function(stage, name, provider) {
+        if (!this.registry[stage]) {
+            throw new Error(`Unknown pipeline stage: ${stage}`);
+        }
+
+        if (!provider || typeof provider.run !== 'function') {
+            throw new Error(`Provider ${stage}/${name} must have a run() method`);
+        }
+
+        this.registry[stage][name] = provider;
+    },
+
+    /**
+     * Gets a registered provider
+     * @param {string} stage - Pipeline stage
+     * @param {string} name - Provider name
+     * @returns {object|null} Provider, or null if not registered
+     */
+    get: function(stage, name) {
+        return (this.registry[stage] && this.registry[stage][name]) || null;
+    },
+
+    /**
+     * Lists the provider names registered for a stage
+     * @param {string} stage - Pipeline stage
+     * @returns {string[]} Provider names
+     */
+    list: function(stage) {
+        return Object.keys(this.registry[stage] || {});
+    },
+
+    /**
+     * Resolves the ordered list of providers to try for a stage
+     * The configured provider comes first, followed by its configured fallbacks
+     * @param {string} stage - Pipeline stage
+     * @returns {string[]} Provider names in the order they should be tried
+     */
+    getProviderChain: function(stage) {
+        // Debug overrides: skipApis uses mocks everywhere, skipBemAI uses local structuring
+        if (CONFIG.debug.enabled && CONFIG.debug.skipApis) {
+            return ['mock'];
+        }
+
+        const primary = CONFIG.pipeline.providers[stage];
+        const fallbacks = CONFIG.pipeline.fallbacks[stage] || [];
+        let chain = [primary, ...fallbacks];
+
+        if (CONFIG.debug.enabled && CONFIG.debug.skipBemAI && stage === 'structure') {
+            chain = chain.filter(name => name !== 'bemAI');
+        }
+
+        // Remove duplicates while keeping order
+        return chain.filter((name, index) => name && chain.indexOf(name) === index);
+    },
+
+    /**
+     * Runs a pipeline stage, falling back through the provider chain on errors
+     * @param {string} stage - Pipeline stage
+     * @param {object} input - Stage input passed to the provider
+     * @returns {Promise<any>} Result of the first provider that succeeds
+     */
+    run: async function(stage, input) {
+        const chain = this.getProviderChain(stage);
+        let lastError = null;
+
+        for (const name of chain) {
+            const provider = this.get(stage, name);
+            if (!provider) {
+                console.error(`No ${stage} provider registered as "${name}"`);
+                ContentPipeline.emit({ type: 'stage-fallback', stage: stage, provider: name, reason: 'not registered' });
+                continue;
+            }
+
+            // Providers that need configuration (e.g. an API key) can opt out
+            if (provider.isAvailable && !provider.isAvailable()) {
+                Utils.debugLog(`Skipping ${stage} provider "${name}": not configured`);
+                ContentPipeline.emit({ type: 'stage-fallback', stage: stage, provider: name, reason: 'not configured' });
+                continue;
+            }
+            
+            try {
+                Utils.debugLog(`Running ${stage} provider: ${name}`);
+                ContentPipeline.emit({ type: 'stage-progress', stage: stage, provider: name, message: provider.description || name });
+                return await provider.run(input);
+            } catch (error) {
+                // A cancelled load must not fall through to the next provider
+                if (input.signal && input.signal.aborted) {
+                    throw error;
+                }
+                
+                console.error(`Error in ${stage} provider "${name}":`, error);
+                ContentPipeline.emit({ type: 'stage-fallback', stage: stage, provider: name, reason: error.message });
+                lastError = error;
+            }
+        }
+
+        throw lastError || new Error(`No ${stage} provider available`);
+    }
+};
+
+// Mock article used by the mock providers (debug mode)
+const MOCK_ARTICLE = {
+    title: "Sample Article Title",
+    sentences: [
+        { text: "This is a sample article.", valence: 0.1, arousal: 0.2, complexity: 0.1 },
+        { text: "It contains several sentences.", valence: 0, arousal: 0.35, complexity: 0.3 },
+        { text: "Each sentence will become a platform in the game.", valence: 0.4, arousal: 0.5, complexity: 0.5 },
+        { text: "Some sentences are more dynamic and emotional!", valence: 0.8, arousal: 0.85, complexity: 0.6 },
+        { text: "Others are quite neutral and factual.", valence: -0.2, arousal: 0.15, complexity: 0.4 }
+    ]
+};
+
+/**
+ * Resolves after a short delay to simulate network latency in mock providers
+ * @param {any} value - Value to resolve with
+ * @param {AbortSignal} signal - Rejects the delay early when aborted (optional)
+ * @returns {Promise<any>} Delayed value
+ */
+function mockDelay(value, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(value), 500);
+        
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        }
+    });
+}
+
+// Fetch providers
+ContentProviders.register('fetch', 'apify', {
+    description: 'Apify website content crawler',
+    run: ({ url, signal }) => ContentPipeline.fetchFromApify(url, signal)
+});
+
+ContentProviders.register('fetch', 'extractionProxy', {
+    description: 'Local extraction server (npm run proxy)',
+    run: ({ url, signal }) => ContentPipeline.fetchFromExtractionProxy(url, signal)
+});
+
+ContentProviders.register('fetch', 'placeholder', {
+    description: 'Placeholder text when no content can be fetched',
+    run: ({ url }) => ContentPipeline.fallbackContentExtraction(url)
+});
+
+ContentProviders.register('fetch', 'mock', {
+    description: 'Sample article (debug)',
+    run: ({ url, signal }) => mockDelay({
+        url: url || "https://example.com",
+        title: MOCK_ARTICLE.title,
+        text: MOCK_ARTICLE.sentences.map(sentence => sentence.text).join(' ')
+    }, signal)
+});
+
+// Structure providers
+ContentProviders.register('structure', 'bemAI', {
+    description: 'BEM AI structuring API',
+    run: ({ articleContent, url, signal }) => ContentPipeline.structureWithBemAI(articleContent, url, signal)
+});
+
+ContentProviders.register('structure', 'local', {
+    description: 'Client-side sentence splitting',
+    run: async ({ articleContent, url }) => ContentPipeline.fallbackStructureContent(articleContent, url)
+});
+
+ContentProviders.register('structure', 'mock', {
+    description: 'Sample article structure (debug)',
+    run: ({ url, signal }) => mockDelay({
+        source: {
+            url: url || "https://example.com",
+            title: MOCK_ARTICLE.title,
+            retrievedAt: new Date().toISOString()
+        },
+        paragraphs: MOCK_ARTICLE.sentences.map((sentence, index) => ({
+            index: index,
+            text: sentence.text,
+            sentences: [
+                { id: `s${index}`, text: sentence.text, length: Utils.countWords(sentence.text) }
+            ]
+        }))
+    }, signal)
+});
+
+// Tone providers
+ContentProviders.register('tone', 'openAI', {
+    description: 'OpenAI tone analysis',
+    isAvailable: () => !!CONFIG.apiKeys.openAI,
+    run: ({ structuredContent, signal }) => ContentPipeline.analyzeToneWithOpenAI(structuredContent, signal)
+});
+
+ContentProviders.register('tone', 'lexicon', {
+    description: 'Offline word-list sentiment scoring (deterministic)',
+    run: async ({ structuredContent }) => ContentPipeline.assignLexiconTone(structuredContent)
+});
+
+ContentProviders.register('tone', 'mock', {
+    description: 'Fixed scores for the sample article (debug)',
+    run: async ({ structuredContent, signal }) => {
+        const scores = await mockDelay(MOCK_ARTICLE.sentences.map(sentence => ({
+            sentence: sentence.text,
+            valence: sentence.valence,
+            arousal: sentence.arousal,
+            complexity: sentence.complexity
+        })), signal);
+        return ContentPipeline.mergeToneScores(structuredContent, scores, 'mock');
+    }
+});
+
+// Crawl providers (world mode)
+ContentProviders.register('crawl', 'apify', {
+    description: 'Apify website content crawler',
+    run: ({ url, limits, signal }) => ContentPipeline.crawlWithApify(url, limits, signal)
+});
+
+ContentProviders.register('crawl', 'extractionProxy', {
+    description: 'Local extraction server (npm run proxy)',
+    run: ({ url, limits, signal }) => ContentPipeline.crawlWithExtractionProxy(url, limits, signal)
+});
+
+ContentProviders.register('crawl', 'mock', {
+    description: 'Sample site of linked pages (debug)',
+    run: ({ url, limits, signal }) => {
+        const origin = new URL(url || 'https://example.com').origin;
+        const pageUrl = index => index === 0 ? `${origin}/` : `${origin}/page-${index}`;
+        
+        // A small diamond: the start page links to two pages that both link to a fourth
+        const links = [[1, 2], [3], [3], [0]];
+        const depths = [0, 1, 1, 2];
+        
+        const pages = links.slice(0, limits.maxPages).map((targets, index) => {
+            const sentences = MOCK_ARTICLE.sentences.slice(index).concat(MOCK_ARTICLE.sentences.slice(0, index));
+            
+            return {
+                url: pageUrl(index),
+                title: index === 0 ? MOCK_ARTICLE.title : `${MOCK_ARTICLE.title} (page ${index + 1})`,
+                text: sentences.map(sentence => sentence.text).join(' '),
+                markdown: '',
+                depth: depths[index],
+                referrer: index === 0 ? null : pageUrl(index === 3 ? 1 : 0),
+                links: targets.map(pageUrl)
+            };
+        }).filter(page => page.depth <= limits.maxDepth);
+        
+        return mockDelay({ url: pageUrl(0), pages: pages }, signal);
+    }
+});
+
+// Translate providers (language-learning mode)
+ContentProviders.register('translate', 'openAI', {
+    description: 'OpenAI-compatible chat endpoint',
+    isAvailable: () => !!(CONFIG.apiKeys.translation || CONFIG.apiKeys.openAI) ||
+        /^https?:\/\/(localhost|127\.0\.0\.1)[:/]/.test(CONFIG.endpoints.translation),
+    run: ({ structuredContent, language, signal }) =>
+        ContentPipeline.translateWithOpenAI(structuredContent, language, signal)
+});
+
+ContentProviders.register('translate', 'stub', {
+    description: 'Local stub that tags each sentence with the target language',
+    run: async ({ structuredContent, language }) => ContentPipeline.mergeTranslations(
+        structuredContent,
+        ContentPipeline.getTranslatableSentences(structuredContent).map(sentence => ({
+            id: sentence.id,
+            translation: `[${language}] ${sentence.text}`
+        })),
+        language,
+        'stub'
+    )
+});
+
+ContentProviders.register('translate', 'mock', {
+    description: 'Tagged sentences for the sample article (debug)',
+    run: async ({ structuredContent, language, signal }) => {
+        await mockDelay(null, signal);
+        return ContentProviders.get('translate', 'stub').run({ structuredContent, language });
+    }
+});
@@ -0,0 +1,198 @@
+/**
+ * WordSurf - Curve Families
+ * Platform surfaces beyond one rotated sine: half-pipes, ramps, kickers,
+ * rolling swells, step-downs and splines. A sentence's tone picks the family
+ * and its parameters (see pick); every surface is held to CONFIG.curves.maxSlope.
+ *
+ * A family is a profile p(u, params) over u = x / length from 0 to 1, with
+ * p(0) = 0 and values of about -1 to 1. The surface is the profile scaled by
+ * the shape's amplitude and tilted by its climb, as the classic sine wave was.
+ */
+
+// Samples per platform when measuring and checking a profile
+const CURVE_SAMPLES = 200;
+
+/**
+ * Smooth 0-1 step with zero slope at both ends
+ * @param {number} t - Position (clamped to 0-1)
+ * @returns {number} Eased value
+ */
+function smoothStep(t) {
+    const clamped = Math.min(Math.max(t, 0), 1);
+    return clamped * clamped * (3 - 2 * clamped);
+}
+
+const CurveFamilies = {
+    families: {
+        // The original surface: a sine wave, frequency full waves per platform
+        sine: {
+            description: 'Sine wave',
+            profile: (u, params) => Math.sin(2 * Math.PI * params.frequency * u)
+        },
+
+        // Steep walls at both ends around a low middle
+        halfPipe: {
+            description: 'Half-pipe',
+            profile: (u) => Math.pow(2 * u - 1, 4) - 1
+        },
+
+        // One long eased rise
+        ramp: {
+            description: 'Ramp',
+            profile: (u) => smoothStep(u)
+        },
+
+        // A flat run into a launch lip over the last part of the platform
+        kicker: {
+            description: 'Kicker',
+            profile: (u, params) => {
+                const lipStart = 1 - params.lip;
+                return u <= lipStart ? 0 : Math.pow((u - lipStart) / params.lip, 2);
+            }
+        },
+
+        // Rolling bumps that never dip below the start
+        swell: {
+            description: 'Rolling swell',
+            profile: (u, params) => (1 - Math.cos(2 * Math.PI * params.frequency * u)) / 2
+        },
+
+        // Flat treads joined by eased drops, ending one amplitude lower
+        stepDown: {
+            description: 'Step-down',
+            profile: (u, params) => {
+                const position = Math.min(u, 1) * params.steps;
+                const step = Math.min(Math.floor(position), params.steps - 1);
+                const riser = (position - step - (1 - params.riser)) / params.riser;
+                return -(step + smoothStep(riser)) / params.steps;
+            }
+        },
+
+        // A Catmull-Rom spline through seeded control points
+        spline: {
+            description: 'Spline',
+            profile: (u, params) => {
+                const points = params.points;
+                const segments = points.length - 1;
+                const position = Math.min(Math.max(u, 0), 1) * segments;
+                const index = Math.min(Math.floor(position), segments - 1);
+                const t = position - index;
+
+                const p0 = points[Math.max(index - 1, 0)];
+                const p1 = points[index];
+                const p2 = points[index + 1];
+                const p3 = points[Math.min(index + 2, segments)];
+
+                return 0.5 * (2 * p1 + (p2 - p0) * t +
+                    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t +
+                    (3 * p1 - p0 - 3 * p2 + p3) * t * t * t);
+            }
+        }
+    },
+
+    /**
+     * Picks a sentence's curve family from its tone (or CONFIG.curves.family when set)
+     * - dense, complex sentences get a spline
+     * - intense sentences get a kicker (positive) or a half-pipe (negative)
+     * - calm sentences get a ramp, or a step-down when negative
+     * - everything else rolls: swells when positive, the sine wave otherwise
+     * @param {object} tone - Tone ({valence, arousal, complexity})
+     * @returns {string} Family name
+     */
+    pick: function(tone) {
+        const { family, calmBelow, intenseFrom, complexFrom } = CONFIG.curves;
+        if (family !== 'auto' && this.families[family]) {
+            return family;
+        }
+
+        if (tone.complexity >= complexFrom) {
+            return 'spline';
+        }
+        if (tone.arousal >= intenseFrom) {
+            return tone.valence >= 0 ? 'kicker' : 'halfPipe';
+        }
+        if (tone.arousal < calmBelow) {
+            return tone.valence < -0.2 ? 'stepDown' : 'ramp';
+        }
+
+        return tone.valence > 0.3 ? 'swell' : 'sine';
+    },
+
+    /**
+     * Works out a family's parameters for a tone
+     * @param {string} family - Family name
+     * @param {object} tone - Tone ({valence, arousal, complexity})
+     * @param {number} frequency - Oscillations per platform (see GeometryGenerator.getToneShape)
+     * @param {string} seed - Seed for the spline's control points (the sentence ID)
+     * @returns {object} Parameters for the family's profile
+     */
+    getParams: function(family, tone, frequency, seed) {
+        switch (family) {
+            case 'kicker':
+                // Angrier kickers have shorter, sharper lips
+                return { lip: 0.35 - 0.15 * tone.arousal };
+            case 'stepDown':
+                return { steps: Math.max(2, Math.round(frequency) + 1), riser: 0.3 };
+            case 'spline': {
+                const random = Utils.createRandom(`spline-${seed}`);
+                const points = [0];
+                const interior = 2 + Math.round(tone.complexity * 3);
+                for (let i = 0; i < interior; i++) {
+                    points.push(random() * 2 - 1);
+                }
+                points.push(random() - 0.5);
+                return { points: points };
+            }
+            default:
+                return { frequency: frequency };
+        }
+    },
+
+    /**
+     * Builds a platform's surface function, in curve-local coordinates (x from 0 to length)
+     * The amplitude is reduced where needed so no point is steeper than CONFIG.curves.maxSlope
+     * @param {number} length - Length of the platform
+     * @param {object} shape - Platform shape ({family, params, amplitude, climb}, see GeometryGenerator.getToneShape)
+     * @returns {Function} Function mapping x to y
+     */
+    createSurface: function(length, shape) {
+        const family = this.families[shape.family] || this.families.sine;
+        const params = shape.params || { frequency: shape.frequency };
+        const angle = shape.climb * (Math.PI / 180);
+
+        // Slope the climb and the global downward slope give the surface on their own
+        const baseSlope = Math.sin(angle) - 0.5 / length;
+        const profileSlope = this.measureSlope(family, params, length) * Math.cos(angle);
+        const slopeRoom = Math.max(CONFIG.curves.maxSlope - Math.abs(baseSlope), 0);
+        const amplitude = profileSlope > 0 ? Math.min(shape.amplitude, slopeRoom / profileSlope) : shape.amplitude;
+
+        return (x) => {
+            const profile = family.profile(x / length, params);
+
+            // Same tilt as Utils.generateCurve: the profile rotated to the climb angle,
+            // plus a global downward slope so each platform ends a little lower
+            return amplitude * profile * Math.cos(angle) + x * Math.sin(angle) - 0.5 * (x / length);
+        };
+    },
+
+    /**
+     * Measures the steepest slope of a family's profile at unit amplitude
+     * @param {object} family - Family from this.families
+     * @param {object} params - Profile parameters
+     * @param {number} length - Length of the platform
+     * @returns {number} Largest |dy/dx| over the platform
+     */
+    measureSlope: function(family, params, length) {
+        const step = length / CURVE_SAMPLES;
+        let previous = family.profile(0, params);
+        let steepest = 0;
+
+        for (let i = 1; i <= CURVE_SAMPLES; i++) {
+            const value = family.profile(i / CURVE_SAMPLES, params);
+            steepest = Math.max(steepest, Math.abs(value - previous) / step);
+            previous = value;
+        }
+
+        return steepest;
+    }
+};
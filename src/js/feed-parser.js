@@ -0,0 +1,218 @@
+/**
+ * WordSurf - Feed Parser
+ * Reads RSS 2.0, RSS 1.0 (RDF) and Atom feeds into a list of playable entries
+ *
+ * FeedParser.parse(xml, feedUrl) -> {
+ *   title, url,
+ *   entries: [{ title, url, summary, published, words }]
+ * }
+ * words is estimated from the text the feed carries (full content when it
+ * has it, otherwise the summary), or 0 when the feed has no text.
+ */
+
+const FeedParser = {
+    /**
+     * Parses feed XML
+     * @param {string} xml - Feed document
+     * @param {string} feedUrl - URL the feed was loaded from (resolves relative links)
+     * @returns {object} Feed ({title, url, entries})
+     * @throws {Error} If the document is not an RSS or Atom feed
+     */
+    parse: function(xml, feedUrl) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+
+        if (!doc || !doc.documentElement || doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The feed is not valid XML');
+        }
+
+        const root = doc.documentElement;
+        let feed;
+
+        if (root.localName === 'feed') {
+            feed = this.parseAtom(root, feedUrl);
+        } else if (root.localName === 'rss' || root.localName === 'RDF') {
+            feed = this.parseRss(root, feedUrl);
+        } else {
+            throw new Error(`Not an RSS or Atom feed (root element <${root.localName}>)`);
+        }
+
+        // Entries without a link can't be fetched, and repeated links would replay the same level
+        const seen = new Set();
+        feed.entries = feed.entries.filter(entry => {
+            if (!entry.url || seen.has(entry.url)) {
+                return false;
+            }
+            seen.add(entry.url);
+            return true;
+        }).slice(0, CONFIG.playlist.maxEntries);
+
+        Utils.debugLog(`Parsed feed "${feed.title}" with ${feed.entries.length} entries`);
+        return feed;
+    },
+
+    /**
+     * Parses an RSS 2.0 or RSS 1.0 (RDF) feed
+     * @param {Element} root - <rss> or <rdf:RDF> element
+     * @param {string} feedUrl - Feed URL
+     * @returns {object} Feed
+     */
+    parseRss: function(root, feedUrl) {
+        const channel = this.getChild(root, 'channel');
+
+        // RSS 2.0 nests items in the channel; RSS 1.0 puts them next to it
+        const items = this.getChildren(channel, 'item').concat(this.getChildren(root, 'item'));
+
+        // Relative item links belong to the site the channel links to
+        const baseUrl = this.resolveUrl(this.getChildText(channel, 'link'), feedUrl) || feedUrl;
+
+        return {
+            title: this.getChildText(channel, 'title') || 'Untitled feed',
+            url: feedUrl,
+            entries: items.map(item => {
+                const guid = this.getChild(item, 'guid');
+                const guidLink = guid && guid.getAttribute('isPermaLink') !== 'false' ? guid.textContent : '';
+                const summary = this.toPlainText(this.getChildText(item, 'description'));
+                const content = this.toPlainText(this.getChildText(item, 'encoded'));
+
+                return this.createEntry({
+                    title: this.getChildText(item, 'title'),
+                    link: this.getChildText(item, 'link') || guidLink,
+                    summary: summary,
+                    content: content,
+                    published: this.getChildText(item, 'pubDate') || this.getChildText(item, 'date')
+                }, baseUrl);
+            })
+        };
+    },
+
+    /**
+     * Parses an Atom feed
+     * @param {Element} root - <feed> element
+     * @param {string} feedUrl - Feed URL
+     * @returns {object} Feed
+     */
+    parseAtom: function(root, feedUrl) {
+        const siteLink = this.getAlternateLink(root);
+        const baseUrl = this.resolveUrl(siteLink ? siteLink.getAttribute('href') : '', feedUrl) || feedUrl;
+
+        return {
+            title: this.getChildText(root, 'title') || 'Untitled feed',
+            url: feedUrl,
+            entries: this.getChildren(root, 'entry').map(entry => {
+                const link = this.getAlternateLink(entry);
+
+                return this.createEntry({
+                    title: this.getChildText(entry, 'title'),
+                    link: link ? link.getAttribute('href') : '',
+                    summary: this.toPlainText(this.getChildText(entry, 'summary')),
+                    content: this.toPlainText(this.getChildText(entry, 'content')),
+                    published: this.getChildText(entry, 'published') || this.getChildText(entry, 'updated')
+                }, baseUrl);
+            })
+        };
+    },
+
+    /**
+     * Finds an Atom element's rel="alternate" link (a link without rel means the same)
+     * @param {Element} element - <feed> or <entry> element
+     * @returns {Element|null} Link element, falling back to the first link
+     */
+    getAlternateLink: function(element) {
+        const links = this.getChildren(element, 'link');
+        return links.find(link => (link.getAttribute('rel') || 'alternate') === 'alternate') || links[0] || null;
+    },
+
+    /**
+     * Builds an entry from the fields read out of a feed item
+     * @param {object} fields - {title, link, summary, content, published}
+     * @param {string} baseUrl - Base for relative links
+     * @returns {object} Entry ({title, url, summary, published, words})
+     */
+    createEntry: function(fields, baseUrl) {
+        const url = this.resolveUrl(fields.link, baseUrl);
+        const text = fields.content || fields.summary;
+
+        return {
+            title: this.toPlainText(fields.title) || url || 'Untitled entry',
+            url: url,
+            summary: fields.summary,
+            published: fields.published,
+            words: text ? Utils.countWords(text) : 0
+        };
+    },
+
+    /**
+     * Resolves a link from the feed to an absolute URL
+     * @param {string} link - Link from the feed
+     * @param {string} baseUrl - Base for relative links
+     * @returns {string} Absolute http(s) URL, or '' if the link is unusable
+     */
+    resolveUrl: function(link, baseUrl) {
+        if (!link) {
+            return '';
+        }
+
+        try {
+            const url = new URL(link.trim(), baseUrl || undefined);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+        } catch (error) {
+            return '';
+        }
+    },
+
+    /**
+     * Strips HTML from feed text (descriptions are often escaped HTML)
+     * @param {string} html - Text that may contain markup
+     * @returns {string} Plain text
+     */
+    toPlainText: function(html) {
+        if (!html) {
+            return '';
+        }
+
+        if (!/[<&]/.test(html)) {
+            return html.trim();
+        }
+
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const text = doc.body ? doc.body.textContent : html.replace(/<[^>]*>/g, ' ');
+        return text.replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Gets the child elements with a local name (ignoring namespace prefixes)
+     * @param {Element} element - Parent element
+     * @param {string} localName - Local name to match
+     * @returns {Element[]} Matching children
+     */
+    getChildren: function(element, localName) {
+        if (!element) {
+            return [];
+        }
+
+        return Array.from(element.childNodes).filter(node =>
+            node.nodeType === 1 && node.localName === localName
+        );
+    },
+
+    /**
+     * Gets the first child element with a local name
+     * @param {Element} element - Parent element
+     * @param {string} localName - Local name to match
+     * @returns {Element|null} Matching child
+     */
+    getChild: function(element, localName) {
+        return this.getChildren(element, localName)[0] || null;
+    },
+
+    /**
+     * Gets the trimmed text of the first child element with a local name
+     * @param {Element} element - Parent element
+     * @param {string} localName - Local name to match
+     * @returns {string} Text ('' if there is no such child)
+     */
+    getChildText: function(element, localName) {
+        const child = this.getChild(element, localName);
+        return child ? child.textContent.trim() : '';
+    }
+};
@@ -12,10 +12,12 @@ const Game = {
     // Game state
     state: {
         isLoading: false,
+        isReady: false,
         isPlaying: false,
         isPaused: false,
         currentUrl: null,
         level: null,
+        checkpoint: null,
         startTime: 0,
         elapsedTime: 0
     },
@@ -23,6 +25,30 @@ const Game = {
     // Background iframe
     backgroundIframe: null,
     
+    // Decorative background behind the level
+    background: null,
+    
+    // Undoes the layout settings applied by an imported level file
+    restoreLayout: null,
+    
+    // Countdown timer before the next playlist entry starts (see startAutoAdvance)
+    autoAdvanceTimer: null,
+    
+    // Levels the player left through a portal, innermost last (see enterPortal)
+    portalStack: [],
+    
+    // Keys of the portals already entered in the current level
+    usedPortals: new Set(),
+    
+    // Key terms collected from the current article and the levels opened from its portals, by key
+    collectedKeywords: new Map(),
+    
+    // What the content filter took out of the current level (see ContentFilter.filterSentences)
+    filterReport: null,
+    
+    // Incremented for each game loop started, so a superseded loop stops (see startGameLoop)
+    gameLoopId: 0,
+    
     /**
      * Initializes the game
      */
@@ -36,6 +62,7 @@ const Game = {
         ContentPipeline.init();
         GeometryGenerator.init();
         AudioManager.init();
+        LoadingScreen.init();
         
         // Set up event listeners
         this.setupEventListeners();
@@ -82,8 +109,8 @@ const Game = {
         this.scene.add(directionalLight);
         
         // Add background elements
-        const background = GeometryGenerator.createBackground();
-        this.scene.add(background);
+        this.background = GeometryGenerator.createBackground();
+        this.scene.add(this.background);
         
         // Handle window resize
         window.addEventListener('resize', () => {
@@ -118,35 +145,791 @@ const Game = {
             });
         });
         
+        // Content source tabs (URL, paste text, upload file)
+        const sourceTabs = document.querySelectorAll('.source-tab');
+        sourceTabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                const source = tab.getAttribute('data-source');
+                sourceTabs.forEach(other => other.classList.toggle('active', other === tab));
+                document.querySelectorAll('.source-panel').forEach(panel => {
+                    panel.classList.toggle('active', panel.getAttribute('data-source') === source);
+                });
+            });
+        });
+        
+        // Paste text button
+        const startTextButton = document.getElementById('start-text-button');
+        if (startTextButton) {
+            startTextButton.addEventListener('click', () => {
+                const textInput = document.getElementById('text-input');
+                const titleInput = document.getElementById('text-title-input');
+                const text = textInput ? textInput.value : '';
+                
+                if (!text.trim()) {
+                    alert('Paste some text to surf first.');
+                    return;
+                }
+                
+                this.startGameFromText(text, {
+                    title: titleInput ? titleInput.value.trim() : ''
+                });
+            });
+        }
+        
+        // File upload
+        const fileInput = document.getElementById('file-input');
+        if (fileInput) {
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (file) {
+                    await this.startGameFromFile(file);
+                }
+            });
+        }
+        
+        // Level file import
+        const levelFileInput = document.getElementById('level-file-input');
+        if (levelFileInput) {
+            levelFileInput.addEventListener('change', async () => {
+                const file = levelFileInput.files[0];
+                levelFileInput.value = '';
+                if (file) {
+                    await this.startGameFromLevelFile(file);
+                }
+            });
+        }
+        
+        // Level file export
+        const exportLevelButton = document.getElementById('export-level-button');
+        if (exportLevelButton) {
+            exportLevelButton.addEventListener('click', () => {
+                this.stopAutoAdvance();
+                if (ContentPipeline.articleData) {
+                    LevelFile.download(ContentPipeline.articleData);
+                }
+            });
+        }
+        
+        // Cancel loading
+        const cancelLoadingButton = document.getElementById('cancel-loading-button');
+        if (cancelLoadingButton) {
+            cancelLoadingButton.addEventListener('click', () => {
+                cancelLoadingButton.disabled = true;
+                this.cancelLoading();
+            });
+        }
+        
+        // Feed playlists
+        const loadFeedButton = document.getElementById('load-feed-button');
+        if (loadFeedButton) {
+            loadFeedButton.addEventListener('click', () => {
+                const feedInput = document.getElementById('feed-url-input');
+                const feedUrl = feedInput ? feedInput.value.trim() : '';
+                
+                if (!feedUrl) {
+                    alert('Enter a feed URL first.');
+                    return;
+                }
+                
+                this.openFeed(feedUrl);
+            });
+        }
+        
+        const sampleFeedButton = document.getElementById('sample-feed-button');
+        if (sampleFeedButton) {
+            sampleFeedButton.addEventListener('click', () => {
+                this.openFeed(sampleFeedButton.getAttribute('data-url'));
+            });
+        }
+        
+        const playPlaylistButton = document.getElementById('play-playlist-button');
+        if (playPlaylistButton) {
+            playPlaylistButton.addEventListener('click', () => {
+                // Start from the first entry not played yet
+                const firstUnplayed = Playlist.entries.findIndex(entry => !entry.played);
+                this.playPlaylistEntry(Math.max(0, firstUnplayed));
+            });
+        }
+        
+        const closePlaylistButton = document.getElementById('close-playlist-button');
+        if (closePlaylistButton) {
+            closePlaylistButton.addEventListener('click', () => {
+                Playlist.stop();
+                Utils.toggleScreen('playlist-screen', false);
+                Utils.toggleScreen('start-screen', true);
+            });
+        }
+        
+        // World mode
+        const worldLimitsHint = document.getElementById('world-limits-hint');
+        if (worldLimitsHint) {
+            worldLimitsHint.textContent = `Crawls up to ${CONFIG.crawl.world.maxPages} pages of the same site, ` +
+                `following links up to ${CONFIG.crawl.world.maxDepth} deep. Each page becomes a level.`;
+        }
+        
+        const buildWorldButton = document.getElementById('build-world-button');
+        if (buildWorldButton) {
+            buildWorldButton.addEventListener('click', () => {
+                const worldInput = document.getElementById('world-url-input');
+                const worldUrl = worldInput ? worldInput.value.trim() : '';
+                
+                if (!worldUrl) {
+                    alert('Enter a site URL first.');
+                    return;
+                }
+                
+                this.openWorld(worldUrl);
+            });
+        }
+        
+        const closeWorldButton = document.getElementById('close-world-button');
+        if (closeWorldButton) {
+            closeWorldButton.addEventListener('click', () => {
+                World.stop();
+                Utils.toggleScreen('world-screen', false);
+                Utils.toggleScreen('start-screen', true);
+            });
+        }
+        
+        const worldMapButton = document.getElementById('world-map-button');
+        if (worldMapButton) {
+            worldMapButton.addEventListener('click', () => {
+                this.stopAutoAdvance();
+                this.reset();
+                Utils.toggleScreen('start-screen', false);
+                this.showWorldMap();
+            });
+        }
+        
         // Play again button
         const playAgainButton = document.getElementById('play-again-button');
         if (playAgainButton) {
             playAgainButton.addEventListener('click', () => {
+                this.stopAutoAdvance();
                 Utils.toggleScreen('end-screen', false);
+                
+                // Back to the playlist or world map when playing one
+                this.showHomeScreen();
+            });
+        }
+        
+        // Continue a long article with its next part
+        const nextPartButton = document.getElementById('next-part-button');
+        if (nextPartButton) {
+            nextPartButton.addEventListener('click', () => {
+                this.stopAutoAdvance();
+                this.continueToNextPart();
+            });
+        }
+        
+        // Move on to the next playlist entry
+        const nextEntryButton = document.getElementById('next-entry-button');
+        if (nextEntryButton) {
+            nextEntryButton.addEventListener('click', () => {
+                this.playNextEntry();
+            });
+        }
+        
+        // Level intro: pick a difficulty, then start
+        document.querySelectorAll('.difficulty-option').forEach(option => {
+            option.addEventListener('click', () => {
+                this.chooseDifficulty(option.dataset.difficulty);
+            });
+        });
+        
+        const startLevelButton = document.getElementById('start-level-button');
+        if (startLevelButton) {
+            startLevelButton.addEventListener('click', () => {
+                startLevelButton.blur();
+                this.startLevel();
+            });
+        }
+        
+        // Hyperlink portals: leave a nested level early
+        const exitPortalButton = document.getElementById('exit-portal-button');
+        if (exitPortalButton) {
+            exitPortalButton.addEventListener('click', () => {
+                // Don't let the jump key press the button again
+                exitPortalButton.blur();
+                this.exitPortal();
+            });
+        }
+        
+        // Language-learning mode: translate sentences into the chosen language
+        const translateInput = document.getElementById('translate-content');
+        const translationLanguage = document.getElementById('translation-language');
+        if (translateInput && translationLanguage) {
+            translateInput.checked = CONFIG.translation.enabled;
+            translationLanguage.value = CONFIG.translation.targetLanguage;
+            translateInput.addEventListener('change', () => {
+                CONFIG.translation.enabled = translateInput.checked;
+            });
+            translationLanguage.addEventListener('change', () => {
+                CONFIG.translation.targetLanguage = translationLanguage.value;
+            });
+        }
+        
+        const narrationButton = document.getElementById('narration-button');
+        if (narrationButton) {
+            narrationButton.addEventListener('click', () => {
+                narrationButton.blur();
+                this.toggleNarration();
+            });
+        }
+        
+        window.addEventListener('keydown', (event) => {
+            if (event.code === 'Enter' && this.state.isReady) {
+                event.preventDefault();
+                this.startLevel();
+            }
+            
+            if (event.code === 'KeyL' && !event.ctrlKey && (this.state.isPlaying || this.state.isReady)) {
+                this.toggleNarration();
+            }
+            
+            if (event.code === 'Backspace' && this.portalStack.length > 0 && this.state.isPlaying) {
+                event.preventDefault();
+                this.exitPortal();
+            }
+        });
+        
+        // Cache management screen
+        const manageCacheButton = document.getElementById('manage-cache-button');
+        if (manageCacheButton) {
+            manageCacheButton.addEventListener('click', () => {
+                Utils.toggleScreen('start-screen', false);
+                Utils.toggleScreen('cache-screen', true);
+                this.renderCacheList();
+            });
+        }
+        
+        const clearCacheButton = document.getElementById('clear-cache-button');
+        if (clearCacheButton) {
+            clearCacheButton.addEventListener('click', async () => {
+                await ArticleCache.clear();
+                this.renderCacheList();
+            });
+        }
+        
+        const closeCacheButton = document.getElementById('close-cache-button');
+        if (closeCacheButton) {
+            closeCacheButton.addEventListener('click', () => {
+                Utils.toggleScreen('cache-screen', false);
                 Utils.toggleScreen('start-screen', true);
             });
         }
     },
     
+    /**
+     * Renders the list of cached articles on the cache screen
+     */
+    renderCacheList: async function() {
+        const listElement = document.getElementById('cache-list');
+        const summaryElement = document.getElementById('cache-summary');
+        if (!listElement) return;
+        
+        const entries = await ArticleCache.list();
+        const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+        
+        if (summaryElement) {
+            summaryElement.textContent = entries.length > 0 ?
+                `${entries.length} article(s), ${Utils.formatBytes(totalSize)} total` :
+                'No cached articles yet.';
+        }
+        
+        listElement.innerHTML = '';
+        
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'cache-entry';
+            
+            // Entries from an older pipeline version or past their TTL won't be used
+            if (entry.isExpired || !entry.isCurrent) {
+                item.classList.add('is-stale');
+            }
+            
+            const info = document.createElement('div');
+            info.className = 'cache-entry-info';
+            
+            const title = document.createElement('div');
+            title.className = 'cache-entry-title';
+            title.textContent = entry.title;
+            
+            const meta = document.createElement('div');
+            meta.className = 'cache-entry-meta';
+            const status = entry.isExpired ? 'expired' : (entry.isCurrent ? 'current' : 'outdated pipeline');
+            meta.textContent = `${Utils.formatBytes(entry.size)} · ${new Date(entry.storedAt).toLocaleString()} · ${status} · ${entry.url}`;
+            
+            info.appendChild(title);
+            info.appendChild(meta);
+            
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Delete';
+            removeButton.addEventListener('click', async () => {
+                await ArticleCache.remove(entry.key);
+                this.renderCacheList();
+            });
+            
+            item.appendChild(info);
+            item.appendChild(removeButton);
+            listElement.appendChild(item);
+        });
+    },
+    
     /**
      * Starts the game with the given URL
      * @param {string} url - URL to load content from
      */
     startGame: async function(url) {
+        if (!this.checkUrlPolicy(url)) return;
+        
+        Playlist.stop();
+        World.stop();
+        await this.launchLevel(url, (options) => ContentPipeline.processUrl(url, options));
+    },
+    
+    /**
+     * Checks a URL against the safety policy (CONFIG.safety), telling the player when it's refused
+     * @param {string} url - URL the player asked for
+     * @returns {boolean} True if the URL may be played
+     */
+    checkUrlPolicy: function(url) {
+        const check = ContentFilter.checkUrl(url);
+        if (!check.allowed) {
+            Utils.debugLog(`URL refused: ${url} (${check.reason})`);
+            alert(`That address can't be opened: ${check.reason}.`);
+        }
+        
+        return check.allowed;
+    },
+    
+    /**
+     * Starts the game with user-supplied text
+     * @param {string} text - Plain text or Markdown
+     * @param {object} options - Options ({title, format}) passed to ContentPipeline.processText
+     */
+    startGameFromText: async function(text, options = {}) {
+        Playlist.stop();
+        World.stop();
+        await this.launchLevel(null, (pipelineOptions) =>
+            ContentPipeline.processText(text, { ...options, ...pipelineOptions })
+        );
+    },
+    
+    /**
+     * Starts the game with an uploaded .txt or .md file
+     * @param {File} file - File chosen on the start screen
+     */
+    startGameFromFile: async function(file) {
+        const isMarkdown = /\.(md|markdown)$/i.test(file.name) || file.type === 'text/markdown';
+        const isText = /\.txt$/i.test(file.name) || file.type === 'text/plain';
+        
+        if (!isMarkdown && !isText) {
+            alert('Please choose a plain text (.txt) or Markdown (.md) file.');
+            return;
+        }
+        
+        if (file.size > CONFIG.content.maxUploadBytes) {
+            alert(`That file is too large (limit ${Utils.formatBytes(CONFIG.content.maxUploadBytes)}).`);
+            return;
+        }
+        
+        try {
+            const text = await file.text();
+            await this.startGameFromText(text, {
+                title: file.name.replace(/\.[^.]+$/, ''),
+                format: isMarkdown ? 'markdown' : 'text'
+            });
+        } catch (error) {
+            console.error('Error reading file:', error);
+            alert('Could not read that file.');
+        }
+    },
+    
+    /**
+     * Starts the game with a .wordsurf.json level file, without running the content pipeline
+     * @param {File} file - Level file chosen on the start screen
+     */
+    startGameFromLevelFile: async function(file) {
+        if (file.size > CONFIG.content.maxLevelFileBytes) {
+            alert(`That level file is too large (limit ${Utils.formatBytes(CONFIG.content.maxLevelFileBytes)}).`);
+            return;
+        }
+        
+        let level;
+        try {
+            level = LevelFile.parse(await file.text());
+        } catch (error) {
+            console.error('Invalid level file:', error);
+            alert(`Could not load that level file: ${error.message}`);
+            return;
+        }
+        
+        Playlist.stop();
+        World.stop();
+        
+        // Show the original page behind the level when the level came from one (and the safety policy allows it)
+        const sourceUrl = level.articleData.source.url;
+        const backgroundUrl = /^https?:/i.test(sourceUrl || '') && ContentFilter.checkUrl(sourceUrl).allowed ? sourceUrl : null;
+        
+        await this.launchLevel(backgroundUrl, () => {
+            this.restoreLayout = LevelFile.applyLayout(level.layout);
+            return ContentPipeline.loadImportedLevel(level.articleData);
+        });
+    },
+    
+    /**
+     * Loads an RSS/Atom feed and shows its entries as a playlist
+     * @param {string} feedUrl - Feed URL
+     */
+    openFeed: async function(feedUrl) {
+        // Sample feeds are relative paths to the game's own assets; anything else must pass the safety policy
+        if (/^[a-z][a-z0-9+.-]*:/i.test(feedUrl) && !this.checkUrlPolicy(feedUrl)) return;
+        
+        const summaryElement = document.getElementById('playlist-summary');
+        const listElement = document.getElementById('playlist-list');
+        const titleElement = document.getElementById('playlist-title');
+        
+        if (titleElement) titleElement.textContent = 'Playlist';
+        if (summaryElement) summaryElement.textContent = 'Loading feed...';
+        if (listElement) listElement.innerHTML = '';
+        
+        Utils.toggleScreen('start-screen', false);
+        Utils.toggleScreen('playlist-screen', true);
+        
+        try {
+            await Playlist.load(feedUrl);
+            this.renderPlaylist();
+        } catch (error) {
+            console.error('Error loading feed:', error);
+            Utils.toggleScreen('playlist-screen', false);
+            Utils.toggleScreen('start-screen', true);
+            alert(`Could not load that feed: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Shows the playlist screen with up-to-date cached status
+     */
+    showPlaylist: async function() {
+        Utils.toggleScreen('playlist-screen', true);
+        await Playlist.refreshStatus();
+        this.renderPlaylist();
+    },
+    
+    /**
+     * Renders the playlist entries on the playlist screen
+     */
+    renderPlaylist: function() {
+        const listElement = document.getElementById('playlist-list');
+        const summaryElement = document.getElementById('playlist-summary');
+        const titleElement = document.getElementById('playlist-title');
+        if (!listElement) return;
+        
+        const entries = Playlist.entries;
+        const cachedCount = entries.filter(entry => entry.cached).length;
+        
+        if (titleElement) {
+            titleElement.textContent = Playlist.feed ? Playlist.feed.title : 'Playlist';
+        }
+        if (summaryElement) {
+            summaryElement.textContent = `${entries.length} entries, ${cachedCount} cached`;
+        }
+        
+        listElement.innerHTML = '';
+        
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.className = 'cache-entry';
+            item.classList.toggle('is-played', entry.played);
+            item.classList.toggle('is-current', index === Playlist.currentIndex);
+            
+            const info = document.createElement('div');
+            info.className = 'cache-entry-info';
+            
+            const title = document.createElement('div');
+            title.className = 'cache-entry-title';
+            title.textContent = `${index + 1}. ${entry.title}`;
+            
+            // Cached articles have an exact word count; otherwise estimate from the feed's own text
+            let length = 'length unknown';
+            if (entry.cachedWords) {
+                length = `${entry.cachedWords.toLocaleString()} words`;
+            } else if (entry.words) {
+                length = `~${entry.words.toLocaleString()} words in feed`;
+            }
+            
+            const meta = document.createElement('div');
+            meta.className = 'cache-entry-meta';
+            meta.textContent = [
+                length,
+                entry.cached ? 'cached' : 'not cached',
+                entry.played ? 'played' : null,
+                entry.url
+            ].filter(Boolean).join(' · ');
+            
+            info.appendChild(title);
+            info.appendChild(meta);
+            
+            const playButton = document.createElement('button');
+            playButton.textContent = 'Play';
+            playButton.addEventListener('click', () => {
+                this.playPlaylistEntry(index);
+            });
+            
+            item.appendChild(info);
+            item.appendChild(playButton);
+            listElement.appendChild(item);
+        });
+    },
+    
+    /**
+     * Plays a playlist entry through the normal URL pipeline
+     * @param {number} index - Entry index
+     */
+    playPlaylistEntry: async function(index) {
+        const entry = Playlist.select(index);
+        if (!entry) return;
+        
+        World.stop();
+        Utils.toggleScreen('playlist-screen', false);
+        await this.launchLevel(entry.url, (options) => ContentPipeline.processUrl(entry.url, options));
+    },
+    
+    /**
+     * Clears the finished level and plays the next playlist entry
+     */
+    playNextEntry: function() {
+        this.stopAutoAdvance();
+        
+        const next = Playlist.getNextEntry();
+        if (!next) return;
+        
+        const nextIndex = Playlist.currentIndex + 1;
+        this.reset();
+        Utils.toggleScreen('start-screen', false);
+        this.playPlaylistEntry(nextIndex);
+    },
+    
+    /**
+     * Crawls a site and shows its pages as a world map
+     * @param {string} url - Start page of the crawl
+     */
+    openWorld: async function(url) {
+        if (this.state.isLoading || this.state.isPlaying) return;
+        if (!this.checkUrlPolicy(url)) return;
+        
+        this.state.isLoading = true;
+        Utils.toggleScreen('start-screen', false);
+        Utils.toggleScreen('loading-screen', true);
+        LoadingScreen.start();
+        
+        try {
+            await World.load(url);
+            LoadingScreen.finish();
+            this.state.isLoading = false;
+            Utils.toggleScreen('loading-screen', false);
+            this.showWorldMap();
+        } catch (error) {
+            LoadingScreen.finish();
+            this.state.isLoading = false;
+            Utils.toggleScreen('loading-screen', false);
+            Utils.toggleScreen('start-screen', true);
+            
+            if (Utils.isAbortError(error)) {
+                Utils.debugLog('Crawl cancelled');
+                return;
+            }
+            
+            console.error('Error building world:', error);
+            alert(`Could not build a world from that site: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Shows the world map screen
+     */
+    showWorldMap: function() {
+        Utils.toggleScreen('world-screen', true);
+        this.renderWorldMap();
+    },
+    
+    /**
+     * Renders the world map: pages laid out by link distance from the start
+     * page, joined by the links between them
+     */
+    renderWorldMap: function() {
+        const mapElement = document.getElementById('world-map');
+        const summaryElement = document.getElementById('world-summary');
+        const titleElement = document.getElementById('world-title');
+        if (!mapElement || !World.world) return;
+        
+        const svgNs = 'http://www.w3.org/2000/svg';
+        const width = 1000;
+        const height = 600;
+        const margin = 60;
+        const positions = World.getLayout().map(position => ({
+            x: margin + position.x * (width - margin * 2),
+            y: margin + position.y * (height - margin * 2)
+        }));
+        const summary = World.getSummary();
+        
+        if (titleElement) {
+            titleElement.textContent = World.world.title;
+        }
+        if (summaryElement) {
+            summaryElement.textContent = `${summary.completed} of ${summary.total} pages surfed. ` +
+                'Surf a page to unlock the pages it links to.';
+        }
+        
+        mapElement.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        mapElement.innerHTML = '';
+        
+        World.world.edges.forEach(([from, to]) => {
+            const line = document.createElementNS(svgNs, 'line');
+            line.setAttribute('class', 'world-link');
+            line.setAttribute('x1', positions[from].x);
+            line.setAttribute('y1', positions[from].y);
+            line.setAttribute('x2', positions[to].x);
+            line.setAttribute('y2', positions[to].y);
+            line.classList.toggle('is-open', World.isUnlocked(from) && World.isUnlocked(to));
+            mapElement.appendChild(line);
+        });
+        
+        World.world.pages.forEach(page => {
+            const unlocked = World.isUnlocked(page.id);
+            const completed = World.isCompleted(page.id);
+            const progress = World.progress[page.url];
+            
+            const node = document.createElementNS(svgNs, 'g');
+            node.setAttribute('class', 'world-page');
+            node.setAttribute('transform', `translate(${positions[page.id].x}, ${positions[page.id].y})`);
+            node.classList.add(completed ? 'is-completed' : (unlocked ? 'is-unlocked' : 'is-locked'));
+            node.classList.toggle('is-current', page.id === World.currentPage);
+            
+            const tooltip = document.createElementNS(svgNs, 'title');
+            tooltip.textContent = [
+                page.title,
+                completed ? `best score ${progress.bestScore}` : (unlocked ? 'ready to surf' : 'locked'),
+                page.url
+            ].join(' · ');
+            
+            const circle = document.createElementNS(svgNs, 'circle');
+            circle.setAttribute('r', 22);
+            
+            const label = document.createElementNS(svgNs, 'text');
+            label.setAttribute('y', 40);
+            label.textContent = page.title.length > 24 ? `${page.title.substring(0, 23)}…` : page.title;
+            
+            node.appendChild(tooltip);
+            node.appendChild(circle);
+            node.appendChild(label);
+            
+            if (unlocked) {
+                node.addEventListener('click', () => {
+                    this.playWorldPage(page.id);
+                });
+            }
+            
+            mapElement.appendChild(node);
+        });
+    },
+    
+    /**
+     * Plays a world page: its crawled content goes through the structure and tone stages
+     * @param {number} id - Page ID
+     */
+    playWorldPage: async function(id) {
+        if (this.state.isLoading || this.state.isPlaying) return;
+        
+        const page = World.select(id);
+        if (!page) return;
+        
+        Playlist.stop();
+        Utils.toggleScreen('world-screen', false);
+        await this.launchLevel(page.url, (options) => ContentPipeline.processCrawledPage(page, options));
+    },
+    
+    /**
+     * Counts down on the end screen, then plays the next playlist entry
+     * @param {object} next - Next entry
+     */
+    startAutoAdvance: function(next) {
+        const nextEntryButton = document.getElementById('next-entry-button');
+        let secondsLeft = CONFIG.playlist.autoAdvanceSeconds;
+        
+        const update = () => {
+            if (nextEntryButton) {
+                nextEntryButton.textContent = `Next: ${next.title} (${secondsLeft})`;
+            }
+        };
+        
+        this.stopAutoAdvance();
+        update();
+        
+        this.autoAdvanceTimer = setInterval(() => {
+            secondsLeft--;
+            if (secondsLeft <= 0) {
+                this.playNextEntry();
+            } else {
+                update();
+            }
+        }, 1000);
+    },
+    
+    /**
+     * Stops the countdown to the next playlist entry
+     */
+    stopAutoAdvance: function() {
+        if (this.autoAdvanceTimer) {
+            clearInterval(this.autoAdvanceTimer);
+            this.autoAdvanceTimer = null;
+        }
+    },
+    
+    /**
+     * Loads content, builds the level and starts playing
+     * @param {string|null} backgroundUrl - Page to show as the background (null for user text)
+     * @param {Function} loadContent - Receives pipeline options ({refresh}) and returns processed article data
+     */
+    launchLevel: async function(backgroundUrl, loadContent) {
         if (this.state.isLoading || this.state.isPlaying) return;
         
         // Set loading state
         this.state.isLoading = true;
-        this.state.currentUrl = url;
+        this.state.currentUrl = backgroundUrl;
+        this.usedPortals = new Set();
+        
+        // Key terms collected in a portal's level count towards the article it was opened from
+        if (this.portalStack.length === 0) {
+            this.collectedKeywords = new Map();
+        }
         
         // Show loading screen
         Utils.toggleScreen('start-screen', false);
+        Utils.toggleScreen('playlist-screen', false);
+        Utils.toggleScreen('world-screen', false);
         Utils.toggleScreen('loading-screen', true);
-        Utils.updateLoadingProgress(0, 'Starting...');
+        LoadingScreen.start();
+        
+        // Layout settings from a previously imported level file only apply to that level
+        if (this.restoreLayout) {
+            this.restoreLayout();
+            this.restoreLayout = null;
+        }
         
         try {
-            // Process the URL
-            await ContentPipeline.processUrl(url);
+            // Process the content (or load it from the cache)
+            const refreshInput = document.getElementById('refresh-content');
+            await loadContent({
+                refresh: refreshInput ? refreshInput.checked : false
+            });
+            
+            // User text has no URL of its own; use the pseudo-URL from the pipeline
+            if (!backgroundUrl) {
+                this.state.currentUrl = ContentPipeline.getArticleMetadata().url;
+            }
             
             // Create the level
             this.createLevel();
@@ -158,74 +941,307 @@ const Game = {
             this.positionPlayerAtStart();
             
             // Load background iframe
-            this.loadBackgroundIframe(url);
-            
-            // Start game loop
-            this.startGameLoop();
+            this.loadBackgroundIframe(backgroundUrl);
             
             // Hide loading screen
+            LoadingScreen.finish();
             Utils.toggleScreen('loading-screen', false);
-            
-            // Set game state
             this.state.isLoading = false;
-            this.state.isPlaying = true;
-            this.state.startTime = Date.now();
+            
+            // Show the level's difficulty; play starts from there
+            this.showLevelIntro();
             
         } catch (error) {
+            LoadingScreen.finish();
+            this.state.isLoading = false;
+            
+            // Cancelled by the player: straight back to the start (or playlist) screen
+            if (Utils.isAbortError(error)) {
+                Utils.debugLog('Loading cancelled');
+                Utils.toggleScreen('loading-screen', false);
+                this.showHomeScreen();
+                return;
+            }
+            
             console.error('Error starting game:', error);
             Utils.updateLoadingProgress(100, 'Error loading content');
             
             // Show error message
             setTimeout(() => {
                 Utils.toggleScreen('loading-screen', false);
-                Utils.toggleScreen('start-screen', true);
-                alert('Error loading content. Please try a different URL.');
+                this.showHomeScreen();
+                alert('Error loading content. Please try a different URL or text.');
             }, 1000);
-            
-            this.state.isLoading = false;
         }
     },
     
+    /**
+     * Shows the built level's difficulty rating and readability before play starts
+     */
+    showLevelIntro: function() {
+        const difficulty = Readability.getDifficulty(ContentPipeline.articleData);
+        const metrics = difficulty.metrics;
+        const metadata = ContentPipeline.getArticleMetadata();
+        const rating = difficulty.rating.charAt(0).toUpperCase() + difficulty.rating.slice(1);
+        
+        document.getElementById('level-intro-title').textContent = metadata.title ?
+            (CONFIG.safety.textFilter ? ContentFilter.maskText(metadata.title).text : metadata.title) : 'Ready?';
+        document.getElementById('difficulty-rating').textContent = difficulty.isOverride ?
+            `Difficulty: ${rating} (chosen; the text rates ${metrics ? metrics.rating : 'normal'})` :
+            `Difficulty: ${rating}`;
+        
+        const stats = document.getElementById('readability-stats');
+        stats.innerHTML = '';
+        if (metrics && metrics.words > 0) {
+            [
+                `Reading grade ${Math.max(0, metrics.fleschKincaidGrade).toFixed(1)}`,
+                `${metrics.avgSentenceLength.toFixed(1)} words per sentence`,
+                `${metrics.avgWordLength.toFixed(1)} letters per word`,
+                `${Math.round(metrics.rareWordRatio * 100)}% rare words`
+            ].forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                stats.appendChild(item);
+            });
+        }
+        
+        document.querySelectorAll('.difficulty-option').forEach(option => {
+            option.classList.toggle('active', option.dataset.difficulty === Readability.getOverride());
+        });
+        
+        this.updateFilterReport();
+        
+        // Show the level behind the card
+        this.render();
+        
+        this.state.isReady = true;
+        Utils.toggleScreen('level-intro-screen', true);
+    },
+    
+    /**
+     * Shows what the content filter took out of the level on the level intro
+     * (which sentences and how many words, never the filtered words themselves)
+     */
+    updateFilterReport: function() {
+        const container = document.getElementById('filter-report');
+        const summary = document.getElementById('filter-report-summary');
+        const list = document.getElementById('filter-report-list');
+        if (!container || !summary || !list) return;
+        
+        const report = this.filterReport || ContentFilter.createReport();
+        const descriptions = {
+            skipped: item => `skipped (${item.category === 'unsafe' ? 'unsafe content' : 'profanity'})`,
+            masked: item => `${item.count} word(s) masked`,
+            unlinked: item => `${item.count} link(s) to blocked sites removed`
+        };
+        
+        summary.textContent = ContentFilter.summarizeReport(report);
+        list.innerHTML = '';
+        report.items.forEach(item => {
+            const entry = document.createElement('li');
+            entry.textContent = `Sentence ${item.id}: ${descriptions[item.action](item)}`;
+            list.appendChild(entry);
+        });
+        
+        container.style.display = report.items.length > 0 ? 'block' : 'none';
+    },
+    
+    /**
+     * Changes the difficulty from the level intro and rebuilds the level with it
+     * @param {string} choice - 'auto', 'easy', 'normal' or 'hard'
+     */
+    chooseDifficulty: function(choice) {
+        if (!this.state.isReady) return;
+        
+        Readability.setOverride(choice);
+        
+        this.removeLevel();
+        this.createLevel();
+        
+        Player.state.velocity.x = 0;
+        Player.state.velocity.y = 0;
+        Player.state.currentPlatform = null;
+        this.positionPlayerAtStart();
+        
+        this.showLevelIntro();
+    },
+    
+    /**
+     * Starts playing the level shown by the level intro
+     */
+    startLevel: function() {
+        if (!this.state.isReady) return;
+        
+        this.state.isReady = false;
+        Utils.toggleScreen('level-intro-screen', false);
+        
+        this.state.isPlaying = true;
+        this.state.startTime = Date.now();
+        this.startGameLoop();
+    },
+    
+    /**
+     * Goes back to where the player came from: the level they left when a
+     * portal's article didn't load, the playlist screen while playing a feed,
+     * the world map while playing a world, otherwise the start screen
+     */
+    showHomeScreen: function() {
+        if (this.portalStack.length > 0) {
+            this.returnFromPortal();
+        } else if (Playlist.isActive()) {
+            this.showPlaylist();
+        } else if (World.isActive()) {
+            this.showWorldMap();
+        } else {
+            Utils.toggleScreen('start-screen', true);
+        }
+    },
+    
+    /**
+     * Cancels loading: aborts the content pipeline and any audio requests in flight
+     */
+    cancelLoading: function() {
+        if (!this.state.isLoading) return;
+        
+        Utils.updateLoadingProgress(LoadingScreen.getProgress(), 'Cancelling...');
+        ContentPipeline.cancel();
+        AudioManager.cancelRequests();
+    },
+    
     /**
      * Creates the level from processed content
      */
     createLevel: function() {
-        // Get all sentences
-        const sentences = ContentPipeline.getAllSentences();
+        // Get the sentences of the current part (long articles are split into parts),
+        // with profanity masked, unsafe sentences left out and links to blocked sites removed
+        const filtered = ContentFilter.filterSentences(ContentPipeline.getCurrentPartSentences());
+        const sentences = filtered.sentences;
+        this.filterReport = filtered.report;
         
         Utils.debugLog(`Game.createLevel: Retrieved ${sentences.length} sentences from ContentPipeline`);
         
-        // Create level geometry
-        const level = GeometryGenerator.createLevel(sentences);
+        // Lay the level out for the article's difficulty (or the player's override)
+        const difficulty = Readability.getDifficulty(ContentPipeline.articleData);
+        const level = GeometryGenerator.createLevel(sentences, difficulty.layout);
+        Player.setTuning(difficulty.layout);
+        
+        // Key terms already collected (before a portal, or in an earlier build of the level) stay collected
+        level.userData.keywords.forEach(token => {
+            token.collected = this.collectedKeywords.has(token.keyword.key);
+        });
         
-        // Add level to scene
+        // Add level to scene, with its first few sentences built (the rest follow the player)
         this.scene.add(level);
+        LevelStreamer.update(level, 0);
+        
+        // Lay out the background decorations from the level's seed
+        this.updateBackground();
         
         // Store level reference
         this.state.level = level;
         
         // Log the number of platforms created
-        if (level && level.children) {
-            Utils.debugLog(`Game.createLevel: Created level with ${level.children.length} platforms`);
+        if (level && level.userData.stream) {
+            Utils.debugLog(`Game.createLevel: Laid out level with ${level.userData.stream.items.length} platforms and gates`);
         }
         
+        // Show which part of a long article this is
+        this.updatePartDisplay();
+        this.updateNarrationDisplay();
+        
         // Preload audio for first few sentences
         AudioManager.preloadSentences(sentences);
     },
     
+    /**
+     * Rebuilds the background decorations from the current level's seed, so a
+     * level plays with the same scenery wherever its file is loaded
+     */
+    updateBackground: function() {
+        if (this.background) {
+            this.scene.remove(this.background);
+            GeometryGenerator.disposeObject(this.background);
+        }
+        
+        this.background = GeometryGenerator.createBackground(ContentPipeline.getLevelSeed());
+        this.scene.add(this.background);
+    },
+    
+    /**
+     * Shows "Part n of m" in the HUD when the article is split into parts
+     */
+    updatePartDisplay: function() {
+        const partDisplay = document.getElementById('part-display');
+        if (!partDisplay) return;
+        
+        const partInfo = ContentPipeline.getPartInfo();
+        partDisplay.textContent = `Part ${partInfo.part} of ${partInfo.totalParts}`;
+        partDisplay.style.display = partInfo.totalParts > 1 ? 'block' : 'none';
+    },
+    
+    /**
+     * Shows the narrated language in the HUD when the article has translations
+     */
+    updateNarrationDisplay: function() {
+        const narrationButton = document.getElementById('narration-button');
+        if (!narrationButton) return;
+        
+        const articleData = ContentPipeline.articleData;
+        const isTranslated = !!(articleData && articleData.translation && CONFIG.translation.enabled);
+        narrationButton.textContent = isTranslated ?
+            `Narration: ${Utils.getLanguageName(AudioManager.getNarrationLanguage())} (L)` : '';
+        narrationButton.style.display = isTranslated ? 'block' : 'none';
+    },
+    
+    /**
+     * Switches narration between the article's language and its translation
+     */
+    toggleNarration: function() {
+        const articleData = ContentPipeline.articleData;
+        if (!articleData || !articleData.translation || !CONFIG.translation.enabled) {
+            return;
+        }
+        
+        AudioManager.setNarration(AudioManager.narration === 'translation' ? 'source' : 'translation');
+        this.updateNarrationDisplay();
+    },
+    
+    /**
+     * Builds and starts the next part of a long article, keeping the score
+     */
+    continueToNextPart: function() {
+        if (this.state.isPlaying || !ContentPipeline.nextPart()) return;
+        
+        Utils.toggleScreen('end-screen', false);
+        
+        // Replace the finished part's level
+        this.removeLevel();
+        this.state.checkpoint = null;
+        
+        this.createLevel();
+        
+        // Drop the player at the start of the new level
+        Player.state.velocity.x = 0;
+        Player.state.velocity.y = 0;
+        Player.state.currentPlatform = null;
+        this.positionPlayerAtStart();
+        
+        this.state.isPlaying = true;
+        this.state.startTime = Date.now();
+        this.startGameLoop();
+    },
+    
     /**
      * Positions the player at the start of the level
      */
     positionPlayerAtStart: function() {
-        if (!this.state.level || !this.state.level.children.length) return;
-        
-        // Get the first platform
-        const firstPlatform = this.state.level.children[0];
+        // Get the first platform (skipping section gates)
+        const firstPlatform = LevelStreamer.getFirstPlatform(this.state.level);
+        if (!firstPlatform) return;
         
         // Position player at the start of the first platform
-        const platformLength = firstPlatform.userData.length;
-        const startX = firstPlatform.position.x - platformLength / 2 + 1; // +1 to move slightly in from the edge
-        const startY = firstPlatform.position.y + 2; // +200 to position above the platform
+        const startX = firstPlatform.left + 1; // +1 to move slightly in from the edge
+        const startY = firstPlatform.y + 2; // +200 to position above the platform
         
         // Set player position
         Player.state.position.x = startX;
@@ -251,8 +1267,10 @@ const Game = {
         // In a real implementation, we would use Browserbase API here
         // For this demo, we'll create a simple iframe
         
-        // Check if we're in debug mode and skipping APIs
-        if (CONFIG.debug.enabled && CONFIG.debug.skipApis) {
+        // Use a placeholder for user text (no page to show) and when skipping APIs
+        if (!url || (CONFIG.debug.enabled && CONFIG.debug.skipApis)) {
+            const title = ContentPipeline.getArticleMetadata().title;
+            
             // Create a placeholder div instead of iframe
             const placeholderDiv = document.createElement('div');
             placeholderDiv.style.width = '100%';
@@ -263,7 +1281,7 @@ const Game = {
             placeholderDiv.style.alignItems = 'center';
             placeholderDiv.style.color = '#666';
             placeholderDiv.style.fontSize = '1.5rem';
-            placeholderDiv.textContent = 'Background: ' + url;
+            placeholderDiv.textContent = url ? 'Background: ' + url : (title || 'Your text');
             
             backgroundContainer.appendChild(placeholderDiv);
             this.backgroundIframe = placeholderDiv;
@@ -337,6 +1355,9 @@ const Game = {
         // Store the last time for delta calculation
         let lastTime = performance.now();
         
+        // A level rebuilt in the same frame (e.g. back out of a portal) starts a new loop
+        const loopId = ++this.gameLoopId;
+        
         // Animation loop
         const animate = (time) => {
             // Calculate delta time
@@ -344,7 +1365,7 @@ const Game = {
             lastTime = time;
             
             // Skip if game is not playing
-            if (!this.state.isPlaying) return;
+            if (!this.state.isPlaying || loopId !== this.gameLoopId) return;
             
             // Update game
             this.update(deltaTime);
@@ -368,9 +1389,19 @@ const Game = {
         // Cap delta time to avoid large jumps
         const cappedDelta = Math.min(deltaTime, 0.1);
         
+        // Build the platforms ahead of the player and dispose of those well behind
+        LevelStreamer.update(this.state.level, Player.getPosition().x);
+        
         // Update player
         Player.update(cappedDelta, this.state.level);
         
+        // Collect key terms
+        this.checkKeywords(cappedDelta);
+        
+        // Jump into a portal
+        this.checkPortals();
+        if (!this.state.isPlaying) return;
+        
         // Update camera
         this.updateCamera();
         
@@ -431,16 +1462,283 @@ const Game = {
             this.endLevel();
         }
         
-        // Check if player has fallen off the level
-        if (playerPos.y < -20) {
-            this.endLevel();
+        // Record the last section gate the player has passed
+        const checkpoints = this.state.level.userData.checkpoints || [];
+        checkpoints.forEach(checkpoint => {
+            if (playerPos.x >= checkpoint.x &&
+                (!this.state.checkpoint || checkpoint.x > this.state.checkpoint.x)) {
+                this.state.checkpoint = checkpoint;
+                Utils.debugLog('Checkpoint reached: ' + checkpoint.heading);
+            }
+        });
+        
+        // Check if player has fallen below the lowest platform
+        const lowestY = this.state.level.userData.lowestY || 0;
+        if (playerPos.y < lowestY - 20) {
+            if (this.state.checkpoint) {
+                this.respawnAtCheckpoint();
+            } else {
+                this.endLevel();
+            }
+        }
+    },
+    
+    /**
+     * Enters a portal when the player jumps into one (surfing over the linked words doesn't)
+     */
+    checkPortals: function() {
+        if (!this.state.level || !this.state.isPlaying) return;
+        
+        const playerPos = Player.getPosition();
+        const portals = this.state.level.userData.portals || [];
+        
+        const portal = portals.find(candidate =>
+            !this.usedPortals.has(candidate.key) &&
+            Math.abs(playerPos.x - candidate.x) <= candidate.halfWidth &&
+            playerPos.y - candidate.y >= CONFIG.portals.triggerHeight &&
+            playerPos.y - candidate.y <= CONFIG.portals.height + CONFIG.portals.radius
+        );
+        
+        if (portal) {
+            this.enterPortal(portal);
+        }
+    },
+    
+    /**
+     * Spins the keyword tokens and collects the one the player touches
+     * @param {number} deltaTime - Time since last update
+     */
+    checkKeywords: function(deltaTime) {
+        if (!this.state.level) return;
+        
+        const playerPos = Player.getPosition();
+        
+        this.state.level.userData.keywords.forEach(token => {
+            // Tokens on platforms not built yet (or disposed of) are out of reach anyway
+            if (token.collected || !token.object) return;
+            
+            token.object.getObjectByName('gem').rotation.y += deltaTime * 2;
+            
+            const dx = Math.max(0, Math.abs(playerPos.x - token.x) - token.halfWidth);
+            const dy = playerPos.y - (token.y + CONFIG.keywords.height);
+            if (Math.hypot(dx, dy) <= CONFIG.keywords.collectRadius) {
+                token.collected = true;
+                token.object.visible = false;
+                this.collectedKeywords.set(token.keyword.key, token.keyword);
+                Player.awardKeyword(token.keyword);
+            }
+        });
+    },
+    
+    /**
+     * Shows the key terms collected from the article on the end screen
+     */
+    updateKeyConcepts: function() {
+        const container = document.getElementById('key-concepts');
+        const list = document.getElementById('key-concepts-list');
+        const summary = document.getElementById('key-concepts-summary');
+        if (!container || !list || !summary) return;
+        
+        const keywords = (ContentPipeline.articleData && ContentPipeline.articleData.keywords) || [];
+        const collected = Array.from(this.collectedKeywords.values());
+        const fromArticle = keywords.filter(keyword => this.collectedKeywords.has(keyword.key)).length;
+        
+        container.style.display = keywords.length > 0 || collected.length > 0 ? 'block' : 'none';
+        summary.textContent = `You collected ${fromArticle} of the ${keywords.length} key concepts in this article.`;
+        
+        list.innerHTML = '';
+        collected.forEach(keyword => {
+            const item = document.createElement('li');
+            item.textContent = keyword.term;
+            
+            const points = document.createElement('span');
+            points.className = 'key-concept-points';
+            points.textContent = `+${keyword.points}`;
+            item.appendChild(points);
+            
+            list.appendChild(item);
+        });
+    },
+    
+    /**
+     * Leaves the current level for the linked article, played as a nested
+     * level; finishing or exiting it returns to the words after the portal
+     * @param {object} portal - Portal from the level ({link, key, x, y, halfWidth})
+     */
+    enterPortal: async function(portal) {
+        this.usedPortals.add(portal.key);
+        
+        if (this.portalStack.length >= CONFIG.portals.maxDepth) {
+            Utils.debugLog(`Portal to ${portal.link.url} ignored: already ${this.portalStack.length} portals deep`);
+            return;
+        }
+        
+        Utils.debugLog(`Entering portal "${portal.link.text}" to ${portal.link.url}`);
+        
+        const score = Player.getScore();
+        const perfectSurfs = Player.getPerfectSurfs();
+        
+        this.portalStack.push({
+            articleData: ContentPipeline.articleData,
+            part: ContentPipeline.currentPart,
+            url: this.state.currentUrl,
+            checkpoint: this.state.checkpoint,
+            elapsedTime: this.state.elapsedTime,
+            usedPortals: this.usedPortals,
+            restoreLayout: this.restoreLayout,
+            linkText: portal.link.text,
+            returnX: portal.x + portal.halfWidth
+        });
+        
+        // An imported level's layout stays in force until the player is back out
+        this.restoreLayout = null;
+        
+        this.stopLevel();
+        if (Player.object) {
+            this.scene.remove(Player.object);
+            Player.object = null;
+        }
+        
+        await this.launchLevel(portal.link.url, (options) => ContentPipeline.processUrl(portal.link.url, options));
+        
+        // The score carries on through the nested level
+        if (this.state.isReady) {
+            Player.state.score = score;
+            Player.state.perfectSurfs = perfectSurfs;
+            Player.updateScoreDisplay();
+            this.updatePortalDisplay();
+        }
+    },
+    
+    /**
+     * Leaves a nested level before finishing it
+     */
+    exitPortal: function() {
+        if (this.portalStack.length === 0 || !this.state.isPlaying) return;
+        
+        this.returnFromPortal();
+    },
+    
+    /**
+     * Rebuilds the level the player left through a portal and puts them back
+     * on the words just past it, keeping the score from the nested level
+     */
+    returnFromPortal: function() {
+        const frame = this.portalStack.pop();
+        if (!frame) return;
+        
+        Utils.debugLog(`Returning from portal "${frame.linkText}"`);
+        
+        this.stopLevel();
+        Utils.toggleScreen('loading-screen', false);
+        
+        ContentPipeline.setArticleData(frame.articleData);
+        ContentPipeline.currentPart = frame.part;
+        this.restoreLayout = frame.restoreLayout;
+        this.usedPortals = frame.usedPortals;
+        this.state.currentUrl = frame.url;
+        this.state.checkpoint = frame.checkpoint;
+        
+        this.createLevel();
+        
+        // The nested level may not have loaded, in which case there is no player yet
+        if (!Player.object) {
+            const score = Player.getScore();
+            const perfectSurfs = Player.getPerfectSurfs();
+            Player.init(this.scene);
+            Player.state.score = score;
+            Player.state.perfectSurfs = perfectSurfs;
+            Player.updateScoreDisplay();
+        }
+        
+        Player.state.velocity.x = 0;
+        Player.state.velocity.y = 0;
+        Player.state.currentPlatform = null;
+        Player.state.position.x = frame.returnX;
+        Player.state.position.y = this.getSurfaceYAtX(frame.returnX) + 1;
+        Player.updatePosition();
+        this.updateCamera();
+        
+        this.loadBackgroundIframe(frame.url);
+        this.updatePortalDisplay();
+        
+        this.state.isLoading = false;
+        this.state.isPlaying = true;
+        this.state.startTime = Date.now() - frame.elapsedTime * 1000;
+        this.startGameLoop();
+    },
+    
+    /**
+     * Stops the game loop and removes the current level from the scene
+     */
+    stopLevel: function() {
+        this.state.isPlaying = false;
+        AudioManager.stopAll();
+        
+        this.removeLevel();
+    },
+    
+    /**
+     * Takes the current level out of the scene and frees what was built for it
+     */
+    removeLevel: function() {
+        if (this.state.level) {
+            this.scene.remove(this.state.level);
+            LevelStreamer.disposeLevel(this.state.level);
+            this.state.level = null;
         }
     },
     
+    /**
+     * Gets the height of the highest platform surface at a position
+     * @param {number} x - X position in the level
+     * @returns {number} Surface height (0 if no platform covers x)
+     */
+    getSurfaceYAtX: function(x) {
+        const surfaceY = LevelStreamer.getSurfaceYAt(this.state.level, x);
+        
+        return surfaceY === -Infinity ? 0 : surfaceY;
+    },
+    
+    /**
+     * Shows the way back out in the HUD while playing a nested level
+     */
+    updatePortalDisplay: function() {
+        const exitPortalButton = document.getElementById('exit-portal-button');
+        if (!exitPortalButton) return;
+        
+        const frame = this.portalStack[this.portalStack.length - 1];
+        exitPortalButton.textContent = frame ? `Back from "${frame.linkText}" (Backspace)` : '';
+        exitPortalButton.style.display = frame ? 'block' : 'none';
+    },
+    
+    /**
+     * Puts the player back at the last section gate they passed
+     */
+    respawnAtCheckpoint: function() {
+        const checkpoint = this.state.checkpoint;
+        if (!checkpoint) return;
+        
+        Player.state.position.x = checkpoint.spawnX;
+        Player.state.position.y = checkpoint.spawnY;
+        Player.state.velocity.x = 0;
+        Player.state.velocity.y = 0;
+        Player.state.currentPlatform = null;
+        Player.updatePosition();
+        
+        Utils.debugLog('Respawned at checkpoint: ' + checkpoint.heading);
+    },
+    
     /**
      * Ends the current level
      */
     endLevel: function() {
+        // Finishing a portal's level goes back to the level the portal was in
+        if (this.portalStack.length > 0) {
+            this.returnFromPortal();
+            return;
+        }
+        
         // Stop the game
         this.state.isPlaying = false;
         
@@ -453,6 +1751,45 @@ const Game = {
             finalScoreElement.textContent = Player.getScore();
         }
         
+        // Tell the player how much of a long article is left
+        const partInfo = ContentPipeline.getPartInfo();
+        const partInfoElement = document.getElementById('part-info');
+        if (partInfoElement) {
+            partInfoElement.textContent = partInfo.hasNextPart ?
+                `You finished part ${partInfo.part} of ${partInfo.totalParts}. ` +
+                `${partInfo.remainingWords.toLocaleString()} more words ` +
+                `(${partInfo.remainingLength.toLocaleString()} characters) were left out of this level.` :
+                '';
+        }
+        
+        // Key terms collected along the way
+        this.updateKeyConcepts();
+        
+        const nextPartButton = document.getElementById('next-part-button');
+        if (nextPartButton) {
+            nextPartButton.textContent = `Continue to Part ${partInfo.part + 1}`;
+            nextPartButton.style.display = partInfo.hasNextPart ? 'inline-block' : 'none';
+        }
+        
+        // Playing a feed: move on to the next entry (automatically once the whole article is done)
+        Playlist.markPlayed();
+        const nextEntry = Playlist.getNextEntry();
+        const nextEntryButton = document.getElementById('next-entry-button');
+        if (nextEntryButton) {
+            nextEntryButton.textContent = nextEntry ? `Next: ${nextEntry.title}` : '';
+            nextEntryButton.style.display = nextEntry ? 'inline-block' : 'none';
+        }
+        if (nextEntry && !partInfo.hasNextPart) {
+            this.startAutoAdvance(nextEntry);
+        }
+        
+        // Playing a world: record the page's result, which unlocks the pages it links to
+        World.recordResult(Player.getScore(), Player.getPerfectSurfs());
+        const worldMapButton = document.getElementById('world-map-button');
+        if (worldMapButton) {
+            worldMapButton.style.display = World.isActive() ? 'inline-block' : 'none';
+        }
+        
         Utils.toggleScreen('end-screen', true);
         
         // Save progress (in a real implementation, this would use AWS Amplify)
@@ -508,16 +1845,21 @@ const Game = {
     reset: function() {
         // Stop the game
         this.state.isPlaying = false;
+        this.state.isReady = false;
+        Utils.toggleScreen('level-intro-screen', false);
+        this.stopAutoAdvance();
         
         // Stop all audio
         AudioManager.stopAll();
         
-        // Clear the scene
-        if (this.state.level) {
-            this.scene.remove(this.state.level);
-            this.state.level = null;
+        const narrationButton = document.getElementById('narration-button');
+        if (narrationButton) {
+            narrationButton.style.display = 'none';
         }
         
+        // Clear the scene
+        this.removeLevel();
+        
         // Reset player
         if (Player.object) {
             this.scene.remove(Player.object);
@@ -531,6 +1873,20 @@ const Game = {
         }
         this.backgroundIframe = null;
         
+        // Hide the part indicator
+        const partDisplay = document.getElementById('part-display');
+        if (partDisplay) {
+            partDisplay.style.display = 'none';
+        }
+        
+        // Drop any levels left through portals (an imported level's layout is undone on the next launch)
+        if (this.portalStack.length > 0) {
+            this.restoreLayout = this.portalStack[0].restoreLayout || this.restoreLayout;
+            this.portalStack = [];
+        }
+        this.usedPortals = new Set();
+        this.updatePortalDisplay();
+        
         // Reset state
         this.state = {
             isLoading: false,
@@ -538,6 +1894,7 @@ const Game = {
             isPaused: false,
             currentUrl: null,
             level: null,
+            checkpoint: null,
             startTime: 0,
             elapsedTime: 0
         };
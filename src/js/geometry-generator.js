@@ -1,12 +1,54 @@
 /**
  * WordSurf - Geometry Generator
- * Creates Three.js geometry for sentence platforms based on curviness
+ * Creates Three.js geometry for sentence platforms shaped by sentence tone
  */
 
 const GeometryGenerator = {
-    // Cache for generated geometries
+    // Cache for generated platform meshes ({mesh, users} by cache key); platforms
+    // built from an entry share its geometry and material (see releaseCachedPlatform)
     geometryCache: {},
     
+    // Visual style per document block type
+    // surface: 'wave' follows the tone curve, 'rail' is a flat grind rail
+    blockStyles: {
+        paragraph: {
+            color: 0x4fc3f7,
+            specular: 0x004ba0,
+            shininess: 30,
+            textColor: '#000000',
+            fontFamily: 'Arial',
+            fontStyle: 'normal',
+            surface: 'wave'
+        },
+        'list-item': {
+            color: 0x81c784,
+            specular: 0x1b5e20,
+            shininess: 30,
+            textColor: '#000000',
+            fontFamily: 'Arial',
+            fontStyle: 'normal',
+            surface: 'wave'
+        },
+        blockquote: {
+            color: 0xb39ddb,
+            specular: 0x4527a0,
+            shininess: 60,
+            textColor: '#311b92',
+            fontFamily: 'Georgia',
+            fontStyle: 'italic',
+            surface: 'wave'
+        },
+        code: {
+            color: 0xb0bec5,
+            specular: 0xffffff,
+            shininess: 100,
+            textColor: '#1b5e20',
+            fontFamily: 'monospace',
+            fontStyle: 'normal',
+            surface: 'rail'
+        }
+    },
+    
     /**
      * Initializes the geometry generator
      */
@@ -16,33 +58,131 @@ const GeometryGenerator = {
     },
     
     /**
-     * Creates a platform for a sentence
+     * Gets the visual style for a sentence's block type
+     * @param {object} sentence - Sentence object (blockType defaults to paragraph)
+     * @returns {object} Block style
+     */
+    getBlockStyle: function(sentence) {
+        return this.blockStyles[sentence.blockType] || this.blockStyles.paragraph;
+    },
+    
+    /**
+     * Maps a sentence's tone to the shape of its platform
+     * - all three pick the curve family (see CurveFamilies.pick)
+     * - arousal sets the wave amplitude (calm sentences are nearly flat)
+     * - complexity sets the wave frequency and the platform thickness
+     * - valence sets the climb angle (positive passages climb, negative ones flatten out)
+     * @param {object} sentence - Sentence object with tone (or only curviness)
+     * @param {number} amplitudeScale - Multiplier applied to the amplitude (default: 1)
+     * @returns {object} Shape ({family, params, amplitude, frequency, climb, thickness})
+     */
+    getToneShape: function(sentence, amplitudeScale = 1) {
+        const tone = sentence.tone || ContentPipeline.normalizeTone(sentence);
+        const frequency = 1 + tone.complexity * (CONFIG.tone.maxFrequency - 1);
+        const family = CurveFamilies.pick(tone);
+        
+        return {
+            family: family,
+            params: CurveFamilies.getParams(family, tone, frequency, sentence.id || ''),
+            amplitude: tone.arousal * CONFIG.tone.maxAmplitude * amplitudeScale,
+            frequency: frequency,
+            climb: CONFIG.tone.baseClimb + tone.valence * CONFIG.tone.valenceClimb,
+            thickness: CONFIG.game.minPlatformHeight +
+                tone.complexity * (CONFIG.tone.maxThickness - CONFIG.game.minPlatformHeight)
+        };
+    },
+    
+    /**
+     * Gets the surface curve of a platform in curve-local coordinates (x from 0 to length)
+     * @param {number} length - Length of the platform
+     * @param {object} shape - Platform shape (see getToneShape)
+     * @param {string} surface - Surface type ('wave' or 'rail')
+     * @returns {Function} Function mapping x to y
+     */
+    getSurfaceFunction: function(length, shape, surface = 'wave') {
+        if (surface === 'rail') {
+            // Grind rails are straight with a gentle downhill run
+            return (x) => -0.15 * x;
+        }
+        
+        return CurveFamilies.createSurface(length, shape);
+    },
+    
+    /**
+     * Plans a platform for a sentence: its size, shape, surface and what goes on
+     * it, without building any geometry (see buildPlatform), so a whole level
+     * can be laid out up front and built a few sentences at a time
      * @param {object} sentence - Sentence object with text and curviness
      * @param {number} index - Index of the sentence in the sequence
-     * @returns {THREE.Object3D} Platform object
+     * @param {object} options - Platform options
+     * @param {string[]} options.words - Words to show on this platform (default: the whole sentence)
+     * @param {number} options.unitsPerWord - Platform length per word (default: 2)
+     * @param {number} options.curvinessScale - Multiplier applied to the sentence curviness
+     * @param {number} options.wordOffset - Index in the sentence of the first word shown (default: 0)
+     * @returns {object} Platform plan ({name, sentence, style, words, text, wordOffset, length,
+     *                   curviness, shape, curveFunction, portals, keywords})
      */
-    createPlatform: function(sentence, index) {
-        // Create a container for the platform
-        const platform = new THREE.Object3D();
-        platform.name = `platform-${sentence.id || index}`;
+    planPlatform: function(sentence, index, options = {}) {
+        const style = this.getBlockStyle(sentence);
+        const words = options.words || Utils.splitIntoWords(sentence.text);
+        const text = options.words ? TextSegmenter.joinWords(words) : sentence.text;
+        const wordOffset = options.wordOffset || 0;
         
         // Calculate platform dimensions based on sentence length
-        const wordCount = sentence.length || Utils.countWords(sentence.text);
-        const platformLength = wordCount * 2; // 2 units per word
+        const wordCount = options.words ? words.length : (sentence.length || Utils.countWords(sentence.text));
+        const platformLength = wordCount * (options.unitsPerWord || 2); // 2 units per word by default
         
         // Get the curviness value (0-10)
-        const curviness = sentence.curviness !== undefined ? 
+        const curvinessScale = options.curvinessScale !== undefined ? options.curvinessScale : 1;
+        const baseCurviness = sentence.curviness !== undefined ? 
             sentence.curviness : CONFIG.content.defaultCurviness;
         
+        // Shape the platform from the sentence's tone
+        const shape = this.getToneShape(sentence, curvinessScale);
+        const surfaceFunction = this.getSurfaceFunction(platformLength, shape, style.surface);
+        
+        return {
+            name: `platform-${sentence.id || index}`,
+            sentence: sentence,
+            style: style,
+            words: words,
+            text: text,
+            wordOffset: wordOffset,
+            length: platformLength,
+            curviness: baseCurviness * curvinessScale,
+            shape: shape,
+            // Surface height relative to the platform's centre, as on the built mesh
+            curveFunction: (x) => surfaceFunction(x + platformLength / 2),
+            portals: this.getPortals(sentence, words.length, wordOffset, platformLength, shape, style),
+            keywords: this.getKeywordTokens(sentence, words.length, wordOffset, platformLength, shape, style)
+        };
+    },
+    
+    /**
+     * Builds a planned platform's meshes: the surface, its text (and translation),
+     * portals and keyword tokens
+     * @param {object} plan - Platform plan from planPlatform
+     * @returns {THREE.Object3D} Platform object (keyword tokens in userData.keywords have their object)
+     */
+    buildPlatform: function(plan) {
+        // Create a container for the platform
+        const platform = new THREE.Object3D();
+        platform.name = plan.name;
+        
+        const { sentence, style, shape, words } = plan;
+        const platformLength = plan.length;
+        
         // Create the platform geometry
         const platformMesh = this.createCurvedPlatform(
             platformLength, 
             CONFIG.game.platformWidth, 
-            curviness
+            shape,
+            style
         );
         
-        // Add text to the platform with the same curviness
-        const textMesh = this.createTextOnPlatform(sentence.text, platformLength, curviness);
+        // Add text to the platform with the same shape
+        const textMesh = this.createTextOnPlatform(plan.text, platformLength, shape, style, { words: words });
+        textMesh.name = 'platform-text';
         
         // Position the text slightly above the platform
         textMesh.position.y = 0.1;
@@ -51,33 +191,274 @@ const GeometryGenerator = {
         platform.add(platformMesh);
         platform.add(textMesh);
         
+        // Language-learning mode: the translation runs along the front of the platform, under the text
+        const translation = this.getTranslationText(sentence, plan.wordOffset, words.length);
+        if (translation) {
+            const translationMesh = this.createTextOnPlatform(translation, platformLength, shape, style, {
+                offset: -0.35 - shape.thickness / 2,
+                height: 0.55,
+                z: CONFIG.game.platformWidth / 2 + 0.05,
+                fillColor: CONFIG.translation.textColor
+            });
+            translationMesh.name = 'translation';
+            platform.add(translationMesh);
+        }
+        
+        // Portals over the words that were links
+        plan.portals.forEach(portal => {
+            const portalObject = this.createPortal(portal.link, portal.halfWidth);
+            portalObject.position.set(portal.x, portal.y + CONFIG.portals.height, 0.2);
+            platform.add(portalObject);
+        });
+        
+        // Collectible tokens over the key terms that start on this platform
+        const keywords = plan.keywords.map(token => {
+            const tokenObject = this.createKeywordToken(token.keyword);
+            tokenObject.position.set(token.x, token.y + CONFIG.keywords.height, 0.2);
+            platform.add(tokenObject);
+            return { ...token, object: tokenObject };
+        });
+        
         // Store sentence data on the platform for later reference
         platform.userData = {
             sentence: sentence,
             length: platformLength,
-            curviness: curviness,
-            words: sentence.text.split(/\s+/)
+            curviness: plan.curviness,
+            curveFamily: style.surface === 'rail' ? 'rail' : shape.family,
+            tone: sentence.tone || null,
+            words: words,
+            wordOffset: plan.wordOffset,
+            wordLayout: textMesh.userData.wordLayout,
+            blockType: sentence.blockType || 'paragraph',
+            surface: style.surface,
+            portals: plan.portals,
+            keywords: keywords,
+            segmentIndex: plan.segmentIndex,
+            segmentCount: plan.segmentCount,
+            reachability: plan.reachability
         };
         
         return platform;
     },
     
     /**
-     * Creates a curved platform geometry based on curviness
+     * Gets the part of a sentence's translation shown on a platform
+     * Word order differs between languages, so a platform showing part of the
+     * sentence (a stepping stone or clause) gets the same share of the translation
+     * @param {object} sentence - Sentence object (translation from ContentPipeline.mergeTranslations)
+     * @param {number} wordOffset - Index in the sentence of the first word shown
+     * @param {number} wordCount - Words shown on the platform
+     * @returns {string} Translation text, or '' when there is none to show
+     */
+    getTranslationText: function(sentence, wordOffset, wordCount) {
+        if (!CONFIG.translation.enabled || !sentence.translation) {
+            return '';
+        }
+        
+        const sentenceWordCount = Utils.splitIntoWords(sentence.text).length;
+        if (wordOffset === 0 && wordCount >= sentenceWordCount) {
+            return sentence.translation;
+        }
+        
+        const translationWords = Utils.splitIntoWords(sentence.translation, CONFIG.translation.targetLanguage);
+        const start = Math.round(wordOffset / sentenceWordCount * translationWords.length);
+        const end = Math.round((wordOffset + wordCount) / sentenceWordCount * translationWords.length);
+        
+        return TextSegmenter.joinWords(translationWords.slice(start, end));
+    },
+    
+    /**
+     * Works out the portals on a platform: one for each of the sentence's links
+     * (see ContentPipeline.attachLinks) over words shown on this platform
+     * @param {object} sentence - Sentence object
+     * @param {number} wordCount - Words shown on the platform
+     * @param {number} wordOffset - Index in the sentence of the first word shown
+     * @param {number} platformLength - Length of the platform
+     * @param {object} shape - Platform shape (see getToneShape)
+     * @param {object} style - Block style
+     * @returns {array} Portals ({link, key, x, y, halfWidth}) with x and y
+     *                  relative to the platform's origin, y on the surface
+     */
+    getPortals: function(sentence, wordCount, wordOffset, platformLength, shape, style) {
+        if (!CONFIG.portals.enabled || !Array.isArray(sentence.links) || style.surface === 'rail') {
+            return [];
+        }
+        
+        const surfaceFunction = this.getSurfaceFunction(platformLength, shape, style.surface);
+        
+        return this.getWordSpans(sentence.links, wordCount, wordOffset, platformLength, surfaceFunction)
+            .map(span => ({
+                link: span.item,
+                key: `${sentence.id}:${span.item.wordStart}`,
+                x: span.x,
+                y: span.y,
+                halfWidth: span.halfWidth
+            }));
+    },
+    
+    /**
+     * Works out the keyword tokens on a platform: one for each of the sentence's
+     * key terms (see Keywords.attach) whose first word is shown on this platform
+     * @param {object} sentence - Sentence object
+     * @param {number} wordCount - Words shown on the platform
+     * @param {number} wordOffset - Index in the sentence of the first word shown
+     * @param {number} platformLength - Length of the platform
+     * @param {object} shape - Platform shape (see getToneShape)
+     * @param {object} style - Block style
+     * @returns {array} Tokens ({keyword, x, y, halfWidth}) with x and y
+     *                  relative to the platform's origin, y on the surface
+     */
+    getKeywordTokens: function(sentence, wordCount, wordOffset, platformLength, shape, style) {
+        if (!Array.isArray(sentence.keywords)) {
+            return [];
+        }
+        
+        const surfaceFunction = this.getSurfaceFunction(platformLength, shape, style.surface);
+        const keywords = sentence.keywords.filter(keyword =>
+            keyword.wordStart >= wordOffset && keyword.wordStart < wordOffset + wordCount
+        );
+        
+        return this.getWordSpans(keywords, wordCount, wordOffset, platformLength, surfaceFunction)
+            .map(span => ({
+                keyword: span.item,
+                x: span.x,
+                y: span.y,
+                halfWidth: span.halfWidth
+            }));
+    },
+    
+    /**
+     * Places ranges of a sentence's words on a platform that shows some of them
+     * @param {array} ranges - Items with wordStart and wordEnd (indices into the sentence)
+     * @param {number} wordCount - Words shown on the platform
+     * @param {number} wordOffset - Index in the sentence of the first word shown
+     * @param {number} platformLength - Length of the platform
+     * @param {Function} surfaceFunction - The platform's surface (see getSurfaceFunction)
+     * @returns {array} Spans ({item, x, y, halfWidth}) for the ranges shown, centred on
+     *                  their words, with x and y relative to the platform's origin
+     */
+    getWordSpans: function(ranges, wordCount, wordOffset, platformLength, surfaceFunction) {
+        const unitsPerWord = platformLength / wordCount;
+        
+        return ranges
+            .map(item => ({
+                item: item,
+                start: Math.max(item.wordStart, wordOffset) - wordOffset,
+                end: Math.min(item.wordEnd, wordOffset + wordCount) - wordOffset
+            }))
+            .filter(span => span.end > span.start)
+            .map(span => {
+                const curveX = (span.start + span.end) / 2 * unitsPerWord;
+                
+                return {
+                    item: span.item,
+                    x: curveX - platformLength / 2,
+                    y: surfaceFunction(curveX),
+                    halfWidth: (span.end - span.start) * unitsPerWord / 2
+                };
+            });
+    },
+    
+    /**
+     * Creates a keyword token: a spinning gem over a key term, labelled with its points
+     * @param {object} keyword - Key term ({term, points})
+     * @returns {THREE.Object3D} Token object (centred on the gem)
+     */
+    createKeywordToken: function(keyword) {
+        const token = new THREE.Object3D();
+        token.name = 'keyword-token';
+        
+        const gem = new THREE.Mesh(
+            new THREE.OctahedronGeometry(0.3),
+            new THREE.MeshBasicMaterial({ color: CONFIG.keywords.color })
+        );
+        gem.name = 'gem';
+        
+        const label = this.createTextLabel(`+${keyword.points}`, {
+            height: 0.4,
+            outlineColor: '#e65100'
+        });
+        label.position.y = 0.55;
+        
+        token.add(gem);
+        token.add(label);
+        
+        return token;
+    },
+    
+    /**
+     * Creates a portal: a glowing ring over linked words, labelled with the
+     * site it leads to
+     * @param {object} link - Link ({text, url})
+     * @param {number} halfWidth - Half the width of the linked words
+     * @returns {THREE.Object3D} Portal object (centred on the ring)
+     */
+    createPortal: function(link, halfWidth) {
+        const portal = new THREE.Object3D();
+        portal.name = 'portal';
+        
+        const radius = CONFIG.portals.radius;
+        
+        // Ring, stretched to cover the linked words
+        const ring = new THREE.Mesh(
+            new THREE.TorusGeometry(radius, 0.08, 8, 32),
+            new THREE.MeshBasicMaterial({ color: CONFIG.portals.color })
+        );
+        ring.scale.x = Math.max(1, halfWidth / radius);
+        
+        // See-through disc inside the ring
+        const disc = new THREE.Mesh(
+            new THREE.CircleGeometry(radius, 32),
+            new THREE.MeshBasicMaterial({
+                color: CONFIG.portals.color,
+                transparent: true,
+                opacity: 0.3,
+                side: THREE.DoubleSide
+            })
+        );
+        disc.scale.x = ring.scale.x;
+        
+        // Label with the linked site
+        let host = link.url;
+        try {
+            host = new URL(link.url).hostname.replace(/^www\./, '');
+        } catch (error) {
+            // Keep the raw URL
+        }
+        const label = this.createTextLabel(host, {
+            height: 0.5,
+            maxWidth: 8,
+            outlineColor: '#6a1b9a'
+        });
+        label.position.y = radius + 0.45;
+        
+        portal.add(ring);
+        portal.add(disc);
+        portal.add(label);
+        
+        return portal;
+    },
+    
+    /**
+     * Creates a curved platform geometry from a tone shape
      * @param {number} length - Length of the platform
      * @param {number} width - Width of the platform
-     * @param {number} curviness - Curviness value (0-10)
+     * @param {object} shape - Platform shape (see getToneShape)
+     * @param {object} style - Block style (default: paragraph)
      * @returns {THREE.Mesh} Platform mesh
      */
-    createCurvedPlatform: function(length, width, curviness) {
+    createCurvedPlatform: function(length, width, shape, style = this.blockStyles.paragraph) {
         // Check if we already have this geometry in cache
-        const cacheKey = `platform-${length}-${width}-${curviness.toFixed(1)}`;
-        if (this.geometryCache[cacheKey]) {
-            return this.geometryCache[cacheKey].clone();
+        const shapeKey = [shape.amplitude, shape.frequency, shape.climb, shape.thickness]
+            .map(value => value.toFixed(2)).join('-');
+        const cacheKey = `platform-${length}-${width}-${shape.family}-${JSON.stringify(shape.params)}-${shapeKey}-${style.surface}-${style.color}`;
+        const cached = this.geometryCache[cacheKey];
+        if (cached) {
+            cached.users++;
+            return this.cloneCollidable(cached.mesh);
         }
         
-        // Create a path for the platform based on curviness
-        const path = new THREE.Path();
+        const surfaceFunction = this.getSurfaceFunction(length, shape, style.surface);
         
         // Number of segments (more segments for smoother curves)
         const segments = Math.max(10, Math.floor(length * 2));
@@ -86,176 +467,509 @@ const GeometryGenerator = {
         const points = [];
         for (let i = 0; i <= segments; i++) {
             const x = (i / segments) * length;
-            const y = Utils.generateCurve(x, length, curviness);
+            const y = surfaceFunction(x);
             points.push(new THREE.Vector2(x, y));
         }
         
-        // Create the path from points
-        path.setFromPoints(points);
-        
-        // Create a shape from the path
-        const shape = new THREE.Shape();
+        // Create material
+        const material = new THREE.MeshPhongMaterial({
+            color: style.color,
+            specular: style.specular,
+            shininess: style.shininess,
+            side: THREE.DoubleSide
+        });
         
-        // Add the top surface of the platform
-        shape.setFromPoints(points);
+        let geometry;
         
-        // Close the shape by adding bottom points in reverse
-        for (let i = segments; i >= 0; i--) {
-            const x = (i / segments) * length;
-            const y = Utils.generateCurve(x, length, curviness) - CONFIG.game.minPlatformHeight;
-            shape.lineTo(x, y);
+        if (style.surface === 'rail') {
+            // Grind rail: a thin tube along the surface line
+            const railPath = new THREE.CurvePath();
+            railPath.add(new THREE.LineCurve3(
+                new THREE.Vector3(0, surfaceFunction(0) - 0.1, 0),
+                new THREE.Vector3(length, surfaceFunction(length) - 0.1, 0)
+            ));
+            geometry = new THREE.TubeGeometry(railPath, segments, 0.1, 8, false);
+        } else {
+            // Create an outline from the top surface of the platform
+            const outline = new THREE.Shape();
+            outline.setFromPoints(points);
+            
+            // Close the outline by adding bottom points in reverse
+            for (let i = segments; i >= 0; i--) {
+                const x = (i / segments) * length;
+                const y = surfaceFunction(x) - shape.thickness;
+                outline.lineTo(x, y);
+            }
+            
+            outline.closePath();
+            
+            // Create geometry from the outline
+            geometry = new THREE.ShapeGeometry(outline);
         }
         
-        shape.closePath();
-        
-        // Create geometry from the shape
-        const geometry = new THREE.ShapeGeometry(shape);
-        
         // Center the geometry on the X axis
         geometry.translate(-length / 2, 0, 0);
         
-        // Create material
-        const material = new THREE.MeshPhongMaterial({
-            color: 0x4fc3f7,
-            specular: 0x004ba0,
-            shininess: 30,
-            side: THREE.DoubleSide
-        });
-        
         // Create mesh
         const mesh = new THREE.Mesh(geometry, material);
         
         // Add collision data
         mesh.userData.isCollidable = true;
+        mesh.userData.cacheKey = cacheKey;
         mesh.userData.curveFunction = (x) => {
             // Convert from mesh-local to curve-local coordinates
             const curveX = x + length / 2;
-            return Utils.generateCurve(curveX, length, curviness);
+            return surfaceFunction(curveX);
         };
         
         // Cache the mesh for future use
-        this.geometryCache[cacheKey] = mesh.clone();
+        this.geometryCache[cacheKey] = { mesh: this.cloneCollidable(mesh), users: 1 };
         
         return mesh;
     },
     
+    /**
+     * Clones a platform mesh with its collision data
+     * (clone() copies userData through JSON, which drops the curve function)
+     * @param {THREE.Mesh} mesh - Platform mesh
+     * @returns {THREE.Mesh} Copy of the mesh
+     */
+    cloneCollidable: function(mesh) {
+        const copy = mesh.clone();
+        copy.userData.curveFunction = mesh.userData.curveFunction;
+        return copy;
+    },
+    
+    /**
+     * Releases a platform mesh built from the geometry cache
+     * @param {string} cacheKey - The mesh's cache key
+     * @returns {boolean} True if no other platform uses the entry any more (it is
+     *                    dropped from the cache and its geometry and material can be freed)
+     */
+    releaseCachedPlatform: function(cacheKey) {
+        const cached = this.geometryCache[cacheKey];
+        if (!cached) {
+            return true;
+        }
+        
+        cached.users--;
+        if (cached.users > 0) {
+            return false;
+        }
+        
+        delete this.geometryCache[cacheKey];
+        return true;
+    },
+    
+    /**
+     * Frees the GPU memory an object's meshes hold (geometry, materials and their
+     * textures), except the glyph atlas every text mesh shares and platform
+     * geometry still used by other platforms (see releaseCachedPlatform)
+     * @param {THREE.Object3D} object - Object removed from the scene
+     */
+    disposeObject: function(object) {
+        object.traverse(child => {
+            if (child.userData.cacheKey && !this.releaseCachedPlatform(child.userData.cacheKey)) {
+                return;
+            }
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            
+            const materials = Array.isArray(child.material) ? child.material : (child.material ? [child.material] : []);
+            materials.forEach(material => {
+                if (material === GlyphAtlas.material) return;
+                
+                if (material.map) {
+                    material.map.dispose();
+                }
+                material.dispose();
+            });
+        });
+    },
+    
+    /**
+     * Creates a section gate for a heading
+     * Gates are checkpoints the player passes through, not platforms
+     * @param {object} sentence - Heading sentence object
+     * @returns {THREE.Object3D} Gate object
+     */
+    createSectionGate: function(sentence) {
+        const gate = new THREE.Object3D();
+        gate.name = `gate-${sentence.id}`;
+        
+        // Higher-level headings get taller gates
+        const headingLevel = sentence.blockLevel || 1;
+        const height = CONFIG.structure.gateHeight - (headingLevel - 1) * 0.4;
+        
+        const material = new THREE.MeshPhongMaterial({
+            color: 0xffb74d,
+            specular: 0xe65100,
+            shininess: 40
+        });
+        
+        // Two posts
+        const postGeometry = new THREE.BoxGeometry(0.25, height, 0.25);
+        const leftPost = new THREE.Mesh(postGeometry, material);
+        leftPost.position.set(-0.9, height / 2 - 1, 0);
+        const rightPost = new THREE.Mesh(postGeometry, material);
+        rightPost.position.set(0.9, height / 2 - 1, 0);
+        
+        // Banner with the heading text
+        const banner = this.createTextLabel(sentence.text, {
+            height: 0.8,
+            maxWidth: 12,
+            outlineColor: '#e65100'
+        });
+        banner.position.set(0, height - 0.6, 0.2);
+        
+        gate.add(leftPost);
+        gate.add(rightPost);
+        gate.add(banner);
+        
+        gate.userData = {
+            isGate: true,
+            sentence: sentence,
+            heading: sentence.text
+        };
+        
+        return gate;
+    },
+    
     /**
      * Creates text to display on the platform that follows the curve
+     * Glyphs come from the shared SDF atlas (see GlyphAtlas) and are laid along
+     * the surface one quad each, bent to follow it. The line fills the platform:
+     * a short line spreads its words out, a long one is squeezed to fit.
      * @param {string} text - Text to display
      * @param {number} platformLength - Length of the platform
-     * @param {number} curviness - Curviness value (0-10)
-     * @returns {THREE.Mesh} Text mesh
+     * @param {object} shape - Platform shape (see getToneShape)
+     * @param {object} style - Block style (default: paragraph)
+     * @param {object} line - Placement of the line (default: the sentence text on the surface)
+     * @param {number} line.offset - Distance above (or, negative, below) the surface
+     * @param {number} line.height - Height of the text line
+     * @param {number} line.z - Depth of the text
+     * @param {string} line.fillColor - Text colour (default: the block style's)
+     * @param {string[]} line.words - Words of the text to lay out for highlighting (see getWordLayout)
+     * @returns {THREE.Mesh} Text mesh (userData.wordLayout has the words' layout when line.words is given)
      */
-    createTextOnPlatform: function(text, platformLength, curviness = CONFIG.content.defaultCurviness) {
-        // Create a texture with the text (blue with white outline)
-        font_size = 25
-        const texture = Utils.createTextTexture(text, {
-            fontSize: font_size, //big number so it renders nicely
-            fillColor: '#000000', // Blue text
-            outlineColor: '#ffffff', // White outline
-            outlineWidth: font_size * 0.15,
-            backgroundColor: 'transparent'
-        });
+    createTextOnPlatform: function(text, platformLength, shape = this.getToneShape({}), style = this.blockStyles.paragraph, line = {}) {
+        const words = line.words || Utils.splitIntoWords(text);
+        const layout = GlyphAtlas.layoutText(text, words, GlyphAtlas.getFont(style.fontFamily, style.fontStyle));
         
-        // Create material with the texture
-        const material = new THREE.MeshBasicMaterial({
-            map: texture,
-            transparent: true,
-            side: THREE.DoubleSide
-        });
+        const surfaceFunction = this.getSurfaceFunction(platformLength, shape, style.surface);
         
-        // Create a curved shape for the text to follow the platform curve
-        // Number of segments (more segments for smoother curves)
-        const segments = Math.max(20, Math.floor(platformLength * 3));
+        const textHeight = line.height || 0.8; // Height of the text line (reduced for better visibility)
+        const lineOffset = line.offset || 0;
+        const lineZ = line.z !== undefined ? line.z : 0.1; // Slight z-offset to avoid z-fighting
         
-        // Create a custom geometry that follows the curve
-        const geometry = new THREE.BufferGeometry();
-        const vertices = [];
-        const uvs = [];
-        const indices = [];
+        // An em is half the line's height, with half an em free at each end of the platform
+        const em = textHeight / 2;
+        const margin = em / 2;
+        const available = Math.max(platformLength - margin * 2, em);
+        const naturalWidth = Math.max(layout.width * em, 0.001);
+        const squeeze = Math.min(1, available / naturalWidth);
+        const spare = Math.max(available - naturalWidth, 0);
+        const wordSpacing = words.length > 1 ? spare / (words.length - 1) : 0;
+        const lineStart = margin + (words.length > 1 ? 0 : spare / 2);
         
-        // Generate vertices for the curved plane
-        const textHeight = 0.8; // Height of the text plane (reduced for better visibility)
+        // Curve x of a point in the line (pen position in em, after the given word's gaps)
+        const toCurveX = (pen, wordIndex) => lineStart + pen * em * squeeze + Math.max(wordIndex, 0) * wordSpacing;
         
-        // Calculate tangent vectors along the curve for better text alignment
-        for (let i = 0; i <= segments; i++) {
-            const x = (i / segments) * platformLength - platformLength / 2; // Center on x-axis
-            const normalizedX = (i / segments) * platformLength;
-            
-            // Get y position on the curve
-            const y = Utils.generateCurve(normalizedX, platformLength, curviness);
+        // A point on the line at curve x, with the surface normal there
+        const pointAt = (curveX) => {
+            const y = surfaceFunction(curveX) + lineOffset;
             
             // Calculate tangent by sampling nearby points
             const delta = 0.01;
-            const y1 = Utils.generateCurve(Math.max(0, normalizedX - delta), platformLength, curviness);
-            const y2 = Utils.generateCurve(Math.min(platformLength, normalizedX + delta), platformLength, curviness);
-            
-            // Tangent vector (not normalized)
-            const tangentX = 2 * delta;
-            const tangentY = y2 - y1;
-            
-            // Normalize tangent
-            const tangentLength = Math.sqrt(tangentX * tangentX + tangentY * tangentY);
-            const normalizedTangentX = tangentX / tangentLength;
-            const normalizedTangentY = tangentY / tangentLength;
+            const y1 = surfaceFunction(Math.max(0, curveX - delta));
+            const y2 = surfaceFunction(Math.min(platformLength, curveX + delta));
+            const tangentLength = Math.sqrt(4 * delta * delta + (y2 - y1) * (y2 - y1));
             
-            // Normal vector (perpendicular to tangent)
-            const normalX = -normalizedTangentY;
-            const normalY = normalizedTangentX;
+            return {
+                x: curveX - platformLength / 2, // Center on x-axis
+                y: y,
+                normalX: -(y2 - y1) / tangentLength,
+                normalY: 2 * delta / tangentLength
+            };
+        };
+        
+        const vertices = [];
+        const uvs = [];
+        const indices = [];
+        const wordVertices = words.map(() => ({ start: 0, count: 0 }));
+        
+        layout.glyphs.forEach(({ glyph, pen, word }) => {
+            if (glyph.u0 === undefined) return;
             
-            // Top vertex (offset along normal)
-            vertices.push(
-                x + normalX * textHeight / 2,
-                y + normalY * textHeight / 2,
-                0.1 // Slight z-offset to avoid z-fighting
-            );
+            const left = toCurveX(pen + glyph.xOffset, word);
+            const right = left + glyph.width * em * squeeze;
+            const halfHeight = glyph.height * em / 2;
+            const firstVertex = vertices.length / 3;
             
-            // Bottom vertex (offset along normal)
-            vertices.push(
-                x - normalX * textHeight / 2,
-                y - normalY * textHeight / 2,
-                0.1
-            );
+            // Long glyphs (shaped words) are split so they still bend with the surface
+            const segments = Math.max(1, Math.ceil((right - left) / 0.25));
+            for (let i = 0; i <= segments; i++) {
+                const t = i / segments;
+                const point = pointAt(left + (right - left) * t);
+                const u = glyph.u0 + (glyph.u1 - glyph.u0) * t;
+                
+                // Top vertex, then bottom vertex (offset along normal)
+                vertices.push(point.x + point.normalX * halfHeight, point.y + point.normalY * halfHeight, lineZ);
+                vertices.push(point.x - point.normalX * halfHeight, point.y - point.normalY * halfHeight, lineZ);
+                uvs.push(u, glyph.v0, u, glyph.v1);
+                
+                if (i > 0) {
+                    const topLeft = firstVertex + (i - 1) * 2;
+                    indices.push(topLeft, topLeft + 1, topLeft + 2);
+                    indices.push(topLeft + 1, topLeft + 3, topLeft + 2);
+                }
+            }
             
-            // UV coordinates (map texture correctly)
-            // Swap UV coordinates to fix upside-down text
-            uvs.push(i / segments, 1); // Top (was 0)
-            uvs.push(i / segments, 0); // Bottom (was 1)
+            if (word >= 0 && wordVertices[word].count === 0) {
+                wordVertices[word].start = firstVertex;
+            }
+            if (word >= 0) {
+                wordVertices[word].count = vertices.length / 3 - wordVertices[word].start;
+            }
+        });
+        
+        // Colours per vertex, so words can be highlighted (see highlightWords)
+        const colors = {
+            fill: new THREE.Color(line.fillColor || style.textColor),
+            outline: new THREE.Color('#ffffff'),
+            outlineWidth: GlyphAtlas.getOutlineDistance(CONFIG.text.outlineWidth)
+        };
+        const mesh = this.createTextMesh(vertices, uvs, indices);
+        mesh.userData.colors = colors;
+        mesh.userData.wordVertices = wordVertices;
+        this.colorVertices(mesh, 0, vertices.length / 3, colors.fill, colors.outline, colors.outlineWidth);
+        
+        if (line.words) {
+            mesh.userData.wordLayout = this.getWordLayout(layout.words.map((range, index) => ({
+                charStart: range.charStart,
+                charEnd: range.charEnd,
+                left: toCurveX(range.start, index),
+                right: toCurveX(range.end, index)
+            })), words, platformLength, surfaceFunction);
         }
         
-        // Generate indices for triangles
-        for (let i = 0; i < segments; i++) {
-            const topLeft = i * 2;
-            const bottomLeft = i * 2 + 1;
-            const topRight = (i + 1) * 2;
-            const bottomRight = (i + 1) * 2 + 1;
+        return mesh;
+    },
+    
+    /**
+     * Creates a flat line of text for the labels on gates, portals and tokens,
+     * drawn from the shared SDF atlas like platform text (one quad per glyph)
+     * @param {string} text - Text to display
+     * @param {object} options - Label style
+     * @param {number} options.height - Height of the text line
+     * @param {number} options.maxWidth - Widest the label may be (longer text is squeezed to fit)
+     * @param {string} options.fillColor - Text colour
+     * @param {string} options.outlineColor - Outline colour
+     * @param {number} options.outlineWidth - Outline width (em)
+     * @returns {THREE.Mesh} Text mesh, centred on its origin
+     */
+    createTextLabel: function(text, options = {}) {
+        const {
+            height = 0.5,
+            maxWidth = Infinity,
+            fillColor = '#ffffff',
+            outlineColor = '#ffffff',
+            outlineWidth = CONFIG.text.outlineWidth
+        } = options;
+        
+        const layout = GlyphAtlas.layoutText(text, Utils.splitIntoWords(text), GlyphAtlas.getFont());
+        
+        // An em is half the line's height, as on platforms
+        const em = height / 2;
+        const squeeze = Math.min(1, maxWidth / Math.max(layout.width * em, 0.001));
+        const width = layout.width * em * squeeze;
+        
+        const vertices = [];
+        const uvs = [];
+        const indices = [];
+        
+        layout.glyphs.forEach(({ glyph, pen }) => {
+            if (glyph.u0 === undefined) return;
             
-            // First triangle (top-left, bottom-left, top-right)
-            indices.push(topLeft, bottomLeft, topRight);
-            // Second triangle (bottom-left, bottom-right, top-right)
-            indices.push(bottomLeft, bottomRight, topRight);
-        }
+            const left = (pen + glyph.xOffset) * em * squeeze - width / 2;
+            const right = left + glyph.width * em * squeeze;
+            const halfHeight = glyph.height * em / 2;
+            const firstVertex = vertices.length / 3;
+            
+            // Top left, bottom left, top right, bottom right
+            vertices.push(left, halfHeight, 0, left, -halfHeight, 0, right, halfHeight, 0, right, -halfHeight, 0);
+            uvs.push(glyph.u0, glyph.v0, glyph.u0, glyph.v1, glyph.u1, glyph.v0, glyph.u1, glyph.v1);
+            indices.push(firstVertex, firstVertex + 1, firstVertex + 2);
+            indices.push(firstVertex + 1, firstVertex + 3, firstVertex + 2);
+        });
         
-        // Set geometry attributes
+        const mesh = this.createTextMesh(vertices, uvs, indices);
+        this.colorVertices(mesh, 0, vertices.length / 3, new THREE.Color(fillColor),
+            new THREE.Color(outlineColor), GlyphAtlas.getOutlineDistance(outlineWidth));
+        
+        return mesh;
+    },
+    
+    /**
+     * Creates a text mesh on the shared atlas material, with the per-vertex
+     * colour attributes it reads (filled in by colorVertices)
+     * @param {number[]} vertices - Glyph quad positions (x, y, z per vertex)
+     * @param {number[]} uvs - Atlas coordinates (u, v per vertex)
+     * @param {number[]} indices - Triangle indices
+     * @returns {THREE.Mesh} Text mesh
+     */
+    createTextMesh: function(vertices, uvs, indices) {
+        const vertexCount = vertices.length / 3;
+        
+        const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
         geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setAttribute('fillColor', new THREE.Float32BufferAttribute(new Float32Array(vertexCount * 3), 3));
+        geometry.setAttribute('outlineColor', new THREE.Float32BufferAttribute(new Float32Array(vertexCount * 3), 3));
+        geometry.setAttribute('outlineWidth', new THREE.Float32BufferAttribute(new Float32Array(vertexCount), 1));
         geometry.setIndex(indices);
         
-        // Compute normals for proper lighting
-        geometry.computeVertexNormals();
+        return new THREE.Mesh(geometry, GlyphAtlas.getMaterial());
+    },
+    
+    /**
+     * Sets the colours of a run of a text mesh's vertices
+     * @param {THREE.Mesh} mesh - Text mesh from createTextOnPlatform
+     * @param {number} start - First vertex
+     * @param {number} count - Number of vertices
+     * @param {THREE.Color} fill - Fill colour
+     * @param {THREE.Color} outline - Outline colour
+     * @param {number} outlineWidth - Outline width in distance field units (see GlyphAtlas.getOutlineDistance)
+     */
+    colorVertices: function(mesh, start, count, fill, outline, outlineWidth) {
+        const attributes = mesh.geometry.attributes;
+        
+        for (let i = start; i < start + count; i++) {
+            attributes.fillColor.setXYZ(i, fill.r, fill.g, fill.b);
+            attributes.outlineColor.setXYZ(i, outline.r, outline.g, outline.b);
+            attributes.outlineWidth.setX(i, outlineWidth);
+        }
         
-        // Create mesh
-        const mesh = new THREE.Mesh(geometry, material);
+        attributes.fillColor.needsUpdate = true;
+        attributes.outlineColor.needsUpdate = true;
+        attributes.outlineWidth.needsUpdate = true;
+    },
+    
+    /**
+     * Lays out a platform's words where their glyphs are drawn
+     * @param {array} ranges - Per word: character offsets in the text and curve x
+     *                         of its first and last glyph ({charStart, charEnd, left, right})
+     * @param {string[]} words - Words of the text
+     * @param {number} platformLength - Length of the platform
+     * @param {Function} surfaceFunction - The platform's surface (see getSurfaceFunction)
+     * @returns {array} Layout ({word, charStart, charEnd, left, right, arcStart, arcEnd}) per
+     *                  word: its glyph range in the text, x relative to the platform's origin
+     *                  and distance along the surface from the platform's left end
+     */
+    getWordLayout: function(ranges, words, platformLength, surfaceFunction) {
+        // Arc length at evenly spaced points along the surface
+        const samples = Math.max(20, Math.floor(platformLength * 4));
+        const arcLengths = [0];
+        for (let i = 1; i <= samples; i++) {
+            const dx = platformLength / samples;
+            const dy = surfaceFunction(i * dx) - surfaceFunction((i - 1) * dx);
+            arcLengths.push(arcLengths[i - 1] + Math.sqrt(dx * dx + dy * dy));
+        }
+        const arcAt = curveX => {
+            const position = Math.min(Math.max(curveX / platformLength, 0), 1) * samples;
+            const index = Math.min(Math.floor(position), samples - 1);
+            return arcLengths[index] + (arcLengths[index + 1] - arcLengths[index]) * (position - index);
+        };
         
-        return mesh;
+        return ranges.map((range, index) => ({
+            word: words[index],
+            charStart: range.charStart,
+            charEnd: range.charEnd,
+            left: range.left - platformLength / 2,
+            right: range.right - platformLength / 2,
+            arcStart: arcAt(range.left),
+            arcEnd: arcAt(range.right)
+        }));
+    },
+    
+    /**
+     * Finds the word under a point on a platform from its word layout: the last
+     * word that starts at or before the point (so the gap after a word still
+     * counts as that word), or, without a layout, equal slices of the platform
+     * @param {THREE.Object3D} platform - Platform object
+     * @param {number} x - X position relative to the platform's origin
+     * @returns {number} Word index (0 before the first word)
+     */
+    getWordIndexAtX: function(platform, x) {
+        const { wordLayout, words, length } = platform.userData;
+        
+        if (!wordLayout || wordLayout.length === 0) {
+            const relativePos = (x + length / 2) / length;
+            return Math.max(0, Math.min(Math.floor(relativePos * words.length), words.length - 1));
+        }
+        
+        let index = 0;
+        while (index + 1 < wordLayout.length && wordLayout[index + 1].left <= x) {
+            index++;
+        }
+        return index;
+    },
+    
+    /**
+     * Highlights a platform's text karaoke-style: words already surfed light up
+     * and the current word is emphasized with a wider, coloured outline
+     * @param {THREE.Object3D} platform - Platform object
+     * @param {number} surfed - How many of its words have been surfed
+     * @param {number} current - Index of the current word (-1 for none)
+     */
+    highlightWords: function(platform, surfed, current) {
+        if (!CONFIG.highlight.enabled) {
+            return;
+        }
+        
+        const textMesh = platform.getObjectByName('platform-text');
+        if (!textMesh || !textMesh.userData.wordVertices) {
+            return;
+        }
+        
+        // Skip the update when nothing changed
+        const key = `${surfed}:${current}`;
+        if (textMesh.userData.highlightKey === key) {
+            return;
+        }
+        textMesh.userData.highlightKey = key;
+        
+        const colors = textMesh.userData.colors;
+        const surfedColor = new THREE.Color(CONFIG.highlight.surfedColor);
+        const currentColor = new THREE.Color(CONFIG.highlight.currentColor);
+        const currentOutline = new THREE.Color(CONFIG.highlight.currentBackground);
+        const emphasisWidth = GlyphAtlas.getOutlineDistance(CONFIG.text.emphasisWidth);
+        
+        textMesh.userData.wordVertices.forEach((range, index) => {
+            if (index === current) {
+                this.colorVertices(textMesh, range.start, range.count, currentColor, currentOutline, emphasisWidth);
+            } else {
+                const fill = index < surfed ? surfedColor : colors.fill;
+                this.colorVertices(textMesh, range.start, range.count, fill, colors.outline, colors.outlineWidth);
+            }
+        });
     },
     
     /**
      * Creates a complete level from sentences
+     * Headings become section gates, list items become stepping stones,
+     * sentences longer than maxSentenceLength become linked sub-platforms,
+     * and every other sentence becomes one platform styled by its block type.
+     * Links in a sentence become portals over their words, and key terms
+     * collectible tokens.
+     * Only the layout is worked out here; platforms and gates are built as the
+     * player gets near them and disposed of behind (see LevelStreamer).
      * @param {array} sentences - Array of sentence objects
-     * @returns {THREE.Object3D} Level object containing all platforms
+     * @param {object} difficulty - Layout for the level's difficulty ({gap, descent}, see CONFIG.difficulty.layouts)
+     * @returns {THREE.Object3D} Level object (platforms and gates to build are in userData.stream)
      */
-    createLevel: function(sentences) {
+    createLevel: function(sentences, difficulty = CONFIG.difficulty.layouts.normal) {
         // Create a container for the level
         const level = new THREE.Object3D();
         level.name = 'level';
@@ -263,40 +977,184 @@ const GeometryGenerator = {
         // Track the Y position and where the next platform should start
         let nextStartX = 0;
         let currentY = 0;
+        let lowestY = 0;
         
-        // Global downward slope for the entire level
-        const globalDownwardSlope = 5; // Units to descend per platform
+        // Global downward slope for the entire level (units to descend per platform)
+        const globalDownwardSlope = difficulty.descent;
         
-        // Create platforms for each sentence
-        sentences.forEach((sentence, index) => {
-            // Skip sentences that are too short
-            if (Utils.countWords(sentence.text) < CONFIG.content.minSentenceLength) {
-                return;
-            }
+        // Gap between platforms (wider gaps take a longer jump)
+        const gapBetweenPlatforms = difficulty.gap;
+        
+        // Checkpoints (one per heading gate) the player can respawn at
+        const checkpoints = [];
+        
+        // Portals (one per link span on a platform) the player can jump into
+        const portals = [];
+        
+        // Keyword tokens (one per key term) the player can collect
+        const keywords = [];
+        
+        // Platforms and gates, built as the player reaches them (see LevelStreamer);
+        // sequence numbers the sentences along the level, for streaming a few at a time
+        const items = [];
+        let sequence = 0;
+        
+        // Reachability: the player's jump at this difficulty, the last platform placed,
+        // and how far the solver has moved platforms up or down so far (later ones follow)
+        const jumpProfile = LayoutSolver.getJumpProfile(difficulty);
+        const arcs = [];
+        let previousPlatform = null;
+        let heightShift = 0;
+        let pendingCheckpoint = null;
+        
+        /**
+         * Places a planned platform with its left edge at startX and top at y, moved
+         * where needed so it can be reached from the one before, and returns its right edge
+         */
+        const placePlatform = (plan, preferredX, preferredY) => {
+            const platformLength = plan.length;
+            const placement = LayoutSolver.place(previousPlatform, plan, preferredX, preferredY + heightShift, jumpProfile);
+            const startX = placement.startX;
+            const y = placement.y;
             
-            // Create the platform
-            const platform = this.createPlatform(sentence, index);
+            heightShift = y - preferredY;
+            previousPlatform = LayoutSolver.describe(plan, startX, y);
+            plan.reachability = placement.status;
+            arcs.push({ points: placement.arc, status: placement.status });
             
-            // Get the platform length
-            const platformLength = platform.userData.length;
+            if (placement.status === 'unreachable') {
+                console.warn(`Platform ${plan.name} can't be reached from the one before it`);
+            }
+            
+            // A heading's checkpoint respawns the player over the platform after its gate
+            if (pendingCheckpoint) {
+                pendingCheckpoint.spawnX = startX + 1;
+                pendingCheckpoint.spawnY = y + 2;
+                pendingCheckpoint = null;
+            }
             
-            // Calculate the position for this platform
             // Since platforms are centered, position is at the center point
-            const platformCenterX = nextStartX + (platformLength / 2);
+            const item = {
+                kind: 'platform',
+                plan: plan,
+                sequence: sequence,
+                x: startX + platformLength / 2,
+                y: y,
+                left: startX,
+                right: startX + platformLength,
+                keywords: [],
+                object: null
+            };
+            items.push(item);
             
-            // Position the platform
-            platform.position.x = platformCenterX;
-            platform.position.y = currentY;
+            // Portals and tokens in level coordinates, for the game to check the player against
+            // (a token's object is only there while its platform is built)
+            plan.portals.forEach(portal => {
+                portals.push({
+                    ...portal,
+                    x: item.x + portal.x,
+                    y: y + portal.y
+                });
+            });
+            plan.keywords.forEach(token => {
+                const entry = {
+                    ...token,
+                    x: item.x + token.x,
+                    y: y + token.y,
+                    collected: false,
+                    object: null
+                };
+                keywords.push(entry);
+                item.keywords.push(entry);
+            });
             
-            // Add the platform to the level
-            level.add(platform);
+            lowestY = Math.min(lowestY, y);
+            return startX + platformLength;
+        };
+        
+        // Create platforms for each sentence
+        sentences.forEach((sentence, index) => {
+            const blockType = sentence.blockType || 'paragraph';
             
-            // Calculate where the next platform should start
-            // This platform ends at centerX + (length/2)
-            const platformEndX = platformCenterX + (platformLength / 2);
+            // Headings: a gate in the gap before the next platform
+            if (blockType === 'heading') {
+                const gateX = nextStartX - gapBetweenPlatforms / 2;
+                items.push({
+                    kind: 'gate',
+                    sentence: sentence,
+                    sequence: sequence++,
+                    x: gateX,
+                    y: currentY + heightShift,
+                    left: gateX - 1,
+                    right: gateX + 1,
+                    object: null
+                });
+                
+                pendingCheckpoint = {
+                    x: gateX,
+                    spawnX: nextStartX + 1,
+                    spawnY: currentY + heightShift + 2,
+                    heading: sentence.text
+                };
+                checkpoints.push(pendingCheckpoint);
+                return;
+            }
+            
+            // Skip sentences that are too short (list items and code lines are short by nature)
+            if (blockType !== 'list-item' && blockType !== 'code' &&
+                Utils.countWords(sentence.text) < CONFIG.content.minSentenceLength) {
+                return;
+            }
             
-            // Add a fixed gap
-            const gapBetweenPlatforms = 2;
+            let platformEndX;
+            
+            if (blockType === 'list-item') {
+                // List items: short, gently curved stepping stones a few words each
+                const words = Utils.splitIntoWords(sentence.text);
+                let stoneX = nextStartX;
+                let stoneY = currentY;
+                
+                for (let start = 0; start < words.length; start += CONFIG.structure.stoneWords) {
+                    const stone = this.planPlatform(sentence, index, {
+                        words: words.slice(start, start + CONFIG.structure.stoneWords),
+                        unitsPerWord: 1.5,
+                        curvinessScale: 0.3,
+                        wordOffset: start
+                    });
+                    stone.segmentIndex = start / CONFIG.structure.stoneWords;
+                    
+                    platformEndX = placePlatform(stone, stoneX, stoneY);
+                    stoneX = platformEndX + CONFIG.structure.stoneGap;
+                    stoneY -= CONFIG.structure.stoneStep;
+                }
+            } else if (blockType !== 'code' &&
+                       Utils.countWords(sentence.text) > CONFIG.content.maxSentenceLength) {
+                // Long sentences: linked sub-platforms split at clause boundaries
+                const clauses = TextSegmenter.splitClauses(
+                    Utils.splitIntoWords(sentence.text),
+                    CONFIG.content.maxSentenceLength
+                );
+                let clauseX = nextStartX;
+                let clauseY = currentY;
+                let wordOffset = 0;
+                
+                clauses.forEach((clause, clauseIndex) => {
+                    const subPlatform = this.planPlatform(sentence, index, { words: clause, wordOffset: wordOffset });
+                    subPlatform.segmentIndex = clauseIndex;
+                    subPlatform.segmentCount = clauses.length;
+                    
+                    platformEndX = placePlatform(subPlatform, clauseX, clauseY);
+                    clauseX = platformEndX + CONFIG.structure.clauseGap;
+                    clauseY -= CONFIG.structure.clauseStep;
+                    wordOffset += clause.length;
+                });
+            } else {
+                const platform = this.planPlatform(sentence, index);
+                platformEndX = placePlatform(platform, nextStartX, currentY);
+            }
+            
+            // A sentence's stones or sub-platforms are built and disposed of together
+            sequence++;
             
             // The next platform should start after this one ends, plus the gap
             nextStartX = platformEndX + gapBetweenPlatforms;
@@ -305,12 +1163,30 @@ const GeometryGenerator = {
             currentY -= globalDownwardSlope;
         });
         
+        // Debug overlay with the predicted jump arcs (otherwise built on the first Ctrl+J)
+        if (CONFIG.debug.enabled && CONFIG.debug.showJumpArcs) {
+            level.add(LayoutSolver.createOverlay(arcs));
+        }
+        
         // Store level metadata
         level.userData = {
             totalLength: nextStartX,
-            sentenceCount: sentences.length
+            sentenceCount: sentences.length,
+            lowestY: lowestY,
+            checkpoints: checkpoints,
+            portals: portals,
+            keywords: keywords,
+            stream: LevelStreamer.createStream(items),
+            jumpArcs: arcs,
+            reachability: {
+                fixed: arcs.filter(arc => arc.status === 'fixed').length,
+                unreachable: arcs.filter(arc => arc.status === 'unreachable').length
+            }
         };
         
+        Utils.debugLog(`Layout: ${level.userData.reachability.fixed} platform(s) moved to be reachable, ` +
+            `${level.userData.reachability.unreachable} still unreachable`);
+        
         return level;
     },
     
@@ -384,9 +1260,12 @@ const GeometryGenerator = {
     
     /**
      * Creates background elements for the scene
+     * @param {number|string} seed - Seed for the decoration layout (random if omitted)
      * @returns {THREE.Object3D} Background object
      */
-    createBackground: function() {
+    createBackground: function(seed) {
+        const random = seed !== undefined ? Utils.createRandom(seed) : Math.random;
+        
         // Create a container for the background
         const background = new THREE.Object3D();
         background.name = 'background';
@@ -394,22 +1273,22 @@ const GeometryGenerator = {
         // Create some decorative elements (clouds, stars, etc.)
         for (let i = 0; i < 50; i++) {
             // Random position
-            const x = (Math.random() - 0.5) * 200;
-            const y = (Math.random() - 0.5) * 100;
-            const z = -50 - Math.random() * 50;
+            const x = (random() - 0.5) * 200;
+            const y = (random() - 0.5) * 100;
+            const z = -50 - random() * 50;
             
             // Random size
-            const size = 0.5 + Math.random() * 2;
+            const size = 0.5 + random() * 2;
             
             // Create a star/cloud
-            const geometry = Math.random() > 0.5 ? 
+            const geometry = random() > 0.5 ? 
                 new THREE.SphereGeometry(size, 8, 8) : 
                 new THREE.BoxGeometry(size, size, size);
             
             const material = new THREE.MeshBasicMaterial({
                 color: 0xffffff,
                 transparent: true,
-                opacity: 0.3 + Math.random() * 0.5
+                opacity: 0.3 + random() * 0.5
             });
             
             const mesh = new THREE.Mesh(geometry, material);
@@ -0,0 +1,400 @@
+/**
+ * WordSurf - Glyph Atlas
+ * Platform text and the labels on gates, portals and tokens are drawn from one
+ * shared signed-distance-field (SDF) atlas instead of a canvas per object. Each
+ * glyph is rasterized once, turned into a distance field and packed into a
+ * fixed-size texture (CONFIG.text.atlasSize), so text stays sharp at any zoom and takes the same GPU memory however long
+ * the article is. Glyphs come from the browser's own fonts, so any script the
+ * system can display works; scripts whose letters join or reorder (Arabic,
+ * Hebrew, Indic, ...) are stored a word at a time, shaped by the browser.
+ */
+
+// Scripts whose glyphs depend on their neighbours: stored as whole words
+const SHAPED_SCRIPT = /[֐-ࣿऀ-෿ༀ-࿿က-႟ក-៿יִ-﷿ﹰ-﻿]/;
+
+// Distance field value at a glyph's edge (inside is higher, outside lower)
+const SDF_EDGE = 0.5;
+
+// Stands in for infinity in the distance transform
+const SDF_INF = 1e20;
+
+// Height of an atlas cell, as a multiple of the glyph size (room for ascenders and descenders)
+const GLYPH_LINE_HEIGHT = 1.25;
+
+const GlyphAtlas = {
+    // Atlas pixels (one byte each) and the texture they're uploaded to
+    data: null,
+    texture: null,
+
+    // Material shared by every text mesh (see getMaterial)
+    material: null,
+
+    // Glyphs in the atlas, keyed by font and cluster (see getGlyph)
+    glyphs: {},
+
+    // Shelf packing: where the next glyph goes, and the tallest glyph on the current shelf
+    cursor: { x: 0, y: 0, shelfHeight: 0 },
+
+    // Set once a glyph didn't fit, so the warning is only logged once
+    full: false,
+
+    // Scratch canvas glyphs are rasterized on
+    canvas: null,
+
+    /**
+     * Creates the atlas texture (on first use)
+     */
+    init: function() {
+        if (this.texture) {
+            return;
+        }
+
+        const size = CONFIG.text.atlasSize;
+        this.data = new Uint8Array(size * size);
+        this.texture = new THREE.DataTexture(this.data, size, size, THREE.LuminanceFormat);
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.magFilter = THREE.LinearFilter;
+        this.texture.generateMipmaps = false;
+        this.texture.unpackAlignment = 1;
+        this.texture.needsUpdate = true;
+
+        this.canvas = document.createElement('canvas');
+    },
+
+    /**
+     * Gets a glyph, adding it to the atlas the first time it's used
+     * @param {string} cluster - Grapheme cluster (or, for shaped scripts, a whole word)
+     * @param {string} font - Font family and style (see getFont)
+     * @returns {object} Glyph ({advance, xOffset, width, height} in em, and
+     *                   {u0, v0, u1, v1} in the atlas; no uv for blank or unplaced glyphs)
+     */
+    getGlyph: function(cluster, font) {
+        const key = `${font}|${cluster}`;
+        if (!this.glyphs[key]) {
+            this.init();
+            this.glyphs[key] = this.addGlyph(cluster, font);
+        }
+        return this.glyphs[key];
+    },
+
+    /**
+     * Gets the CSS font for a block style, at the atlas glyph size
+     * @param {string} fontFamily - Font family
+     * @param {string} fontStyle - Font style ('normal', 'italic')
+     * @returns {string} CSS font
+     */
+    getFont: function(fontFamily = 'Arial', fontStyle = 'normal') {
+        return `${fontStyle} ${CONFIG.text.glyphSize}px ${fontFamily}`;
+    },
+
+    /**
+     * Rasterizes a glyph, turns it into a distance field and packs it into the atlas
+     * @param {string} cluster - Grapheme cluster or word
+     * @param {string} font - CSS font
+     * @returns {object} Glyph (see getGlyph)
+     */
+    addGlyph: function(cluster, font) {
+        const { glyphSize, sdfRadius, atlasSize } = CONFIG.text;
+        const context = this.canvas.getContext('2d');
+        context.font = font;
+
+        const advance = context.measureText(cluster).width;
+        const glyph = {
+            advance: advance / glyphSize,
+            xOffset: -sdfRadius / glyphSize,
+            width: 0,
+            height: 0
+        };
+
+        if (!cluster.trim()) {
+            return glyph;
+        }
+
+        const width = Math.min(Math.ceil(advance) + sdfRadius * 2, atlasSize);
+        const height = Math.ceil(glyphSize * GLYPH_LINE_HEIGHT) + sdfRadius * 2;
+        const position = this.pack(width, height);
+        if (!position) {
+            if (!this.full) {
+                this.full = true;
+                console.warn(`Glyph atlas is full (${atlasSize}px); characters not yet in it are left blank`);
+            }
+            return glyph;
+        }
+
+        // Draw the glyph in black on a clear canvas; only its coverage (alpha) is used
+        this.canvas.width = width;
+        this.canvas.height = height;
+        context.font = font;
+        context.textAlign = 'left';
+        context.textBaseline = 'middle';
+        context.fillStyle = '#000000';
+        context.clearRect(0, 0, width, height);
+        context.fillText(cluster, sdfRadius, height / 2);
+
+        const pixels = context.getImageData(0, 0, width, height).data;
+        const alpha = new Uint8Array(width * height);
+        for (let i = 0; i < alpha.length; i++) {
+            alpha[i] = pixels[i * 4 + 3];
+        }
+
+        const field = this.computeSDF(alpha, width, height, sdfRadius);
+        for (let row = 0; row < height; row++) {
+            this.data.set(field.subarray(row * width, (row + 1) * width), (position.y + row) * atlasSize + position.x);
+        }
+        this.texture.needsUpdate = true;
+
+        glyph.width = width / glyphSize;
+        glyph.height = height / glyphSize;
+        glyph.u0 = position.x / atlasSize;
+        glyph.v0 = position.y / atlasSize;
+        glyph.u1 = (position.x + width) / atlasSize;
+        glyph.v1 = (position.y + height) / atlasSize;
+
+        return glyph;
+    },
+
+    /**
+     * Finds room for a glyph: left to right along shelves, top to bottom
+     * @param {number} width - Glyph width in pixels
+     * @param {number} height - Glyph height in pixels
+     * @returns {object} Top-left corner ({x, y}), or null when the atlas is full
+     */
+    pack: function(width, height) {
+        const size = CONFIG.text.atlasSize;
+        const cursor = this.cursor;
+
+        if (cursor.x + width > size) {
+            cursor.x = 0;
+            cursor.y += cursor.shelfHeight + 1;
+            cursor.shelfHeight = 0;
+        }
+        if (cursor.y + height > size) {
+            return null;
+        }
+
+        const position = { x: cursor.x, y: cursor.y };
+        cursor.x += width + 1;
+        cursor.shelfHeight = Math.max(cursor.shelfHeight, height);
+
+        return position;
+    },
+
+    /**
+     * Computes a glyph's signed distance field from its coverage
+     * Uses the exact Euclidean distance transform (Felzenszwalb & Huttenlocher)
+     * on the inside and the outside, with sub-pixel edges from partial coverage
+     * @param {Uint8Array} alpha - Coverage per pixel (0-255)
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {number} radius - Distance (pixels) covered by the field on each side of the edge
+     * @returns {Uint8Array} Field per pixel: SDF_EDGE at the edge, 1 (255) deep inside, 0 far outside
+     */
+    computeSDF: function(alpha, width, height, radius) {
+        const size = width * height;
+        const outside = new Float64Array(size);
+        const inside = new Float64Array(size);
+
+        for (let i = 0; i < size; i++) {
+            const coverage = alpha[i] / 255;
+            if (coverage === 1) {
+                outside[i] = 0;
+                inside[i] = SDF_INF;
+            } else if (coverage === 0) {
+                outside[i] = SDF_INF;
+                inside[i] = 0;
+            } else {
+                const distance = 0.5 - coverage;
+                outside[i] = distance > 0 ? distance * distance : 0;
+                inside[i] = distance < 0 ? distance * distance : 0;
+            }
+        }
+
+        const length = Math.max(width, height);
+        const buffers = {
+            f: new Float64Array(length),
+            v: new Uint16Array(length),
+            z: new Float64Array(length + 1)
+        };
+        this.transform(outside, width, height, buffers);
+        this.transform(inside, width, height, buffers);
+
+        const field = new Uint8Array(size);
+        for (let i = 0; i < size; i++) {
+            const distance = Math.sqrt(outside[i]) - Math.sqrt(inside[i]);
+            const value = SDF_EDGE - distance / (radius * 2);
+            field[i] = Math.round(Math.min(Math.max(value, 0), 1) * 255);
+        }
+
+        return field;
+    },
+
+    /**
+     * 2D squared distance transform, in place: columns, then rows
+     * @param {Float64Array} grid - Squared distances (0 on the feature, SDF_INF elsewhere)
+     * @param {number} width - Grid width
+     * @param {number} height - Grid height
+     * @param {object} buffers - Scratch arrays ({f, v, z}) at least as long as a row or column
+     */
+    transform: function(grid, width, height, buffers) {
+        for (let x = 0; x < width; x++) {
+            this.transform1D(grid, x, width, height, buffers);
+        }
+        for (let y = 0; y < height; y++) {
+            this.transform1D(grid, y * width, 1, width, buffers);
+        }
+    },
+
+    /**
+     * 1D squared distance transform (lower envelope of parabolas), in place
+     * @param {Float64Array} grid - Squared distances
+     * @param {number} offset - Index of the first cell
+     * @param {number} stride - Step between cells
+     * @param {number} length - Number of cells
+     * @param {object} buffers - Scratch arrays ({f, v, z})
+     */
+    transform1D: function(grid, offset, stride, length, buffers) {
+        const { f, v, z } = buffers;
+        v[0] = 0;
+        z[0] = -SDF_INF;
+        z[1] = SDF_INF;
+        f[0] = grid[offset];
+
+        for (let q = 1, k = 0, s = 0; q < length; q++) {
+            f[q] = grid[offset + q * stride];
+            const q2 = q * q;
+            do {
+                const r = v[k];
+                s = (f[q] - f[r] + q2 - r * r) / (q - r) / 2;
+            } while (s <= z[k] && --k > -1);
+
+            k++;
+            v[k] = q;
+            z[k] = s;
+            z[k + 1] = SDF_INF;
+        }
+
+        for (let q = 0, k = 0; q < length; q++) {
+            while (z[k + 1] < q) {
+                k++;
+            }
+            const r = v[k];
+            const qr = q - r;
+            grid[offset + q * stride] = f[r] + qr * qr;
+        }
+    },
+
+    /**
+     * Splits a word into the clusters stored in the atlas: grapheme clusters,
+     * or the whole word for scripts that need shaping
+     * @param {string} word - Word (or the text between words)
+     * @returns {string[]} Clusters
+     */
+    splitClusters: function(word) {
+        return SHAPED_SCRIPT.test(word) ? [word] : TextSegmenter.splitGraphemes(word);
+    },
+
+    /**
+     * Lays out a line of text in em, glyph by glyph
+     * @param {string} text - Text
+     * @param {string[]} words - Words of the text, in order (see Utils.splitIntoWords)
+     * @param {string} font - CSS font (see getFont)
+     * @returns {object} {glyphs: [{glyph, pen, word}] (pen in em; word is the index of the
+     *                   word the glyph belongs to, or of the word before for the text between words),
+     *                   words: [{charStart, charEnd, start, end}] (character offsets and em), width (em)}
+     */
+    layoutText: function(text, words, font) {
+        const glyphs = [];
+        const wordRanges = [];
+        let pen = 0;
+        let position = 0;
+
+        const addRun = (run, wordIndex) => {
+            this.splitClusters(run).forEach(cluster => {
+                const glyph = this.getGlyph(cluster, font);
+                glyphs.push({ glyph: glyph, pen: pen, word: wordIndex });
+                pen += glyph.advance;
+            });
+        };
+
+        words.forEach((word, index) => {
+            const found = text.indexOf(word, position);
+            const charStart = found >= 0 ? found : position;
+            addRun(text.slice(position, charStart), index - 1);
+
+            const start = pen;
+            addRun(word, index);
+            wordRanges.push({ charStart: charStart, charEnd: charStart + word.length, start: start, end: pen });
+            position = found >= 0 ? charStart + word.length : position;
+        });
+        addRun(text.slice(position), words.length - 1);
+
+        return { glyphs: glyphs, words: wordRanges, width: pen };
+    },
+
+    /**
+     * Converts an outline width to distance field units
+     * @param {number} width - Outline width in em
+     * @returns {number} How far below SDF_EDGE the outline reaches
+     */
+    getOutlineDistance: function(width) {
+        return Math.min(width * CONFIG.text.glyphSize / (CONFIG.text.sdfRadius * 2), SDF_EDGE);
+    },
+
+    /**
+     * Gets the material every text mesh shares
+     * Colours and outlines are per vertex (fillColor, outlineColor and outlineWidth
+     * attributes), so words can be highlighted without a material of their own
+     * @returns {THREE.ShaderMaterial} Text material
+     */
+    getMaterial: function() {
+        if (this.material) {
+            return this.material;
+        }
+
+        this.init();
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                map: { value: this.texture }
+            },
+            vertexShader: `
+                attribute vec3 fillColor;
+                attribute vec3 outlineColor;
+                attribute float outlineWidth;
+                varying vec2 vUv;
+                varying vec3 vFillColor;
+                varying vec3 vOutlineColor;
+                varying float vOutlineWidth;
+
+                void main() {
+                    vUv = uv;
+                    vFillColor = fillColor;
+                    vOutlineColor = outlineColor;
+                    vOutlineWidth = outlineWidth;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D map;
+                varying vec2 vUv;
+                varying vec3 vFillColor;
+                varying vec3 vOutlineColor;
+                varying float vOutlineWidth;
+
+                void main() {
+                    float distance = texture2D(map, vUv).r;
+                    float smoothing = max(fwidth(distance) * 0.7, 0.001);
+                    float fill = smoothstep(${SDF_EDGE.toFixed(2)} - smoothing, ${SDF_EDGE.toFixed(2)} + smoothing, distance);
+                    float outlineEdge = ${SDF_EDGE.toFixed(2)} - vOutlineWidth;
+                    float alpha = smoothstep(outlineEdge - smoothing, outlineEdge + smoothing, distance);
+                    if (alpha < 0.01) discard;
+                    gl_FragColor = vec4(mix(vOutlineColor, vFillColor, fill), alpha);
+                }
+            `,
+            extensions: { derivatives: true },
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        return this.material;
+    }
+};
@@ -0,0 +1,227 @@
+/**
+ * WordSurf - Keywords
+ * Offline key-term extraction (TF-IDF across an article's sentences, plus
+ * capitalisation for names). Each term becomes a collectible token over its
+ * first appearance; terms found in fewer sentences are worth more points.
+ */
+
+// Longest run of capitalised words treated as one name ("New York City")
+const MAX_ENTITY_WORDS = 3;
+
+const Keywords = {
+    /**
+     * Picks an article's key terms and attaches each one to the sentence where
+     * it first appears, as sentence.keywords ([{term, key, wordStart, wordEnd, points}])
+     * @param {object} articleData - Processed article data (sentences modified in place)
+     * @returns {array} Terms ({term, key, isEntity, count, rarity, points, sentenceId, wordStart, wordEnd}), best first
+     */
+    attach: function(articleData) {
+        const sentences = [];
+        (articleData.paragraphs || []).forEach(paragraph => {
+            (paragraph.sentences || []).forEach(sentence => {
+                delete sentence.keywords;
+                if (sentence.blockType !== 'heading' && sentence.blockType !== 'code') {
+                    sentences.push(sentence);
+                }
+            });
+        });
+
+        if (!CONFIG.keywords.enabled) {
+            return [];
+        }
+
+        const terms = this.extract(sentences, (articleData.source && articleData.source.language) || 'en');
+
+        terms.forEach(term => {
+            const sentence = sentences.find(candidate => candidate.id === term.sentenceId);
+            sentence.keywords = sentence.keywords || [];
+            sentence.keywords.push({
+                term: term.term,
+                key: term.key,
+                wordStart: term.wordStart,
+                wordEnd: term.wordEnd,
+                points: term.points
+            });
+        });
+
+        Utils.debugLog(`Picked ${terms.length} key terms: ${terms.map(term => term.term).join(', ')}`);
+        return terms;
+    },
+
+    /**
+     * Scores candidate terms by TF-IDF, treating each sentence as a document
+     * @param {array} sentences - Prose sentences ({id, text, links})
+     * @param {string} language - Article language
+     * @returns {array} Chosen terms, best first
+     */
+    extract: function(sentences, language) {
+        const occurrences = [];
+        sentences.forEach((sentence, index) => {
+            this.getCandidates(sentence, language).forEach(candidate => {
+                occurrences.push({ ...candidate, sentenceIndex: index });
+            });
+        });
+
+        // A capitalised word only at the start of sentences isn't a name
+        const namedMidSentence = new Set(occurrences
+            .filter(occurrence => occurrence.isEntity && occurrence.wordStart > 0)
+            .map(occurrence => occurrence.key));
+
+        const byKey = new Map();
+        occurrences.forEach(occurrence => {
+            const isEntity = occurrence.isEntity && (occurrence.wordStart > 0 || namedMidSentence.has(occurrence.key));
+            if (occurrence.isEntity && !isEntity && !occurrence.isWord) {
+                return;
+            }
+
+            const entry = byKey.get(occurrence.key) || {
+                key: occurrence.key,
+                isEntity: false,
+                count: 0,
+                sentenceIndices: new Set(),
+                first: null
+            };
+            entry.count++;
+            entry.isEntity = entry.isEntity || isEntity;
+            entry.sentenceIndices.add(occurrence.sentenceIndex);
+
+            // The token goes on the first appearance that isn't already a portal
+            if (!entry.first && !occurrence.isLinked) {
+                entry.first = occurrence;
+            }
+            byKey.set(occurrence.key, entry);
+        });
+
+        const documentCount = sentences.length;
+        const scored = Array.from(byKey.values())
+            .filter(entry => entry.first)
+            .map(entry => {
+                const df = entry.sentenceIndices.size;
+                // 0 for a term in every sentence, 1 for a term in only one
+                const rarity = documentCount > 1 ? Math.log(documentCount / df) / Math.log(documentCount) : 1;
+                const score = entry.count * (Math.log(documentCount / df) + 1) *
+                    (entry.isEntity ? CONFIG.keywords.entityBoost : 1);
+                const points = CONFIG.keywords.minPoints +
+                    rarity * (CONFIG.keywords.maxPoints - CONFIG.keywords.minPoints);
+
+                return {
+                    term: entry.isEntity ? entry.first.text : entry.first.text.toLowerCase(),
+                    key: entry.key,
+                    isEntity: entry.isEntity,
+                    count: entry.count,
+                    rarity: rarity,
+                    points: Math.round(points / 5) * 5,
+                    score: score,
+                    sentenceId: sentences[entry.first.sentenceIndex].id,
+                    wordStart: entry.first.wordStart,
+                    wordEnd: entry.first.wordEnd
+                };
+            })
+            .sort((a, b) => b.score - a.score || b.key.length - a.key.length);
+
+        const maxTerms = Math.min(
+            CONFIG.keywords.maxTerms,
+            Math.ceil(documentCount / CONFIG.keywords.sentencesPerTerm)
+        );
+
+        // One token per span of words: a name beats the words inside it
+        const chosen = [];
+        scored.forEach(term => {
+            const overlaps = chosen.some(other => other.sentenceId === term.sentenceId &&
+                other.wordStart < term.wordEnd && term.wordStart < other.wordEnd);
+            if (chosen.length < maxTerms && !overlaps) {
+                chosen.push(term);
+            }
+        });
+
+        return chosen.map(term => {
+            delete term.score;
+            return term;
+        });
+    },
+
+    /**
+     * Finds the candidate terms in a sentence: content words, and runs of
+     * capitalised words (names)
+     * @param {object} sentence - Sentence ({text, links})
+     * @param {string} language - Article language
+     * @returns {array} Candidates ({text, key, wordStart, wordEnd, isEntity, isWord, isLinked})
+     */
+    getCandidates: function(sentence, language) {
+        const words = Utils.splitIntoWords(sentence.text).map(word => ({
+            text: word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''),
+            key: word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '')
+        }));
+        const links = Array.isArray(sentence.links) ? sentence.links : [];
+        const isLinked = (start, end) => links.some(link => link.wordStart < end && start < link.wordEnd);
+        const candidates = [];
+
+        // Names: capitalised words in a row (scripts without case have none)
+        let runStart = -1;
+        words.forEach((word, index) => {
+            // A sentence's first word is capitalised anyway; it only starts a name if it could be a term itself
+            // (so "The Beatles" is the name "Beatles")
+            const isCapitalised = /^\p{Lu}/u.test(word.text) && word.key.length > 1 &&
+                (index > 0 || this.isContentWord(word.key, language));
+            if (isCapitalised && runStart < 0) {
+                runStart = index;
+            }
+
+            const runEnds = runStart >= 0 && (!isCapitalised || index === words.length - 1 ||
+                index - runStart + 1 === MAX_ENTITY_WORDS);
+            if (runEnds) {
+                const end = isCapitalised ? index + 1 : index;
+                const run = words.slice(runStart, end);
+                candidates.push({
+                    text: run.map(runWord => runWord.text).join(' '),
+                    key: run.map(runWord => runWord.key).join(' '),
+                    wordStart: runStart,
+                    wordEnd: end,
+                    isEntity: true,
+                    isWord: run.length === 1 && this.isContentWord(run[0].key, language),
+                    isLinked: isLinked(runStart, end)
+                });
+                runStart = -1;
+            }
+        });
+
+        // Content words outside names
+        words.forEach((word, index) => {
+            const inName = candidates.some(candidate => candidate.wordStart <= index && index < candidate.wordEnd);
+            if (!inName && this.isContentWord(word.key, language)) {
+                candidates.push({
+                    text: word.text,
+                    key: word.key,
+                    wordStart: index,
+                    wordEnd: index + 1,
+                    isEntity: false,
+                    isWord: true,
+                    isLinked: isLinked(index, index + 1)
+                });
+            }
+        });
+
+        return candidates;
+    },
+
+    /**
+     * Checks whether a word carries meaning on its own (not a number, a short
+     * word or, in English, one of the most common words)
+     * @param {string} key - Lower-case word without punctuation
+     * @param {string} language - Article language
+     * @returns {boolean} True if the word can be a key term
+     */
+    isContentWord: function(key, language) {
+        if (!/\p{L}/u.test(key)) {
+            return false;
+        }
+
+        // Words in scripts without spaces are short but meaningful
+        const minLength = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(key) ? 2 : 4;
+        if (Array.from(key).length < minLength) {
+            return false;
+        }
+
+        return language !== 'en' || !Readability.isCommonWord(key);
+    }
+};
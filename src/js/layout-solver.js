@@ -0,0 +1,221 @@
+/**
+ * WordSurf - Layout Solver
+ * Makes sure every platform can be reached from the one before it. The
+ * solver replays the player's physics (see Player.applyPhysics and
+ * Player.checkPlatformCollisions) for the ways off a platform (running off
+ * its end, or jumping near it) and, when none of the arcs lands on the next
+ * platform, moves that platform: up or down, closer, or under the end of the
+ * one before it (see CONFIG.layout).
+ */
+
+// Player collision radius, as in Player.checkPlatformCollisions
+const PLAYER_RADIUS = 0.5;
+
+// Player.applyPhysics caps the fall speed at this
+const TERMINAL_VELOCITY = -20;
+
+const LayoutSolver = {
+    /**
+     * Gets the player's movement at a difficulty, in the units Player uses
+     * @param {object} tuning - {jumpScale, speedScale} (see CONFIG.difficulty.layouts)
+     * @returns {object} {speed, jumpVelocity, gravity, dt}
+     */
+    getJumpProfile: function(tuning) {
+        return {
+            speed: CONFIG.game.playerSpeed * tuning.speedScale,
+            jumpVelocity: CONFIG.game.jumpForce * tuning.jumpScale,
+            gravity: CONFIG.game.gravity,
+            dt: 1 / CONFIG.layout.frameRate
+        };
+    },
+
+    /**
+     * Describes a placed platform for the solver
+     * @param {object} platform - Platform plan from GeometryGenerator.planPlatform
+     * @param {number} startX - Left edge in level coordinates
+     * @param {number} y - Platform origin height in level coordinates
+     * @returns {object} {left, right, surface (level x -> level y)}
+     */
+    describe: function(platform, startX, y) {
+        const centerX = startX + platform.length / 2;
+
+        return {
+            left: startX,
+            right: startX + platform.length,
+            surface: (x) => y + platform.curveFunction(x - centerX)
+        };
+    },
+
+    /**
+     * Gets the ways the player can leave a platform towards the next one:
+     * running off the end, and jumping from points along the last
+     * CONFIG.layout.takeoffRange units, at full and half speed
+     * @param {object} from - Platform left (see describe)
+     * @param {object} profile - Jump profile (see getJumpProfile)
+     * @returns {array} Launches ({x, y, vx, vy}), y being the player's centre
+     */
+    getLaunches: function(from, profile) {
+        const launches = [];
+        const speeds = [profile.speed, profile.speed / 2];
+
+        speeds.forEach(vx => {
+            launches.push({ x: from.right, y: from.surface(from.right) + PLAYER_RADIUS, vx: vx, vy: 0 });
+
+            const takeoffStart = Math.max(from.left, from.right - CONFIG.layout.takeoffRange);
+            for (let x = from.right; x >= takeoffStart; x -= CONFIG.layout.step) {
+                launches.push({ x: x, y: from.surface(x) + PLAYER_RADIUS, vx: vx, vy: profile.jumpVelocity });
+            }
+        });
+
+        return launches;
+    },
+
+    /**
+     * Follows a launch frame by frame until the player lands on one of the
+     * platforms, passes the last of them or falls below them
+     * Landing uses Player's rule: while falling, over a platform whose surface
+     * is no more than the player's radius below their centre
+     * @param {object} launch - Launch ({x, y, vx, vy})
+     * @param {array} platforms - Platforms the arc may land on (see describe)
+     * @param {object} profile - Jump profile (see getJumpProfile)
+     * @returns {object} {points: [{x, y}], landedOn (index into platforms, or -1)}
+     */
+    simulateArc: function(launch, platforms, profile) {
+        const maxX = Math.max(...platforms.map(platform => platform.right));
+        const minY = Math.min(...platforms.map(platform =>
+            Math.min(platform.surface(platform.left), platform.surface(platform.right)))) - CONFIG.layout.maxFall;
+
+        let { x, y, vy } = launch;
+        const points = [{ x: x, y: y }];
+
+        while (x <= maxX && y >= minY) {
+            vy -= profile.gravity;
+            x += launch.vx * profile.dt;
+            y += vy * profile.dt;
+            vy = Math.max(vy, TERMINAL_VELOCITY);
+            points.push({ x: x, y: y });
+
+            if (vy >= 0) {
+                continue;
+            }
+
+            // The highest surface under the player, as in Player.checkPlatformCollisions
+            let landedOn = -1;
+            let surfaceY = -Infinity;
+            platforms.forEach((platform, index) => {
+                if (x < platform.left || x > platform.right) return;
+
+                const platformY = platform.surface(x);
+                if (platformY > surfaceY && platformY <= y + PLAYER_RADIUS) {
+                    surfaceY = platformY;
+                    landedOn = index;
+                }
+            });
+
+            if (landedOn >= 0 && y - surfaceY <= PLAYER_RADIUS) {
+                return { points: points, landedOn: landedOn };
+            }
+        }
+
+        return { points: points, landedOn: -1 };
+    },
+
+    /**
+     * Checks whether the player can get from one platform to the next
+     * An arc that comes back down on the platform it left doesn't count
+     * @param {object} from - Platform left (see describe)
+     * @param {object} to - Next platform (see describe)
+     * @param {object} profile - Jump profile (see getJumpProfile)
+     * @returns {object} {reachable, arc (the landing arc, or the longest try when unreachable)}
+     */
+    checkReach: function(from, to, profile) {
+        let longest = null;
+
+        for (const launch of this.getLaunches(from, profile)) {
+            const arc = this.simulateArc(launch, [from, to], profile);
+            if (arc.landedOn === 1) {
+                return { reachable: true, arc: arc.points };
+            }
+
+            const end = arc.points[arc.points.length - 1];
+            if (!longest || end.x > longest[longest.length - 1].x) {
+                longest = arc.points;
+            }
+        }
+
+        return { reachable: false, arc: longest || [] };
+    },
+
+    /**
+     * Places a platform where it can be reached from the one before it
+     * The preferred spot is tried first; otherwise the nearest reachable spot
+     * within CONFIG.layout.maxHeightShift up or down and up to
+     * CONFIG.layout.maxOverlap under the previous platform's end
+     * @param {object} from - Previous platform (see describe), or null for the first
+     * @param {object} platform - Platform plan to place (see GeometryGenerator.planPlatform)
+     * @param {number} startX - Preferred left edge
+     * @param {number} y - Preferred height
+     * @param {object} profile - Jump profile (see getJumpProfile)
+     * @returns {object} {startX, y, status ('ok', 'fixed' or 'unreachable'), arc}
+     */
+    place: function(from, platform, startX, y, profile) {
+        if (!from || !CONFIG.layout.checkReachability) {
+            return { startX: startX, y: y, status: 'ok', arc: [] };
+        }
+
+        const preferred = this.checkReach(from, this.describe(platform, startX, y), profile);
+        if (preferred.reachable) {
+            return { startX: startX, y: y, status: 'ok', arc: preferred.arc };
+        }
+
+        // Nearest spots first: cost is the total distance moved
+        const { step, maxHeightShift, maxOverlap } = CONFIG.layout;
+        const candidates = [];
+        const gap = startX - from.right;
+        for (let shiftX = 0; gap + shiftX >= -maxOverlap; shiftX -= step) {
+            for (let shiftY = -maxHeightShift; shiftY <= maxHeightShift; shiftY += step) {
+                if (shiftX !== 0 || shiftY !== 0) {
+                    candidates.push({ shiftX: shiftX, shiftY: shiftY, cost: Math.abs(shiftX) + Math.abs(shiftY) });
+                }
+            }
+        }
+        candidates.sort((a, b) => a.cost - b.cost);
+
+        for (const candidate of candidates) {
+            const candidateX = startX + candidate.shiftX;
+            const candidateY = y + candidate.shiftY;
+            const reach = this.checkReach(from, this.describe(platform, candidateX, candidateY), profile);
+            if (reach.reachable) {
+                return { startX: candidateX, y: candidateY, status: 'fixed', arc: reach.arc };
+            }
+        }
+
+        return { startX: startX, y: y, status: 'unreachable', arc: preferred.arc };
+    },
+
+    /**
+     * Creates the debug overlay: each platform's predicted landing arc
+     * (green, or yellow where the solver moved the platform) and the longest
+     * try at platforms it couldn't make reachable (red)
+     * @param {array} arcs - Arcs ({points, status}) from place
+     * @returns {THREE.Object3D} Overlay (hidden unless CONFIG.debug.showJumpArcs);
+     *   only built when it is first shown
+     */
+    createOverlay: function(arcs) {
+        const overlay = new THREE.Object3D();
+        overlay.name = 'jump-arcs';
+        overlay.visible = CONFIG.debug.enabled && CONFIG.debug.showJumpArcs;
+
+        const colors = { ok: 0x66bb6a, fixed: 0xffee58, unreachable: 0xef5350 };
+        arcs.forEach(arc => {
+            if (arc.points.length < 2) return;
+
+            const geometry = new THREE.BufferGeometry().setFromPoints(
+                arc.points.map(point => new THREE.Vector3(point.x, point.y, 0.3))
+            );
+            overlay.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: colors[arc.status] })));
+        });
+
+        return overlay;
+    }
+};
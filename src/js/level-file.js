@@ -0,0 +1,345 @@
+/**
+ * WordSurf - Level File
+ * Portable .wordsurf.json level format so a processed article can be shared
+ * and replayed without running the content pipeline
+ *
+ * {
+ *   format: "wordsurf-level", version: 1, exportedAt,
+ *   source: { url, title, language, retrievedAt },
+ *   layout: { content: {...}, structure: {...}, tone: {...}, game: {...}, difficulty: {...}, curves: {...} },
+ *   seed: optional number or string,
+ *   translation: optional { language, source, count },
+ *   paragraphs: [{ type, level, text, sentences: [{ id, text, length, blockType, blockLevel, tone, toneSource, links, translation }] }]
+ * }
+ * links (optional): [{ text, url, wordStart, wordEnd }], the sentence's portals
+ * translation (optional): the sentence translated into translation.language (language-learning mode)
+ * keywords (optional): the sentence's collectibles; ignored on import, where they are picked again
+ */
+
+const LEVEL_FILE_FORMAT = 'wordsurf-level';
+const LEVEL_FILE_VERSION = 1;
+
+// Settings that change how a level is laid out, saved with the level so it plays the same elsewhere
+const LAYOUT_KEYS = {
+    content: ['minSentenceLength', 'maxSentenceLength', 'maxArticleLength'],
+    structure: Object.keys(CONFIG.structure),
+    tone: Object.keys(CONFIG.tone),
+    game: ['platformWidth', 'minPlatformHeight', 'maxCurviness'],
+    difficulty: ['easyBelow', 'hardFrom'],
+    curves: ['maxSlope', 'calmBelow', 'intenseFrom', 'complexFrom'],
+    layout: Object.keys(CONFIG.layout)
+};
+
+// Block types a paragraph may have
+const LEVEL_BLOCK_TYPES = ['heading', 'paragraph', 'list-item', 'blockquote', 'code'];
+
+// Most problems listed when a file is rejected
+const MAX_REPORTED_PROBLEMS = 5;
+
+const LevelFile = {
+    /**
+     * Builds a level file from processed article data
+     * @param {object} articleData - Processed article data (ContentPipeline.articleData)
+     * @returns {object} Level file contents
+     */
+    create: function(articleData) {
+        const level = {
+            format: LEVEL_FILE_FORMAT,
+            version: LEVEL_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            source: articleData.source,
+            layout: this.getLayout(),
+            seed: ContentPipeline.getLevelSeed(articleData),
+            translation: articleData.translation,
+            paragraphs: articleData.paragraphs
+        };
+
+        if (level.seed === undefined) {
+            delete level.seed;
+        }
+        if (level.translation === undefined) {
+            delete level.translation;
+        }
+
+        return level;
+    },
+
+    /**
+     * Gets the current layout settings
+     * @returns {object} Layout settings grouped by CONFIG section
+     */
+    getLayout: function() {
+        const layout = {};
+
+        Object.keys(LAYOUT_KEYS).forEach(section => {
+            layout[section] = {};
+            LAYOUT_KEYS[section].forEach(key => {
+                layout[section][key] = CONFIG[section][key];
+            });
+        });
+
+        return layout;
+    },
+
+    /**
+     * Applies layout settings from a level file
+     * Unknown sections and keys are ignored
+     * @param {object} layout - Layout settings from a level file
+     * @returns {Function} Restores the settings that were replaced
+     */
+    applyLayout: function(layout = {}) {
+        const previous = this.getLayout();
+
+        Object.keys(LAYOUT_KEYS).forEach(section => {
+            const values = layout[section] || {};
+            LAYOUT_KEYS[section].forEach(key => {
+                if (typeof values[key] === 'number' && Number.isFinite(values[key])) {
+                    CONFIG[section][key] = values[key];
+                }
+            });
+        });
+
+        return () => {
+            Object.keys(previous).forEach(section => {
+                Object.assign(CONFIG[section], previous[section]);
+            });
+        };
+    },
+
+    /**
+     * Downloads processed article data as a .wordsurf.json file
+     * @param {object} articleData - Processed article data
+     */
+    download: function(articleData) {
+        const json = JSON.stringify(this.create(articleData), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const link = document.createElement('a');
+
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.getFileName(articleData.source && articleData.source.title)}.wordsurf.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    },
+
+    /**
+     * Turns a title into a file name
+     * @param {string} title - Article title
+     * @returns {string} File name without extension
+     */
+    getFileName: function(title) {
+        const name = (title || 'level')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60);
+
+        return name || 'level';
+    },
+
+    /**
+     * Parses and validates a level file
+     * @param {string} json - File contents
+     * @returns {object} {articleData, layout, seed}
+     * @throws {Error} Describing what is wrong with the file
+     */
+    parse: function(json) {
+        let level;
+        try {
+            level = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`The file is not valid JSON (${error.message})`);
+        }
+
+        const problems = this.validate(level);
+        if (problems.length > 0) {
+            const listed = problems.slice(0, MAX_REPORTED_PROBLEMS).join('; ');
+            const more = problems.length > MAX_REPORTED_PROBLEMS ? ` (and ${problems.length - MAX_REPORTED_PROBLEMS} more)` : '';
+            throw new Error(`${listed}${more}`);
+        }
+
+        return {
+            articleData: this.toArticleData(level),
+            layout: level.layout || {},
+            seed: level.seed
+        };
+    },
+
+    /**
+     * Checks a parsed level file against the format
+     * @param {object} level - Parsed file
+     * @returns {string[]} Problems found (empty if the file is valid)
+     */
+    validate: function(level) {
+        const problems = [];
+
+        if (!level || typeof level !== 'object' || Array.isArray(level)) {
+            return ['The file is not a WordSurf level'];
+        }
+        if (level.format !== LEVEL_FILE_FORMAT) {
+            return ['The file is not a WordSurf level (missing "format": "wordsurf-level")'];
+        }
+        if (!Number.isInteger(level.version) || level.version < 1) {
+            return ['"version" must be a positive whole number'];
+        }
+        if (level.version > LEVEL_FILE_VERSION) {
+            return [`The level was saved by a newer WordSurf (format version ${level.version}; this version reads up to ${LEVEL_FILE_VERSION})`];
+        }
+
+        if (!level.source || typeof level.source !== 'object') {
+            problems.push('"source" must be an object');
+        } else if (level.source.title !== undefined && typeof level.source.title !== 'string') {
+            problems.push('"source.title" must be a string');
+        }
+
+        if (level.layout !== undefined && (typeof level.layout !== 'object' || level.layout === null)) {
+            problems.push('"layout" must be an object');
+        }
+
+        if (level.seed !== undefined && typeof level.seed !== 'string' && !Number.isFinite(level.seed)) {
+            problems.push('"seed" must be a number or a string');
+        }
+
+        if (!Array.isArray(level.paragraphs) || level.paragraphs.length === 0) {
+            problems.push('"paragraphs" must be a non-empty array');
+            return problems;
+        }
+
+        level.paragraphs.forEach((paragraph, pIndex) => {
+            const path = `paragraphs[${pIndex}]`;
+
+            if (!paragraph || typeof paragraph !== 'object') {
+                problems.push(`${path} must be an object`);
+                return;
+            }
+            if (paragraph.type !== undefined && !LEVEL_BLOCK_TYPES.includes(paragraph.type)) {
+                problems.push(`${path}.type must be one of ${LEVEL_BLOCK_TYPES.join(', ')}`);
+            }
+            if (!Array.isArray(paragraph.sentences)) {
+                problems.push(`${path}.sentences must be an array`);
+                return;
+            }
+
+            paragraph.sentences.forEach((sentence, sIndex) => {
+                problems.push(...this.validateSentence(sentence, `${path}.sentences[${sIndex}]`));
+            });
+        });
+
+        return problems;
+    },
+
+    /**
+     * Checks one sentence of a level file
+     * @param {object} sentence - Sentence from the file
+     * @param {string} path - Location used in problem messages
+     * @returns {string[]} Problems found
+     */
+    validateSentence: function(sentence, path) {
+        if (!sentence || typeof sentence !== 'object') {
+            return [`${path} must be an object`];
+        }
+
+        const problems = [];
+
+        if (typeof sentence.id !== 'string' || !sentence.id) {
+            problems.push(`${path}.id must be a non-empty string`);
+        }
+        if (typeof sentence.text !== 'string' || !sentence.text.trim()) {
+            problems.push(`${path}.text must be a non-empty string`);
+        }
+        if (sentence.tone !== undefined) {
+            const ranges = { valence: [-1, 1], arousal: [0, 1], complexity: [0, 1] };
+
+            if (!sentence.tone || typeof sentence.tone !== 'object') {
+                problems.push(`${path}.tone must be an object`);
+            } else {
+                Object.keys(ranges).forEach(field => {
+                    const value = sentence.tone[field];
+                    const [min, max] = ranges[field];
+                    if (typeof value !== 'number' || value < min || value > max) {
+                        problems.push(`${path}.tone.${field} must be a number from ${min} to ${max}`);
+                    }
+                });
+            }
+        }
+        if (sentence.translation !== undefined && typeof sentence.translation !== 'string') {
+            problems.push(`${path}.translation must be a string`);
+        }
+        if (sentence.links !== undefined) {
+            if (!Array.isArray(sentence.links)) {
+                problems.push(`${path}.links must be an array`);
+            } else {
+                sentence.links.forEach((link, lIndex) => {
+                    const linkPath = `${path}.links[${lIndex}]`;
+                    if (!link || typeof link !== 'object') {
+                        problems.push(`${linkPath} must be an object`);
+                        return;
+                    }
+                    if (typeof link.url !== 'string' || !/^https?:\/\//i.test(link.url)) {
+                        problems.push(`${linkPath}.url must be an http(s) URL`);
+                    }
+                    if (!Number.isInteger(link.wordStart) || !Number.isInteger(link.wordEnd) ||
+                        link.wordStart < 0 || link.wordEnd <= link.wordStart) {
+                        problems.push(`${linkPath} must have whole-number wordStart < wordEnd`);
+                    }
+                });
+            }
+        }
+
+        return problems;
+    },
+
+    /**
+     * Converts a validated level file into article data for ContentPipeline
+     * Missing optional fields (word counts, block types, tone) are filled in
+     * @param {object} level - Validated level file
+     * @returns {object} Article data
+     */
+    toArticleData: function(level) {
+        const articleData = {
+            source: {
+                ...level.source,
+                title: level.source.title || 'Imported level',
+                importedAt: new Date().toISOString()
+            },
+            paragraphs: level.paragraphs.map((paragraph, pIndex) => {
+                const type = paragraph.type || 'paragraph';
+                const blockLevel = paragraph.level || 0;
+
+                return {
+                    index: pIndex,
+                    type: type,
+                    level: blockLevel,
+                    text: paragraph.text || paragraph.sentences.map(sentence => sentence.text).join(' '),
+                    sentences: paragraph.sentences.map(sentence => {
+                        const imported = {
+                            ...sentence,
+                            length: sentence.length || Utils.countWords(sentence.text),
+                            blockType: sentence.blockType || type,
+                            blockLevel: sentence.blockLevel !== undefined ? sentence.blockLevel : blockLevel
+                        };
+
+                        // Sentences saved without a score get one from the offline lexicon
+                        if (sentence.tone) {
+                            ContentPipeline.applyTone(imported, sentence.tone, sentence.toneSource || 'imported', sentence.toneIssue);
+                        } else {
+                            ContentPipeline.applyTone(imported, ToneLexicon.analyze(sentence.text), 'lexicon', 'no score in level file');
+                        }
+                        return imported;
+                    })
+                };
+            })
+        };
+
+        if (level.seed !== undefined) {
+            articleData.seed = level.seed;
+        }
+        if (level.translation && typeof level.translation.language === 'string') {
+            articleData.translation = level.translation;
+        }
+
+        return articleData;
+    }
+};
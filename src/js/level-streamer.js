@@ -0,0 +1,220 @@
+/**
+ * WordSurf - Level Streamer
+ * Builds a level's platforms a few sentences ahead of the player and disposes
+ * of them again once they're well behind, so a long article starts quickly and
+ * the scene (and GPU memory) only ever holds the stretch around the player.
+ * The whole level is laid out up front (see GeometryGenerator.createLevel);
+ * a spatial index over that layout answers "what is at this x" for collisions
+ * and surface lookups without looping over every platform.
+ */
+
+const LevelStreamer = {
+    /**
+     * Creates the streaming state for a level's platforms and gates
+     * @param {array} items - Platforms ({kind: 'platform', plan, ...}) and gates ({kind: 'gate', sentence, ...})
+     *                        with {sequence, x, y, left, right, object}, in level order
+     * @returns {object} Stream ({items, cells, bySequence, byLeft, built, sequence})
+     */
+    createStream: function(items) {
+        const cellSize = CONFIG.streaming.cellSize;
+
+        // Spatial index: each item is listed in every cell its x range touches
+        const cells = new Map();
+        items.forEach(item => {
+            for (let cell = Math.floor(item.left / cellSize); cell <= Math.floor(item.right / cellSize); cell++) {
+                if (!cells.has(cell)) {
+                    cells.set(cell, []);
+                }
+                cells.get(cell).push(item);
+            }
+        });
+
+        const bySequence = new Map();
+        items.forEach(item => {
+            if (!bySequence.has(item.sequence)) {
+                bySequence.set(item.sequence, []);
+            }
+            bySequence.get(item.sequence).push(item);
+        });
+
+        return {
+            items: items,
+            cells: cells,
+            bySequence: bySequence,
+            byLeft: items.slice().sort((a, b) => a.left - b.left),
+            built: new Set(),
+            sequence: null
+        };
+    },
+
+    /**
+     * Gets the items whose x range covers a point
+     * @param {THREE.Object3D} level - Level from GeometryGenerator.createLevel
+     * @param {number} x - X position in the level
+     * @returns {array} Items (built or not)
+     */
+    getItemsAt: function(level, x) {
+        const stream = level && level.userData.stream;
+        if (!stream) {
+            return [];
+        }
+
+        const cell = stream.cells.get(Math.floor(x / CONFIG.streaming.cellSize)) || [];
+        return cell.filter(item => x >= item.left && x <= item.right);
+    },
+
+    /**
+     * Gets the built platforms under a point, for collisions
+     * @param {THREE.Object3D} level - Level from GeometryGenerator.createLevel
+     * @param {number} x - X position in the level
+     * @returns {THREE.Object3D[]} Platform objects
+     */
+    getPlatformsAt: function(level, x) {
+        return this.getItemsAt(level, x)
+            .filter(item => item.kind === 'platform' && item.object)
+            .map(item => item.object);
+    },
+
+    /**
+     * Gets the height of the highest platform surface at a point, built or not
+     * @param {THREE.Object3D} level - Level from GeometryGenerator.createLevel
+     * @param {number} x - X position in the level
+     * @returns {number} Surface height (-Infinity if no platform covers x)
+     */
+    getSurfaceYAt: function(level, x) {
+        return this.getItemsAt(level, x)
+            .filter(item => item.kind === 'platform')
+            .reduce((surfaceY, item) => Math.max(surfaceY, item.y + item.plan.curveFunction(x - item.x)), -Infinity);
+    },
+
+    /**
+     * Gets the first platform of a level
+     * @param {THREE.Object3D} level - Level from GeometryGenerator.createLevel
+     * @returns {object} Platform item ({x, y, left, right, plan}), or null for an empty level
+     */
+    getFirstPlatform: function(level) {
+        const stream = level && level.userData.stream;
+        return (stream && stream.items.find(item => item.kind === 'platform')) || null;
+    },
+
+    /**
+     * Finds the sentence the player is at: that of the last item starting at or before x
+     * @param {object} stream - Stream from createStream
+     * @param {number} x - X position in the level
+     * @returns {number} Sequence number (0 before the first item)
+     */
+    getSequenceAt: function(stream, x) {
+        let low = 0;
+        let high = stream.byLeft.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const middle = Math.floor((low + high) / 2);
+            if (stream.byLeft[middle].left <= x) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found >= 0 ? stream.byLeft[found].sequence : 0;
+    },
+
+    /**
+     * Builds the sentences around the player and disposes of those out of range
+     * Sentences are built CONFIG.streaming.sentencesAhead ahead and kept
+     * sentencesBehind behind; one more sentence either way is kept before
+     * disposing, so walking back and forth over a boundary doesn't rebuild it
+     * @param {THREE.Object3D} level - Level from GeometryGenerator.createLevel
+     * @param {number} x - Player's x position in the level
+     */
+    update: function(level, x) {
+        const stream = level && level.userData.stream;
+        if (!stream) {
+            return;
+        }
+
+        const sequence = this.getSequenceAt(stream, x);
+        if (sequence === stream.sequence) {
+            return;
+        }
+        stream.sequence = sequence;
+
+        const { sentencesAhead, sentencesBehind } = CONFIG.streaming;
+
+        stream.built.forEach(item => {
+            if (item.sequence < sequence - sentencesBehind - 1 || item.sequence > sequence + sentencesAhead + 1) {
+                this.disposeItem(level, item);
+            }
+        });
+
+        for (let i = sequence - sentencesBehind; i <= sequence + sentencesAhead; i++) {
+            (stream.bySequence.get(i) || []).forEach(item => {
+                if (!item.object) {
+                    this.buildItem(level, item);
+                }
+            });
+        }
+
+        Utils.debugLog(`Level streaming: sentence ${sequence}, ${stream.built.size} of ${stream.items.length} platforms built`);
+    },
+
+    /**
+     * Builds a platform or gate and adds it to the level
+     * @param {THREE.Object3D} level - Level the item belongs to
+     * @param {object} item - Item from the level's stream
+     */
+    buildItem: function(level, item) {
+        if (item.kind === 'gate') {
+            item.object = GeometryGenerator.createSectionGate(item.sentence);
+        } else {
+            item.object = GeometryGenerator.buildPlatform(item.plan);
+
+            // The level's tokens get their objects while the platform is built
+            item.object.userData.keywords.forEach((token, index) => {
+                const entry = item.keywords[index];
+                entry.object = token.object;
+                entry.object.visible = !entry.collected;
+            });
+        }
+
+        item.object.position.x = item.x;
+        item.object.position.y = item.y;
+        level.add(item.object);
+        level.userData.stream.built.add(item);
+    },
+
+    /**
+     * Removes a platform or gate from the level and frees its GPU memory
+     * @param {THREE.Object3D} level - Level the item belongs to
+     * @param {object} item - Built item from the level's stream
+     */
+    disposeItem: function(level, item) {
+        level.remove(item.object);
+        GeometryGenerator.disposeObject(item.object);
+        item.object = null;
+
+        (item.keywords || []).forEach(entry => {
+            entry.object = null;
+        });
+
+        level.userData.stream.built.delete(item);
+    },
+
+    /**
+     * Disposes of everything built for a level, when it's taken out of the scene
+     * @param {THREE.Object3D} level - Level from GeometryGenerator.createLevel
+     */
+    disposeLevel: function(level) {
+        const stream = level && level.userData.stream;
+        if (stream) {
+            stream.built.forEach(item => this.disposeItem(level, item));
+            stream.sequence = null;
+        }
+
+        if (level) {
+            GeometryGenerator.disposeObject(level);
+        }
+    }
+};
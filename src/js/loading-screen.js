@@ -0,0 +1,167 @@
+/**
+ * WordSurf - Loading Screen
+ * Shows each content pipeline stage as it runs, driven by ContentPipeline events
+ */
+
+// Label and share of the progress bar (out of 100) for each pipeline stage
+const LOADING_STAGES = {
+    cache: { label: 'Checking cache', weight: 5 },
+    fetch: { label: 'Fetching article', weight: 35 },
+    structure: { label: 'Structuring content', weight: 20 },
+    tone: { label: 'Analyzing tone', weight: 35 },
+    translate: { label: 'Translating', weight: 15 },
+    save: { label: 'Saving to cache', weight: 5 },
+    level: { label: 'Loading level file', weight: 100 },
+    crawl: { label: 'Crawling site', weight: 100 }
+};
+
+const LoadingScreen = {
+    // State of the stages seen in the current load, keyed by stage name
+    // ({element, detail, status, progress})
+    stages: {},
+
+    /**
+     * Initializes the loading screen and subscribes to pipeline events
+     */
+    init: function() {
+        ContentPipeline.on(event => this.handleEvent(event));
+    },
+
+    /**
+     * Clears the stage list for a new load and shows the Cancel button
+     */
+    start: function() {
+        this.stages = {};
+
+        const list = document.getElementById('loading-stages');
+        if (list) {
+            list.innerHTML = '';
+        }
+
+        this.setCancelVisible(true);
+        Utils.updateLoadingProgress(0, 'Starting...');
+    },
+
+    /**
+     * Hides the Cancel button once loading is over
+     */
+    finish: function() {
+        this.setCancelVisible(false);
+    },
+
+    /**
+     * Shows or hides the Cancel button
+     * @param {boolean} visible - Whether the button should be shown
+     */
+    setCancelVisible: function(visible) {
+        const cancelButton = document.getElementById('cancel-loading-button');
+        if (cancelButton) {
+            cancelButton.style.display = visible ? 'inline-block' : 'none';
+            cancelButton.disabled = false;
+        }
+    },
+
+    /**
+     * Updates the stage list and progress bar from a pipeline event
+     * @param {object} event - Pipeline event (see ContentPipeline.on)
+     */
+    handleEvent: function(event) {
+        const info = LOADING_STAGES[event.stage] || { label: event.stage, weight: 0 };
+        const stage = this.stages[event.stage] || this.addStage(event.stage, info.label);
+
+        switch (event.type) {
+            case 'stage-start':
+                this.setStatus(stage, 'active');
+                Utils.updateLoadingProgress(this.getProgress(), `${info.label}...`);
+                break;
+
+            case 'stage-progress':
+                if (typeof event.progress === 'number') {
+                    stage.progress = event.progress;
+                }
+                if (event.message) {
+                    stage.detail.textContent = event.message;
+                }
+                Utils.updateLoadingProgress(this.getProgress(), `${info.label}... ${event.message || ''}`.trim());
+                break;
+
+            case 'stage-fallback':
+                this.addNote(stage, `${event.provider} skipped: ${event.reason}`);
+                break;
+
+            case 'stage-finish':
+                stage.progress = 1;
+                this.setStatus(stage, event.status);
+                if (event.message || event.reason) {
+                    stage.detail.textContent = event.message || event.reason;
+                }
+                Utils.updateLoadingProgress(this.getProgress());
+                break;
+        }
+    },
+
+    /**
+     * Adds a stage to the list
+     * @param {string} name - Stage name
+     * @param {string} label - Label to show
+     * @returns {object} Stage state
+     */
+    addStage: function(name, label) {
+        const element = document.createElement('li');
+        element.className = 'loading-stage';
+
+        const labelElement = document.createElement('span');
+        labelElement.className = 'loading-stage-label';
+        labelElement.textContent = label;
+
+        const detail = document.createElement('span');
+        detail.className = 'loading-stage-detail';
+
+        element.appendChild(labelElement);
+        element.appendChild(detail);
+
+        const list = document.getElementById('loading-stages');
+        if (list) {
+            list.appendChild(element);
+        }
+
+        this.stages[name] = { element: element, detail: detail, status: 'pending', progress: 0 };
+        return this.stages[name];
+    },
+
+    /**
+     * Adds a note (e.g. a provider fallback) under a stage
+     * @param {object} stage - Stage state
+     * @param {string} text - Note text
+     */
+    addNote: function(stage, text) {
+        const note = document.createElement('div');
+        note.className = 'loading-stage-note';
+        note.textContent = text;
+        stage.element.appendChild(note);
+    },
+
+    /**
+     * Sets a stage's status ('active', 'done', 'failed' or 'cancelled')
+     * @param {object} stage - Stage state
+     * @param {string} status - New status
+     */
+    setStatus: function(stage, status) {
+        stage.element.classList.remove(`is-${stage.status}`);
+        stage.status = status;
+        stage.element.classList.add(`is-${status}`);
+    },
+
+    /**
+     * Works out overall progress from the stages seen so far
+     * @returns {number} Progress (0-100)
+     */
+    getProgress: function() {
+        const total = Object.keys(this.stages).reduce((sum, name) => {
+            const weight = (LOADING_STAGES[name] || { weight: 0 }).weight;
+            return sum + weight * this.stages[name].progress;
+        }, 0);
+
+        return Math.min(100, Math.round(total));
+    }
+};
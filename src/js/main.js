@@ -24,6 +24,20 @@ document.addEventListener('DOMContentLoaded', () => {
                 event.preventDefault();
             }
             
+            // Ctrl+J: Show/hide the predicted jump arcs
+            if (event.ctrlKey && event.code === 'KeyJ') {
+                CONFIG.debug.showJumpArcs = !CONFIG.debug.showJumpArcs;
+                const level = Game.state.level;
+                const overlay = level && level.getObjectByName('jump-arcs');
+                if (overlay) {
+                    overlay.visible = CONFIG.debug.showJumpArcs;
+                } else if (level && CONFIG.debug.showJumpArcs) {
+                    level.add(LayoutSolver.createOverlay(level.userData.jumpArcs || []));
+                }
+                console.log('Jump arcs:', CONFIG.debug.showJumpArcs ? 'shown' : 'hidden');
+                event.preventDefault();
+            }
+            
             // Ctrl+R: Reset game
             if (event.ctrlKey && event.code === 'KeyR') {
                 Game.reset();
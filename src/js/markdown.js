@@ -0,0 +1,242 @@
+/**
+ * WordSurf - Markdown
+ * Minimal Markdown block parser for user-supplied text and Apify markdown
+ */
+
+const Markdown = {
+    /**
+     * Checks whether text looks like Markdown (headings, lists, quotes, fences or links)
+     * @param {string} text - Text to check
+     * @returns {boolean} True if the text uses Markdown syntax
+     */
+    looksLikeMarkdown: function(text) {
+        if (!text) {
+            return false;
+        }
+
+        return /^(#{1,6}\s|\s*[-*+]\s|\s*\d+[.)]\s|>\s?|```|~~~)/m.test(text) ||
+            /\[[^\]]+\]\([^)]+\)/.test(text);
+    },
+
+    /**
+     * Parses Markdown into a flat list of blocks
+     * @param {string} markdown - Markdown source
+     * @returns {array} Blocks ({type, text, level}) where type is heading, paragraph,
+     *                  list-item, blockquote or code
+     */
+    parseBlocks: function(markdown) {
+        if (!markdown) {
+            return [];
+        }
+
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let quote = [];
+
+        // Flush the lines collected for a paragraph or quote into a block
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                this.pushBlock(blocks, 'paragraph', paragraph.join(' '));
+                paragraph = [];
+            }
+        };
+        const flushQuote = () => {
+            if (quote.length > 0) {
+                this.pushBlock(blocks, 'blockquote', quote.join(' '));
+                quote = [];
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // Fenced code block: collect everything up to the closing fence
+            const fence = line.match(/^\s*(```|~~~)/);
+            if (fence) {
+                flushParagraph();
+                flushQuote();
+
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    codeLines.push(lines[i]);
+                    i++;
+                }
+
+                if (codeLines.join('').trim()) {
+                    blocks.push({ type: 'code', text: codeLines.join('\n'), level: 0 });
+                }
+                continue;
+            }
+
+            // Blank line ends the current paragraph or quote
+            if (!line.trim()) {
+                flushParagraph();
+                flushQuote();
+                continue;
+            }
+
+            // ATX heading (# Title)
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                flushParagraph();
+                flushQuote();
+                this.pushBlock(blocks, 'heading', heading[2], heading[1].length);
+                continue;
+            }
+
+            // Setext heading (Title followed by === or ---)
+            if (paragraph.length > 0 && /^\s*(=+|-+)\s*$/.test(line)) {
+                const level = line.trim()[0] === '=' ? 1 : 2;
+                const text = paragraph.join(' ');
+                paragraph = [];
+                this.pushBlock(blocks, 'heading', text, level);
+                continue;
+            }
+
+            // Horizontal rule
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushParagraph();
+                flushQuote();
+                continue;
+            }
+
+            // Blockquote
+            const quoteLine = line.match(/^\s*>\s?(.*)$/);
+            if (quoteLine) {
+                flushParagraph();
+                if (quoteLine[1].trim()) {
+                    quote.push(quoteLine[1].trim());
+                }
+                continue;
+            }
+
+            // List item (bulleted or numbered)
+            const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+            if (listItem) {
+                flushParagraph();
+                flushQuote();
+                this.pushBlock(blocks, 'list-item', listItem[3], Math.floor(listItem[1].length / 2));
+                continue;
+            }
+
+            // Indented continuation of a list item
+            const lastBlock = blocks[blocks.length - 1];
+            if (paragraph.length === 0 && quote.length === 0 && lastBlock &&
+                lastBlock.type === 'list-item' && /^\s{2,}\S/.test(line) &&
+                i > 0 && lines[i - 1].trim()) {
+                lastBlock.text += ' ' + this.stripInline(line.trim());
+                continue;
+            }
+
+            // Lazy continuation of a quote
+            if (quote.length > 0) {
+                quote.push(line.trim());
+                continue;
+            }
+
+            paragraph.push(line.trim());
+        }
+
+        flushParagraph();
+        flushQuote();
+
+        return blocks;
+    },
+
+    /**
+     * Adds a block with inline markup stripped, skipping blocks with no text
+     * @param {array} blocks - Block list to add to
+     * @param {string} type - Block type
+     * @param {string} text - Raw block text
+     * @param {number} level - Heading level or list nesting depth
+     */
+    pushBlock: function(blocks, type, text, level = 0) {
+        const plainText = this.stripInline(text);
+        if (plainText) {
+            blocks.push({ type: type, text: plainText, level: level });
+        }
+    },
+
+    /**
+     * Removes inline Markdown (links, emphasis, code spans, HTML tags)
+     * @param {string} text - Inline Markdown
+     * @returns {string} Plain text
+     */
+    stripInline: function(text) {
+        return text
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')            // Images
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')         // Links
+            .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')        // Reference links
+            .replace(/`([^`]+)`/g, '$1')                     // Code spans
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')              // Bold
+            .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '$1')        // Italic (*x*)
+            .replace(/(^|\W)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1$2') // Italic (_x_), not snake_case
+            .replace(/~~(.+?)~~/g, '$1')                     // Strikethrough
+            .replace(/<[^>]+>/g, '')                         // Inline HTML
+            .replace(/\\([\\`*_{}\[\]()#+\-.!>])/g, '$1')    // Escapes
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Collects the link targets in Markdown as absolute URLs (images excluded)
+     * @param {string} markdown - Markdown source
+     * @param {string} baseUrl - Base for relative links
+     * @returns {string[]} Unique http(s) URLs without fragments, in order
+     */
+    extractLinks: function(markdown, baseUrl) {
+        const links = [];
+
+        this.extractAnchors(markdown, baseUrl).forEach(anchor => {
+            if (!links.includes(anchor.url)) {
+                links.push(anchor.url);
+            }
+        });
+
+        return links;
+    },
+
+    /**
+     * Collects the inline links in Markdown with their text (images excluded)
+     * @param {string} markdown - Markdown source
+     * @param {string} baseUrl - Base for relative links
+     * @returns {object[]} Anchors ({text, url}) in order, repeats included; URLs are
+     *                     absolute http(s) without fragments
+     */
+    extractAnchors: function(markdown, baseUrl) {
+        const anchors = [];
+        const linkRegex = /(!?)\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g;
+        let match;
+
+        while ((match = linkRegex.exec(markdown || '')) !== null) {
+            if (match[1]) {
+                continue;
+            }
+
+            try {
+                const url = new URL(match[3], baseUrl);
+                url.hash = '';
+                if (url.protocol === 'http:' || url.protocol === 'https:') {
+                    anchors.push({ text: this.stripInline(match[2]), url: url.href });
+                }
+            } catch (error) {
+                // Not a URL
+            }
+        }
+
+        return anchors;
+    },
+
+    /**
+     * Converts Markdown to plain text, one block per line
+     * @param {string} markdown - Markdown source
+     * @returns {string} Plain text
+     */
+    toPlainText: function(markdown) {
+        return this.parseBlocks(markdown)
+            .map(block => block.text)
+            .join('\n\n');
+    }
+};
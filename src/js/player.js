@@ -19,6 +19,9 @@ const Player = {
         perfectSurfs: 0
     },
     
+    // Movement for the level's difficulty ({jumpScale, speedScale}, see CONFIG.difficulty.layouts)
+    tuning: CONFIG.difficulty.layouts.normal,
+    
     // Input state
     input: {
         left: false,
@@ -48,6 +51,22 @@ const Player = {
         Utils.debugLog('Player initialized');
     },
     
+    /**
+     * Sets how fast the player moves and how high they jump
+     * @param {object} tuning - {jumpScale, speedScale} (see CONFIG.difficulty.layouts)
+     */
+    setTuning: function(tuning) {
+        this.tuning = tuning;
+    },
+    
+    /**
+     * Gets the player's top speed at the level's difficulty
+     * @returns {number} Top speed
+     */
+    getSpeed: function() {
+        return CONFIG.game.playerSpeed * this.tuning.speedScale;
+    },
+    
     /**
      * Resets the player state
      */
@@ -58,6 +77,8 @@ const Player = {
             isJumping: false,
             isGrounded: false,
             currentPlatform: null,
+            narratedSentence: null,
+            wordPlatform: null,
             currentWordIndex: 0,
             score: 0,
             perfectSurfs: 0
@@ -208,9 +229,12 @@ const Player = {
     processInput: function(deltaTime) {
         // Horizontal movement
         if (this.input.left) {
-            this.state.velocity.x = Math.max(this.state.velocity.x - 0.5, -CONFIG.game.playerSpeed);
+            this.state.velocity.x = Math.max(this.state.velocity.x - 0.5, -this.getSpeed());
         } else if (this.input.right) {
-            this.state.velocity.x = Math.min(this.state.velocity.x + 0.5, CONFIG.game.playerSpeed);
+            this.state.velocity.x = Math.min(this.state.velocity.x + 0.5, this.getSpeed());
+        } else if (this.isGrinding()) {
+            // Grind rails keep the player moving forward
+            this.state.velocity.x = Math.max(this.state.velocity.x, this.getSpeed() * 0.8);
         } else {
             // Slow down if no input
             this.state.velocity.x *= 0.9;
@@ -218,12 +242,21 @@ const Player = {
         
         // Jumping
         if (this.input.jump && this.state.isGrounded && !this.state.isJumping) {
-            this.state.velocity.y = CONFIG.game.jumpForce;
+            this.state.velocity.y = CONFIG.game.jumpForce * this.tuning.jumpScale;
             this.state.isJumping = true;
             this.state.isGrounded = false;
         }
     },
     
+    /**
+     * Checks whether the player is riding a grind rail (code block)
+     * @returns {boolean} True if grounded on a rail
+     */
+    isGrinding: function() {
+        const platform = this.state.currentPlatform;
+        return this.state.isGrounded && !!platform && platform.userData.surface === 'rail';
+    },
+    
     /**
      * Applies physics to player
      * @param {number} deltaTime - Time since last update
@@ -264,9 +297,8 @@ const Player = {
         let currentPlatform = null;
         let platformY = -Infinity;
         
-        // Check each platform in the level
-        level.children.forEach(platform => {
-            if (!platform.userData || !platform.userData.length) return;
+        // Check each platform under the player (from the level's spatial index)
+        LevelStreamer.getPlatformsAt(level, playerX).forEach(platform => {
             
             // Get platform bounds
             const platformLength = platform.userData.length;
@@ -339,12 +371,27 @@ const Player = {
     onPlatformChange: function(newPlatform) {
         if (!newPlatform || !newPlatform.userData) return;
         
+        // The platform whose words were surfed last keeps them lit, without the current word
+        const wordPlatform = this.state.wordPlatform;
+        if (wordPlatform && wordPlatform !== newPlatform) {
+            const surfed = Math.min(this.state.currentWordIndex + 1, wordPlatform.userData.words.length);
+            GeometryGenerator.highlightWords(wordPlatform, surfed, -1);
+        }
+        if (newPlatform.userData.words && wordPlatform !== newPlatform) {
+            GeometryGenerator.highlightWords(newPlatform, 1, 0);
+        }
+        this.state.wordPlatform = newPlatform.userData.words ? newPlatform : null;
+        
         // Reset word index
         this.state.currentWordIndex = 0;
         
-        // Play sentence audio
-        if (newPlatform.userData.sentence) {
-            AudioManager.playSentence(newPlatform.userData.sentence);
+        // Play sentence audio, once per sentence (stepping stones and the
+        // sub-platforms of a long sentence share their sentence)
+        const sentence = newPlatform.userData.sentence;
+        
+        if (sentence && sentence !== this.state.narratedSentence) {
+            this.state.narratedSentence = sentence;
+            AudioManager.playSentence(sentence);
         }
     },
     
@@ -358,7 +405,7 @@ const Player = {
         // Get words array
         const words = platform.userData.words;
         
-        // Calculate which word the player is currently over
+        // Calculate which word the player is currently over, from where its glyphs are drawn
         const platformLength = platform.userData.length;
         const platformLeft = platform.position.x - platformLength / 2;
         const playerX = this.state.position.x;
@@ -367,10 +414,7 @@ const Player = {
         const relativePos = (playerX - platformLeft) / platformLength;
         
         // Calculate word index
-        const wordIndex = Math.min(
-            Math.floor(relativePos * words.length),
-            words.length - 1
-        );
+        const wordIndex = GeometryGenerator.getWordIndexAtX(platform, playerX - platform.position.x);
         
         // If we've moved to a new word
         if (wordIndex > this.state.currentWordIndex) {
@@ -379,13 +423,17 @@ const Player = {
             this.state.score += pointsPerWord;
             
             // Play word audio
-            AudioManager.playWord(words[wordIndex]);
+            AudioManager.playWord(words[wordIndex],
+                ContentFilter.isMaskedWord(platform.userData.sentence, platform.userData.wordOffset + wordIndex));
             
             // Update score display
             this.updateScoreDisplay();
             
             // Update current word index
             this.state.currentWordIndex = wordIndex;
+            
+            // Light up the words surfed and emphasize the one just spoken
+            GeometryGenerator.highlightWords(platform, wordIndex + 1, wordIndex);
         }
         
         // Check if we've completed the platform
@@ -394,6 +442,7 @@ const Player = {
             if (this.state.currentWordIndex === words.length - 1) {
                 this.awardPerfectSurf();
                 this.state.currentWordIndex = words.length; // Mark as completed
+                GeometryGenerator.highlightWords(platform, words.length, -1);
             }
         }
     },
@@ -414,6 +463,17 @@ const Player = {
         Utils.debugLog('Perfect surf!');
     },
     
+    /**
+     * Awards a collected key term's points
+     * @param {object} keyword - Key term ({term, points})
+     */
+    awardKeyword: function(keyword) {
+        this.state.score += keyword.points;
+        this.updateScoreDisplay();
+        
+        Utils.debugLog(`Collected "${keyword.term}" (+${keyword.points})`);
+    },
+    
     /**
      * Updates the score display
      */
@@ -0,0 +1,144 @@
+/**
+ * WordSurf - Playlist
+ * Plays the entries of an RSS/Atom feed as a sequence of levels
+ */
+
+const Playlist = {
+    // Feed being played ({title, url, entries}), or null
+    feed: null,
+
+    // Feed entries with their status ({title, url, summary, published, words,
+    // cached, cachedWords, played})
+    entries: [],
+
+    // Index of the entry being played (-1 when no playlist is running)
+    currentIndex: -1,
+
+    /**
+     * Loads a feed and makes its entries the playlist
+     * @param {string} feedUrl - Feed URL (relative URLs resolve against the page)
+     * @returns {Promise<object>} Parsed feed
+     */
+    load: async function(feedUrl) {
+        const url = new URL(feedUrl, document.baseURI).href;
+        const xml = await this.fetchFeed(url);
+        const feed = FeedParser.parse(xml, url);
+
+        // Entries linking to sites the safety policy refuses are left out
+        const entryCount = feed.entries.length;
+        feed.entries = feed.entries.filter(entry => ContentFilter.checkUrl(entry.url).allowed);
+        if (feed.entries.length < entryCount) {
+            Utils.debugLog(`${entryCount - feed.entries.length} feed entries left out by the safety policy`);
+        }
+
+        if (feed.entries.length === 0) {
+            throw new Error(entryCount > 0 ? 'The safety policy blocks every entry in the feed' : 'The feed has no entries with links');
+        }
+
+        this.feed = feed;
+        this.entries = feed.entries.map(entry => ({ ...entry, cached: false, cachedWords: 0, played: false }));
+        this.currentIndex = -1;
+
+        await this.refreshStatus();
+        return feed;
+    },
+
+    /**
+     * Fetches feed XML, going through the local extraction server when the
+     * feed's site doesn't allow cross-origin requests
+     * @param {string} url - Absolute feed URL
+     * @returns {Promise<string>} Feed XML
+     */
+    fetchFeed: async function(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.text();
+        } catch (error) {
+            if (!CONFIG.endpoints.feedProxy) {
+                throw new Error(`Could not load the feed: ${error.message}`);
+            }
+
+            Utils.debugLog(`Direct feed request failed (${error.message}), trying the extraction server`);
+        }
+
+        let response;
+        try {
+            response = await fetch(`${CONFIG.endpoints.feedProxy}?url=${encodeURIComponent(url)}`);
+        } catch (error) {
+            throw new Error(`Could not load the feed directly or through the extraction server (${error.message})`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Could not load the feed: extraction server returned ${response.status}`);
+        }
+        return response.text();
+    },
+
+    /**
+     * Updates each entry's cached status from the article cache
+     * @returns {Promise<void>}
+     */
+    refreshStatus: async function() {
+        const cachedEntries = await ArticleCache.list();
+        const usable = new Map();
+
+        cachedEntries
+            .filter(entry => entry.isCurrent && !entry.isExpired)
+            .forEach(entry => usable.set(entry.url, entry));
+
+        this.entries.forEach(entry => {
+            const cached = usable.get(entry.url);
+            entry.cached = !!cached;
+            entry.cachedWords = cached && cached.words ? cached.words : 0;
+        });
+    },
+
+    /**
+     * Checks whether a playlist is being played
+     * @returns {boolean} True while an entry of the playlist is the current level
+     */
+    isActive: function() {
+        return this.currentIndex >= 0 && this.currentIndex < this.entries.length;
+    },
+
+    /**
+     * Makes an entry the current one
+     * @param {number} index - Entry index
+     * @returns {object|null} The entry, or null if the index is out of range
+     */
+    select: function(index) {
+        if (index < 0 || index >= this.entries.length) {
+            return null;
+        }
+
+        this.currentIndex = index;
+        return this.entries[index];
+    },
+
+    /**
+     * Marks the current entry as played
+     */
+    markPlayed: function() {
+        if (this.isActive()) {
+            this.entries[this.currentIndex].played = true;
+        }
+    },
+
+    /**
+     * Gets the entry after the current one
+     * @returns {object|null} Next entry, or null at the end of the playlist
+     */
+    getNextEntry: function() {
+        return this.isActive() ? this.entries[this.currentIndex + 1] || null : null;
+    },
+
+    /**
+     * Stops playing the playlist (the loaded feed is kept)
+     */
+    stop: function() {
+        this.currentIndex = -1;
+    }
+};
@@ -0,0 +1,247 @@
+/**
+ * WordSurf - Readability
+ * Offline readability metrics for an article (Flesch-Kincaid grade, word and
+ * sentence length, rare-word ratio) and the difficulty rating they give the level
+ */
+
+// localStorage key for the player's difficulty override
+const DIFFICULTY_STORAGE_KEY = 'wordsurf.difficulty';
+
+// Difficulty choices the player can make ('auto' rates each article from its text)
+const DIFFICULTY_CHOICES = ['auto', 'easy', 'normal', 'hard'];
+
+// The most frequent English words (inflections are matched too); anything else counts as rare
+const COMMON_WORDS = new Set(`
+    a about above across act add after again against age ago air all almost alone along already also
+    always am among an and animal another answer any anything appear are area arm around as ask at
+    away baby back bad be bear beautiful because become bed been before began begin behind being
+    believe below best better between big bird black blue boat body book both box boy bring brother
+    brought build built business but buy by call came can car care carry case cat cause center
+    certain change child children city class clear close cold color come common company complete
+    could country course cover cross cut dark day dead deep did different do does dog done door down
+    draw dream drive dry during each early earth east easy eat end enough even evening ever every
+    example eye face fact fall family far farm fast father feel feet few field find fine fire first
+    fish five floor fly follow food foot for force form found four free friend from front full game
+    gave get girl give go gold good got great green ground group grow had half hand happen happy hard
+    has have he head hear heard heart heavy help her here high him his hold home horse hot hour house
+    how however hundred i idea if important in inside into is it its just keep kept kind king knew
+    know land language large last late later laugh lay lead learn least leave left less let letter
+    life light like line list listen little live long look lost lot love low made make man many map
+    mark may me mean men might mile mind minute miss money month moon more morning most mother mountain
+    move much music must my name near need never new next night no north not nothing notice now number
+    of off often oh old on once one only open or order other our out outside over own page paper part
+    party pass past pay people perhaps person picture piece place plan plant play point poor possible
+    power problem pull put question quick quickly quite rain ran reach read ready real really red
+    remember rest right river road rock room round rule run said same sat saw say school sea second
+    see seem seen self sell send sentence set several shall she ship short should show side simple
+    since sing sister sit six size sky sleep small snow so some someone something sometimes son song
+    soon sound south space speak special stand star start state stay step still stood stop story
+    street strong study such summer sun sure table take talk tell ten than that the their them then
+    there these they thing think this those though thought three through time to today together told
+    too took top toward town tree true try turn two under until up upon us use usually very voice
+    wait walk want war warm was watch water way we week well went were west what when where which
+    while white who whole why wide will wind window winter wish with without woman women wonder
+    word work world would write year yes yet you young your
+`.trim().split(/\s+/));
+
+const Readability = {
+    /**
+     * Measures an article's prose (headings and code are left out)
+     * Flesch-Kincaid and the syllable counts are calibrated for English; other
+     * languages get the same formulas as a rough guide
+     * @param {object} articleData - Structured article data ({source, paragraphs})
+     * @returns {object} {sentences, words, syllables, fleschKincaidGrade, avgWordLength,
+     *                    avgSentenceLength, rareWordRatio, score (0-1), rating}
+     */
+    analyze: function(articleData) {
+        const language = (articleData.source && articleData.source.language) || 'en';
+        const isEnglish = language === 'en';
+        let sentences = 0;
+        let words = 0;
+        let letters = 0;
+        let syllables = 0;
+        let rareWords = 0;
+
+        (articleData.paragraphs || []).forEach(paragraph => {
+            (paragraph.sentences || []).forEach(sentence => {
+                if (sentence.blockType === 'heading' || sentence.blockType === 'code') {
+                    return;
+                }
+
+                const sentenceWords = this.getWords(sentence.text, language);
+                if (sentenceWords.length === 0) {
+                    return;
+                }
+
+                sentences++;
+                sentenceWords.forEach(word => {
+                    const wordSyllables = this.countSyllables(word);
+                    words++;
+                    letters += Array.from(word).length;
+                    syllables += wordSyllables;
+
+                    // Without a word list for the language, long words stand in for rare ones
+                    if (isEnglish ? !this.isCommonWord(word) : wordSyllables >= 3) {
+                        rareWords++;
+                    }
+                });
+            });
+        });
+
+        const metrics = {
+            sentences: sentences,
+            words: words,
+            syllables: syllables,
+            fleschKincaidGrade: words > 0 ?
+                0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59 : 0,
+            avgWordLength: words > 0 ? letters / words : 0,
+            avgSentenceLength: sentences > 0 ? words / sentences : 0,
+            rareWordRatio: words > 0 ? rareWords / words : 0
+        };
+
+        metrics.score = this.getScore(metrics);
+        metrics.rating = this.getRating(metrics.score);
+
+        return metrics;
+    },
+
+    /**
+     * Splits a sentence into lower-case words, without punctuation or numbers
+     * @param {string} text - Sentence text
+     * @param {string} language - Article language
+     * @returns {array} Words
+     */
+    getWords: function(text, language) {
+        return Utils.splitIntoWords(text, language)
+            .map(word => word.toLowerCase().replace(/[^\p{L}'’-]/gu, '').replace(/^['’-]+|['’-]+$/g, ''))
+            .filter(word => /\p{L}/u.test(word));
+    },
+
+    /**
+     * Estimates a word's syllables from its vowel groups (one per character for
+     * scripts written in syllables or ideographs)
+     * @param {string} word - Lower-case word
+     * @returns {number} Syllable count (at least 1)
+     */
+    countSyllables: function(word) {
+        if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(word)) {
+            return Array.from(word).length;
+        }
+
+        if (word.length <= 3) {
+            return 1;
+        }
+
+        // A silent final "e" ("make", "tables", "named") isn't a syllable
+        const trimmed = word.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+        const groups = trimmed.match(/[aeiouyàáâäæèéêëìíîïòóôöœùúûüÿ]+/g);
+
+        return Math.max(1, groups ? groups.length : 0);
+    },
+
+    /**
+     * Checks whether a word (or its stem: "walked" -> "walk") is a common English word
+     * @param {string} word - Lower-case word
+     * @returns {boolean} True if the word is common
+     */
+    isCommonWord: function(word) {
+        const plain = word.replace(/['’]s$/, '').replace(/['’-]/g, '');
+        if (plain.length <= 2 || COMMON_WORDS.has(plain)) {
+            return true;
+        }
+
+        const stems = [
+            plain.replace(/ies$/, 'y'),
+            plain.replace(/ied$/, 'y'),
+            plain.replace(/es$/, ''),
+            plain.replace(/s$/, ''),
+            plain.replace(/ed$/, ''),
+            plain.replace(/d$/, ''),
+            plain.replace(/ing$/, ''),
+            plain.replace(/ing$/, 'e'),
+            plain.replace(/ly$/, ''),
+            plain.replace(/er$/, ''),
+            plain.replace(/est$/, ''),
+            plain.replace(/([^aeiou])\1(?:ing|ed|er)$/, '$1')
+        ];
+
+        return stems.some(stem => stem !== plain && COMMON_WORDS.has(stem));
+    },
+
+    /**
+     * Combines the metrics into one difficulty score
+     * @param {object} metrics - Metrics from analyze
+     * @returns {number} Score from 0 (very easy) to 1 (very hard)
+     */
+    getScore: function(metrics) {
+        if (metrics.words === 0) {
+            return 0.5;
+        }
+
+        const scale = (value, easy, hard) => Math.min(Math.max((value - easy) / (hard - easy), 0), 1);
+
+        return 0.4 * scale(metrics.fleschKincaidGrade, 2, 16) +
+            0.2 * scale(metrics.avgSentenceLength, 8, 30) +
+            0.15 * scale(metrics.avgWordLength, 3.8, 6.2) +
+            0.25 * scale(metrics.rareWordRatio, 0.15, 0.6);
+    },
+
+    /**
+     * Rates a difficulty score (see CONFIG.difficulty)
+     * @param {number} score - Score from getScore
+     * @returns {string} 'easy', 'normal' or 'hard'
+     */
+    getRating: function(score) {
+        if (score < CONFIG.difficulty.easyBelow) {
+            return 'easy';
+        }
+        return score >= CONFIG.difficulty.hardFrom ? 'hard' : 'normal';
+    },
+
+    /**
+     * Gets the difficulty an article plays at: its own rating, unless the player overrode it
+     * @param {object} articleData - Processed article data (readability from ContentPipeline)
+     * @returns {object} {rating, isOverride, layout (from CONFIG.difficulty.layouts), metrics}
+     */
+    getDifficulty: function(articleData) {
+        const metrics = articleData && articleData.readability;
+        const override = this.getOverride();
+        const rating = override !== 'auto' ? override : (metrics ? metrics.rating : 'normal');
+
+        return {
+            rating: rating,
+            isOverride: override !== 'auto',
+            layout: CONFIG.difficulty.layouts[rating],
+            metrics: metrics || null
+        };
+    },
+
+    /**
+     * Gets the player's difficulty choice
+     * @returns {string} 'auto', 'easy', 'normal' or 'hard'
+     */
+    getOverride: function() {
+        try {
+            const choice = localStorage.getItem(DIFFICULTY_STORAGE_KEY);
+            return DIFFICULTY_CHOICES.includes(choice) ? choice : 'auto';
+        } catch (error) {
+            return 'auto';
+        }
+    },
+
+    /**
+     * Saves the player's difficulty choice
+     * @param {string} choice - 'auto', 'easy', 'normal' or 'hard'
+     */
+    setOverride: function(choice) {
+        if (!DIFFICULTY_CHOICES.includes(choice)) {
+            return;
+        }
+
+        try {
+            localStorage.setItem(DIFFICULTY_STORAGE_KEY, choice);
+        } catch (error) {
+            console.error('Error saving difficulty:', error);
+        }
+    }
+};
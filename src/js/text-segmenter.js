@@ -0,0 +1,380 @@
+/**
+ * WordSurf - Text Segmenter
+ * Language-aware sentence and word segmentation
+ * Uses Intl.Segmenter when available, with an abbreviation-aware rule-based fallback
+ */
+
+// Sentence-ending punctuation (Latin and CJK)
+const SENTENCE_TERMINATORS = '.!?…。！？｡';
+
+// Terminators that end a sentence without needing a following space
+const CJK_TERMINATORS = '。！？｡';
+
+// Closing quotes and brackets that belong to the sentence they follow
+const SENTENCE_CLOSERS = '"\'”’»)]}」』）】›';
+
+// Scripts written without spaces between words
+const NON_SPACED_SCRIPT = /[぀-ヿ㐀-䶿一-鿿豈-﫿฀-๿຀-໿က-႟ក-៿]/;
+
+// Punctuation that ends a clause, strongest first
+const CLAUSE_BREAKS = [/[;:；：—–]$/, /[,，、]$/];
+
+// Words that usually start a new clause
+const CLAUSE_CONJUNCTIONS = [
+    'and', 'but', 'or', 'nor', 'yet', 'so', 'because', 'although', 'though', 'while',
+    'whereas', 'which', 'who', 'whom', 'whose', 'where', 'when', 'unless', 'until',
+    'if', 'since', 'provided', 'notwithstanding', 'including', 'except'
+];
+
+// Abbreviations (without the trailing period) that don't end a sentence
+const ABBREVIATIONS = {
+    common: ['etc', 'vs', 'ca', 'approx', 'nr', 'fig', 'vol', 'p', 'pp', 'ed', 'eds', 'cf', 'al'],
+    en: [
+        'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'ave', 'rd', 'blvd',
+        'gen', 'gov', 'sen', 'rep', 'col', 'lt', 'sgt', 'capt', 'cmdr', 'rev', 'hon',
+        'inc', 'ltd', 'co', 'corp', 'dept', 'univ', 'est', 'govt',
+        'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+        'e.g', 'i.e', 'a.m', 'p.m', 'u.s', 'u.k', 'u.n', 'ph.d', 'b.a', 'm.a'
+    ],
+    de: ['hr', 'fr', 'dr', 'prof', 'bzw', 'usw', 'ggf', 'evtl', 'inkl', 'z.b', 'd.h', 'u.a', 's.o', 's.u', 'str', 'jh', 'mio', 'mrd'],
+    fr: ['m', 'mme', 'mlle', 'mm', 'dr', 'pr', 'env', 'p.ex', 'c.-à-d', 'av', 'bd', 'cie'],
+    es: ['sr', 'sra', 'srta', 'dr', 'dra', 'ud', 'uds', 'p.ej', 'av', 'avda', 'cía', 'núm'],
+    it: ['sig', 'sigg', 'dott', 'prof', 'ecc', 'es', 'pag'],
+    pt: ['sr', 'sra', 'dr', 'dra', 'prof', 'av', 'pág'],
+    nl: ['dhr', 'mevr', 'bijv', 'o.a', 'd.w.z', 'enz']
+};
+
+// Abbreviations that are also ordinary words, so they only count before a number ("No. 5", but "She said no.")
+const NUMBER_ABBREVIATIONS = ['no'];
+
+const TextSegmenter = {
+    // Intl.Segmenter instances, keyed by locale and granularity
+    segmenters: {},
+
+    /**
+     * Checks whether Intl.Segmenter is available
+     * @returns {boolean} True if the browser supports Intl.Segmenter
+     */
+    hasIntlSegmenter: function() {
+        return typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function';
+    },
+
+    /**
+     * Gets a cached Intl.Segmenter
+     * @param {string} locale - BCP 47 locale
+     * @param {string} granularity - 'sentence', 'word' or 'grapheme'
+     * @returns {Intl.Segmenter} Segmenter
+     */
+    getSegmenter: function(locale, granularity) {
+        const key = `${locale}:${granularity}`;
+        if (!this.segmenters[key]) {
+            this.segmenters[key] = new Intl.Segmenter(locale, { granularity: granularity });
+        }
+        return this.segmenters[key];
+    },
+
+    /**
+     * Guesses the language of a text from its script
+     * Falls back to CONFIG.content.language (or the page language) for Latin text
+     * @param {string} text - Text to inspect
+     * @returns {string} Locale code (e.g. 'en', 'ja', 'zh')
+     */
+    detectLocale: function(text) {
+        const configured = CONFIG.content.language;
+        if (configured && configured !== 'auto') {
+            return configured;
+        }
+
+        const sample = (text || '').slice(0, 500);
+
+        if (/[぀-ヿ]/.test(sample)) return 'ja';
+        if (/[一-鿿]/.test(sample)) return 'zh';
+        if (/[가-힯]/.test(sample)) return 'ko';
+        if (/[฀-๿]/.test(sample)) return 'th';
+        if (/[Ѐ-ӿ]/.test(sample)) return 'ru';
+        if (/[؀-ۿ]/.test(sample)) return 'ar';
+        if (/[֐-׿]/.test(sample)) return 'he';
+        if (/[ऀ-ॿ]/.test(sample)) return 'hi';
+
+        const pageLanguage = document.documentElement && document.documentElement.lang;
+        return (pageLanguage || 'en').split('-')[0];
+    },
+
+    /**
+     * Splits text into sentences
+     * @param {string} text - Text to split
+     * @param {string} locale - Locale (detected if omitted)
+     * @returns {string[]} Trimmed, non-empty sentences
+     */
+    splitSentences: function(text, locale = this.detectLocale(text)) {
+        if (!text || !text.trim()) {
+            return [];
+        }
+
+        const segments = this.hasIntlSegmenter() ?
+            Array.from(this.getSegmenter(locale, 'sentence').segment(text), part => part.segment) :
+            this.splitSentencesByRules(text, locale);
+
+        return this.mergeFalseBreaks(segments, locale);
+    },
+
+    /**
+     * Rule-based sentence splitting for browsers without Intl.Segmenter
+     * @param {string} text - Text to split
+     * @param {string} locale - Locale for abbreviation lookup
+     * @returns {string[]} Sentence segments
+     */
+    splitSentencesByRules: function(text, locale) {
+        const sentences = [];
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (!SENTENCE_TERMINATORS.includes(char)) {
+                continue;
+            }
+
+            // Include runs of terminators ("?!", "...") and closing quotes/brackets
+            let end = i + 1;
+            while (end < text.length && SENTENCE_TERMINATORS.includes(text[end])) end++;
+            while (end < text.length && SENTENCE_CLOSERS.includes(text[end])) end++;
+
+            if (!CJK_TERMINATORS.includes(char)) {
+                // Latin terminators need whitespace after them ("3.5", "example.com")
+                if (end < text.length && !/\s/.test(text[end])) {
+                    continue;
+                }
+
+                // A lower-case word next means the sentence carries on
+                const next = text.slice(end).match(/^\s*(\S)/);
+                if (next && /\p{Ll}/u.test(next[1])) {
+                    continue;
+                }
+
+                // "Dr. Smith", "J. R. R. Tolkien", "U.S. Army"
+                if (char === '.' && end === i + 1 && this.endsWithAbbreviation(text.slice(start, end), locale, text.slice(end))) {
+                    continue;
+                }
+            }
+
+            sentences.push(text.slice(start, end));
+            start = end;
+            i = end - 1;
+        }
+
+        if (start < text.length) {
+            sentences.push(text.slice(start));
+        }
+
+        return sentences;
+    },
+
+    /**
+     * Re-joins segments that were split after an abbreviation or before a lower-case word
+     * @param {string[]} segments - Raw sentence segments
+     * @param {string} locale - Locale for abbreviation lookup
+     * @returns {string[]} Trimmed, non-empty sentences
+     */
+    mergeFalseBreaks: function(segments, locale) {
+        const sentences = [];
+
+        segments.forEach(segment => {
+            const trimmed = segment.trim();
+            if (!trimmed) {
+                return;
+            }
+
+            const previous = sentences[sentences.length - 1];
+            const startsLowerCase = /^\p{Ll}/u.test(trimmed);
+
+            if (previous && (startsLowerCase || this.endsWithAbbreviation(previous, locale, trimmed))) {
+                sentences[sentences.length - 1] = `${previous} ${trimmed}`;
+            } else {
+                sentences.push(trimmed);
+            }
+        });
+
+        return sentences;
+    },
+
+    /**
+     * Checks whether text ends with an abbreviation, initial or acronym followed by a period
+     * @param {string} text - Text ending in "."
+     * @param {string} locale - Locale for abbreviation lookup
+     * @param {string} following - Text after the period (for NUMBER_ABBREVIATIONS)
+     * @returns {boolean} True if the final period belongs to an abbreviation
+     */
+    endsWithAbbreviation: function(text, locale, following = '') {
+        const match = text.trim().match(/(\S+)\.$/);
+        if (!match) {
+            return false;
+        }
+
+        // Strip opening quotes/brackets ("(Dr." -> "Dr")
+        const token = match[1].replace(/^[("'“‘«\[]+/, '');
+
+        // Single initials ("J.") and dotted acronyms ("U.S", "e.g")
+        if (/^\p{L}$/u.test(token) || /^(\p{L}\.)+\p{L}$/u.test(token)) {
+            return true;
+        }
+
+        const language = (locale || 'en').split('-')[0];
+        const word = token.toLowerCase();
+
+        if (NUMBER_ABBREVIATIONS.includes(word)) {
+            return /^\s*\p{N}/u.test(following);
+        }
+
+        return ABBREVIATIONS.common.includes(word) ||
+            (ABBREVIATIONS[language] || ABBREVIATIONS.en).includes(word);
+    },
+
+    /**
+     * Splits text into display words
+     * Space-delimited scripts split on whitespace (punctuation stays attached);
+     * CJK, Thai and similar scripts are segmented into dictionary words
+     * @param {string} text - Text to split
+     * @param {string} locale - Locale (detected if omitted)
+     * @returns {string[]} Words
+     */
+    splitWords: function(text, locale = this.detectLocale(text)) {
+        if (!text || !text.trim()) {
+            return [];
+        }
+
+        const words = [];
+
+        text.trim().split(/\s+/).forEach(run => {
+            if (!NON_SPACED_SCRIPT.test(run)) {
+                words.push(run);
+                return;
+            }
+
+            words.push(...this.segmentRun(run, locale));
+        });
+
+        return words;
+    },
+
+    /**
+     * Segments a run of non-space-delimited text into words
+     * Punctuation is attached to the preceding word
+     * @param {string} run - Text without whitespace
+     * @param {string} locale - Locale
+     * @returns {string[]} Words
+     */
+    segmentRun: function(run, locale) {
+        const words = [];
+
+        if (this.hasIntlSegmenter()) {
+            for (const part of this.getSegmenter(locale, 'word').segment(run)) {
+                if (part.isWordLike || words.length === 0) {
+                    words.push(part.segment);
+                } else {
+                    words[words.length - 1] += part.segment;
+                }
+            }
+            return words;
+        }
+
+        // Fallback: one word per CJK character, keeping Latin/digit runs together
+        const pieces = run.match(/[぀-ヿ㐀-䶿一-鿿豈-﫿]|[\p{L}\p{N}]+|[^\p{L}\p{N}]+/gu) || [];
+        pieces.forEach(piece => {
+            if (/^[^\p{L}\p{N}]+$/u.test(piece) && words.length > 0) {
+                words[words.length - 1] += piece;
+            } else {
+                words.push(piece);
+            }
+        });
+
+        return words;
+    },
+
+    /**
+     * Counts words in text (consistent with splitWords)
+     * @param {string} text - Text to count
+     * @param {string} locale - Locale (detected if omitted)
+     * @returns {number} Word count
+     */
+    countWords: function(text, locale) {
+        return this.splitWords(text, locale).length;
+    },
+
+    /**
+     * Splits text into grapheme clusters (what a reader sees as one character:
+     * a letter with its accents, an emoji sequence, a syllable block)
+     * @param {string} text - Text to split
+     * @returns {string[]} Clusters (code points when Intl.Segmenter is unavailable)
+     */
+    splitGraphemes: function(text) {
+        if (!this.hasIntlSegmenter()) {
+            return Array.from(text);
+        }
+
+        return Array.from(this.getSegmenter('und', 'grapheme').segment(text), part => part.segment);
+    },
+
+    /**
+     * Splits a long run of words into clauses of at most maxWords words
+     * Prefers breaking after semicolons/colons/dashes, then commas, then before
+     * a conjunction, and only cuts mid-clause when nothing else fits
+     * @param {string[]} words - Words from splitWords()
+     * @param {number} maxWords - Largest clause allowed
+     * @returns {string[][]} Clauses (arrays of words)
+     */
+    splitClauses: function(words, maxWords) {
+        const clauses = [];
+        // Don't leave fragments much shorter than a third of the limit
+        const minWords = Math.max(1, Math.floor(maxWords / 3));
+        let start = 0;
+
+        while (words.length - start > maxWords) {
+            const last = start + maxWords;           // Largest allowed end (exclusive)
+            const first = start + minWords;          // Smallest allowed end (exclusive)
+            let end = -1;
+
+            // Break after clause punctuation, strongest first, as late as possible
+            for (const pattern of CLAUSE_BREAKS) {
+                for (let i = last; i >= first && end < 0; i--) {
+                    if (pattern.test(words[i - 1])) end = i;
+                }
+                if (end >= 0) break;
+            }
+
+            // Break before a conjunction
+            for (let i = last; i >= first && end < 0; i--) {
+                const word = words[i].toLowerCase().replace(/[^\p{L}]/gu, '');
+                if (CLAUSE_CONJUNCTIONS.includes(word)) end = i;
+            }
+
+            // Hard cut, keeping the remainder at least minWords long
+            if (end < 0) {
+                end = Math.min(last, Math.max(first, words.length - minWords));
+            }
+
+            clauses.push(words.slice(start, end));
+            start = end;
+        }
+
+        clauses.push(words.slice(start));
+        return clauses;
+    },
+
+    /**
+     * Joins words back into display text
+     * Words in non-space-delimited scripts are joined without spaces
+     * @param {string[]} words - Words from splitWords()
+     * @returns {string} Text
+     */
+    joinWords: function(words) {
+        return words.reduce((text, word, index) => {
+            if (index === 0) {
+                return word;
+            }
+
+            const previous = words[index - 1];
+            const needsSpace = !(NON_SPACED_SCRIPT.test(previous.slice(-1)) || NON_SPACED_SCRIPT.test(word[0]));
+            return text + (needsSpace ? ' ' : '') + word;
+        }, '');
+    }
+};
@@ -0,0 +1,243 @@
+/**
+ * WordSurf - Tone Lexicon
+ * Offline, deterministic sentence tone scoring (AFINN/VADER-style word list
+ * with negation, intensifier, "but" and emphasis handling)
+ */
+
+// Word valence from -5 (very negative) to +5 (very positive)
+const TONE_WORDS = {
+    // Positive
+    'able': 1, 'accomplish': 2, 'achieve': 2, 'admire': 3, 'adore': 3, 'advantage': 2,
+    'amazing': 4, 'amused': 3, 'appreciate': 2, 'approve': 2, 'awesome': 4, 'beautiful': 3,
+    'benefit': 2, 'best': 3, 'better': 2, 'bless': 2, 'bliss': 3, 'bold': 2, 'brave': 2,
+    'breakthrough': 3, 'brilliant': 4, 'calm': 2, 'care': 2, 'celebrate': 3, 'champion': 2,
+    'charm': 3, 'cheer': 2, 'clean': 2, 'clever': 2, 'comfort': 2, 'confident': 2,
+    'cool': 1, 'courage': 2, 'creative': 2, 'delight': 3, 'delightful': 3, 'eager': 2,
+    'ease': 2, 'easy': 1, 'ecstatic': 4, 'effective': 2, 'elegant': 2, 'encourage': 2,
+    'energetic': 2, 'enjoy': 2, 'enthusiastic': 3, 'excellent': 3, 'excited': 3,
+    'exciting': 3, 'fabulous': 4, 'fair': 2, 'faith': 1, 'fantastic': 4, 'favorite': 2,
+    'fine': 2, 'free': 1, 'fresh': 1, 'friendly': 2, 'fun': 4, 'generous': 2, 'gift': 2,
+    'glad': 3, 'glorious': 2, 'good': 3, 'gorgeous': 3, 'grace': 1, 'grand': 3, 'grateful': 3,
+    'great': 3, 'happy': 3, 'harmony': 2, 'heal': 2, 'healthy': 2, 'heaven': 2, 'help': 2,
+    'hero': 2, 'honest': 2, 'honor': 2, 'hope': 2, 'hopeful': 2, 'impressive': 3,
+    'improve': 2, 'incredible': 3, 'innovative': 2, 'inspire': 2, 'inspiring': 3,
+    'interesting': 2, 'joy': 3, 'joyful': 3, 'kind': 2, 'laugh': 1, 'love': 3,
+    'lovely': 3, 'loyal': 3, 'lucky': 3, 'magnificent': 3, 'marvelous': 3, 'nice': 3,
+    'optimistic': 2, 'outstanding': 5, 'paradise': 3, 'passion': 1, 'peace': 2,
+    'peaceful': 2, 'perfect': 3, 'play': 1, 'pleasant': 3, 'please': 1, 'pleased': 3,
+    'popular': 3, 'positive': 2, 'praise': 3, 'pretty': 1, 'pride': 2, 'progress': 2,
+    'promise': 1, 'proud': 2, 'recommend': 2, 'relief': 1, 'remarkable': 2, 'rescue': 2,
+    'respect': 2, 'reward': 2, 'rich': 2, 'safe': 1, 'satisfied': 2, 'smart': 1, 'smile': 2,
+    'solid': 2, 'spectacular': 2, 'splendid': 3, 'strong': 2, 'stunning': 4, 'success': 2,
+    'successful': 3, 'super': 3, 'superb': 5, 'support': 2, 'sweet': 2, 'terrific': 4,
+    'thank': 2, 'thanks': 2, 'thrilled': 5, 'thrilling': 3, 'top': 2, 'triumph': 4,
+    'trust': 1, 'useful': 2, 'valuable': 2, 'victory': 3, 'vibrant': 3, 'welcome': 2,
+    'win': 4, 'winner': 4, 'wonderful': 4, 'worth': 2, 'wow': 4, 'yay': 2,
+
+    // Negative
+    'abandon': -2, 'abuse': -3, 'accident': -2, 'afraid': -2, 'aggressive': -2,
+    'agony': -3, 'alarm': -2, 'alone': -2, 'anger': -3, 'angry': -3, 'anxious': -2,
+    'annoying': -2, 'attack': -1, 'awful': -3, 'bad': -3, 'betray': -3, 'bitter': -2,
+    'blame': -2, 'bleak': -2, 'boring': -3, 'broken': -1, 'brutal': -3, 'burden': -2,
+    'catastrophe': -3, 'chaos': -2, 'collapse': -2, 'conflict': -2, 'confused': -2,
+    'corrupt': -3, 'crash': -2, 'crisis': -3, 'critical': -2, 'cruel': -3, 'cry': -1,
+    'damage': -3, 'danger': -2, 'dangerous': -2, 'dead': -3, 'death': -2, 'defeat': -2,
+    'denied': -2, 'depressed': -2, 'desperate': -3, 'destroy': -3, 'destruction': -3,
+    'devastating': -2, 'die': -3, 'difficult': -1, 'disappointed': -2, 'disaster': -2,
+    'disgusting': -3, 'doubt': -1, 'dread': -2, 'dull': -2, 'enemy': -2, 'evil': -3,
+    'fail': -2, 'failure': -2, 'fake': -3, 'fear': -2, 'fight': -1, 'fire': -2,
+    'fraud': -4, 'frightening': -3, 'furious': -3, 'grief': -2, 'guilty': -3, 'harm': -2,
+    'hate': -3, 'hatred': -3, 'horrible': -3, 'horror': -3, 'hostile': -2, 'hurt': -2,
+    'ignore': -1, 'ill': -2, 'injury': -2, 'kill': -3, 'killed': -3, 'lonely': -2,
+    'lose': -3, 'loss': -3, 'lost': -3, 'mad': -3, 'mess': -2, 'miserable': -3,
+    'miss': -2, 'mistake': -2, 'murder': -2, 'nasty': -3, 'negative': -2, 'nightmare': -3,
+    'pain': -2, 'painful': -2, 'panic': -3, 'pathetic': -2, 'poor': -2, 'problem': -2,
+    'rage': -2, 'reject': -1, 'risk': -2, 'ruin': -2, 'sad': -2, 'scandal': -3,
+    'scared': -2, 'scream': -2, 'shame': -2, 'shock': -2, 'shocking': -2, 'sick': -2,
+    'sorrow': -2, 'sorry': -1, 'stress': -1, 'struggle': -2, 'stupid': -2, 'suffer': -2,
+    'suffering': -2, 'suicide': -2, 'terrible': -3, 'terrified': -3, 'terror': -3,
+    'threat': -2, 'tragedy': -2, 'tragic': -2, 'trouble': -2, 'ugly': -3, 'unfair': -2,
+    'unhappy': -2, 'upset': -2, 'useless': -2, 'victim': -3, 'violence': -3, 'violent': -3,
+    'war': -2, 'warning': -3, 'waste': -1, 'weak': -2, 'worry': -3, 'worse': -3,
+    'worst': -3, 'worthless': -2, 'wrong': -2
+};
+
+// Intensifiers (+) and dampeners (-) that scale the next sentiment word
+const TONE_BOOSTERS = {
+    'absolutely': 0.293, 'completely': 0.293, 'deeply': 0.293, 'enormously': 0.293,
+    'entirely': 0.293, 'especially': 0.293, 'exceptionally': 0.293, 'extremely': 0.293,
+    'fully': 0.293, 'greatly': 0.293, 'highly': 0.293, 'hugely': 0.293, 'incredibly': 0.293,
+    'really': 0.293, 'remarkably': 0.293, 'so': 0.293, 'such': 0.293, 'too': 0.293,
+    'totally': 0.293, 'truly': 0.293, 'utterly': 0.293, 'very': 0.293, 'most': 0.293,
+    'more': 0.293, 'super': 0.293,
+    'barely': -0.293, 'hardly': -0.293, 'kinda': -0.293, 'less': -0.293, 'little': -0.293,
+    'marginally': -0.293, 'occasionally': -0.293, 'partly': -0.293, 'scarcely': -0.293,
+    'slightly': -0.293, 'somewhat': -0.293, 'sort': -0.293
+};
+
+// Words that flip the sentiment of the next few words
+const TONE_NEGATIONS = [
+    'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'nowhere',
+    'cannot', 'without', 'aint', 'isnt', 'arent', 'wasnt', 'werent', 'dont', 'doesnt',
+    'didnt', 'cant', 'couldnt', 'wont', 'wouldnt', 'shouldnt', 'hasnt', 'havent', 'hadnt'
+];
+
+const ToneLexicon = {
+    // VADER constants
+    negationScalar: -0.74,   // Negated words keep about three quarters of their strength, flipped
+    capsIncrement: 0.733,    // ALL-CAPS sentiment words in mixed-case text
+    exclamationIncrement: 0.292,
+    questionIncrement: 0.18,
+    normalizationAlpha: 15,  // Controls how quickly the compound score approaches ±1
+
+    /**
+     * Splits a sentence into lower-case word tokens (apostrophes removed: "don't" -> "dont")
+     * @param {string} text - Sentence text
+     * @returns {array} Tokens ({word, isCaps})
+     */
+    tokenize: function(text) {
+        return (text.match(/[\p{L}\p{N}'’]+/gu) || []).map(raw => ({
+            word: raw.toLowerCase().replace(/['’]/g, ''),
+            isCaps: raw.length > 1 && raw === raw.toUpperCase() && /\p{Lu}/u.test(raw)
+        }));
+    },
+
+    /**
+     * Looks up a word's valence, trying simple inflections ("destroyed" -> "destroy")
+     * @param {string} word - Lower-case word
+     * @returns {number|undefined} Valence, or undefined if the word isn't in the list
+     */
+    lookup: function(word) {
+        if (TONE_WORDS[word] !== undefined) {
+            return TONE_WORDS[word];
+        }
+
+        const stems = [
+            word.replace(/ies$/, 'y'),
+            word.replace(/ied$/, 'y'),
+            word.replace(/es$/, ''),
+            word.replace(/s$/, ''),
+            word.replace(/ed$/, ''),
+            word.replace(/d$/, ''),
+            word.replace(/ing$/, ''),
+            word.replace(/ing$/, 'e'),
+            word.replace(/ly$/, '')
+        ];
+        const stem = stems.find(candidate => candidate !== word && TONE_WORDS[candidate] !== undefined);
+
+        return stem !== undefined ? TONE_WORDS[stem] : undefined;
+    },
+
+    /**
+     * Scores a sentence's tone
+     * @param {string} text - Sentence text
+     * @returns {object} {compound (-1..1), intensity (0..1), matches (sentiment words found)}
+     */
+    score: function(text = '') {
+        const tokens = this.tokenize(text);
+        // Emphasis from capitals only counts when the sentence isn't shouted throughout
+        const isMixedCase = tokens.some(token => !token.isCaps);
+        const butIndex = tokens.findIndex(token => token.word === 'but');
+        const valences = [];
+
+        tokens.forEach((token, index) => {
+            let valence = this.lookup(token.word);
+            if (valence === undefined) {
+                return;
+            }
+
+            // Capitalized sentiment words count more
+            if (token.isCaps && isMixedCase) {
+                valence += Math.sign(valence) * this.capsIncrement;
+            }
+
+            // Intensifiers and dampeners up to three words back, fading with distance
+            for (let back = 1; back <= 3 && index - back >= 0; back++) {
+                const boost = TONE_BOOSTERS[tokens[index - back].word];
+                if (boost !== undefined) {
+                    valence += Math.sign(valence) * boost * (1 - 0.05 * (back - 1));
+                }
+            }
+
+            // Negation up to three words back ("not good", "never really happy")
+            for (let back = 1; back <= 3 && index - back >= 0; back++) {
+                if (TONE_NEGATIONS.includes(tokens[index - back].word)) {
+                    valence *= this.negationScalar;
+                    break;
+                }
+            }
+
+            // "but" shifts weight to the clause that follows it
+            if (butIndex >= 0) {
+                valence *= index < butIndex ? 0.5 : 1.5;
+            }
+
+            valences.push(valence);
+        });
+
+        let sum = valences.reduce((total, valence) => total + valence, 0);
+
+        // Punctuation emphasis pushes the score further from neutral
+        const exclamations = Math.min((text.match(/!/g) || []).length, 4);
+        const questions = (text.match(/\?/g) || []).length;
+        let emphasis = exclamations * this.exclamationIncrement;
+        if (questions > 1) {
+            emphasis += Math.min(questions, 3) * this.questionIncrement;
+        }
+        if (sum !== 0) {
+            sum += Math.sign(sum) * emphasis;
+        }
+
+        const compound = sum / Math.sqrt(sum * sum + this.normalizationAlpha);
+
+        // Intensity also rises with emphasis on neutral-sounding sentences
+        const intensity = Math.min(1, Math.abs(compound) + (sum === 0 ? emphasis * 0.5 : 0));
+
+        return {
+            compound: compound,
+            intensity: intensity,
+            matches: valences.length
+        };
+    },
+
+    /**
+     * Estimates how hard a sentence is to read from its length and word length
+     * @param {string} text - Sentence text
+     * @returns {number} Complexity from 0 (short, simple words) to 1 (long, dense)
+     */
+    getComplexity: function(text = '') {
+        const words = text.match(/[\p{L}\p{N}'’]+/gu) || [];
+        if (words.length === 0) {
+            return 0;
+        }
+
+        // Syllables are approximated by vowel groups (one per word at least)
+        const syllables = words.reduce((total, word) =>
+            total + Math.max(1, (word.toLowerCase().match(/[aeiouy]+/g) || []).length), 0);
+        const syllablesPerWord = syllables / words.length;
+        const clauseMarks = (text.match(/[,;:()—–]/g) || []).length;
+
+        const lengthFactor = Math.min(1, words.length / CONFIG.content.maxSentenceLength);
+        const wordFactor = Math.min(1, Math.max(0, (syllablesPerWord - 1) / 1.5));
+        const clauseFactor = Math.min(0.2, clauseMarks * 0.05);
+
+        return Math.min(1, lengthFactor * 0.45 + wordFactor * 0.45 + clauseFactor);
+    },
+
+    /**
+     * Scores a sentence on the three tone dimensions
+     * Neutral, factual sentences get low arousal so their platforms stay nearly flat
+     * @param {string} text - Sentence text
+     * @returns {object} Tone ({valence: -1..1, arousal: 0..1, complexity: 0..1}, two decimal places)
+     */
+    analyze: function(text = '') {
+        const { compound, intensity } = this.score(text);
+        const round = value => Math.round(value * 100) / 100;
+
+        return {
+            valence: round(compound),
+            arousal: round(0.15 + intensity * 0.85),
+            complexity: round(this.getComplexity(text))
+        };
+    }
+};
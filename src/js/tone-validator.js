@@ -0,0 +1,235 @@
+/**
+ * WordSurf - Tone Validator
+ * Parses and validates tone scores returned by a language model
+ *
+ * Valid scores look like { id, valence: -1..1, arousal: 0..1, complexity: 0..1 }.
+ * Small overshoots are clamped; values far outside their range, non-numbers,
+ * unknown IDs and duplicates are rejected and reported as errors so a repair
+ * request can be sent.
+ */
+
+// Score fields and their ranges
+const TONE_FIELDS = [
+    { name: 'valence', min: -1, max: 1 },
+    { name: 'arousal', min: 0, max: 1 },
+    { name: 'complexity', min: 0, max: 1 }
+];
+
+// Most missing IDs listed in a single error message
+const MAX_LISTED_IDS = 20;
+
+const ToneValidator = {
+    /**
+     * Extracts JSON from a model response, tolerating code fences and surrounding prose
+     * @param {string} content - Raw response text
+     * @returns {object} {data} on success or {error} describing why nothing could be parsed
+     */
+    parse: function(content) {
+        if (typeof content !== 'string' || !content.trim()) {
+            return { error: 'Response was empty' };
+        }
+
+        let text = content.trim();
+
+        // ```json ... ``` fences
+        const fence = text.match(/```[a-zA-Z]*\s*([\s\S]*?)```/);
+        if (fence) {
+            text = fence[1].trim();
+        }
+
+        try {
+            return { data: JSON.parse(text) };
+        } catch (error) {
+            // Fall through and look for JSON inside surrounding prose
+        }
+
+        const start = text.search(/[\[{]/);
+        const end = Math.max(text.lastIndexOf(']'), text.lastIndexOf('}'));
+        if (start < 0 || end <= start) {
+            return { error: 'Response did not contain JSON' };
+        }
+
+        try {
+            return { data: JSON.parse(text.slice(start, end + 1)) };
+        } catch (error) {
+            return { error: `Response was not valid JSON (${error.message})` };
+        }
+    },
+
+    /**
+     * Validates a model response against the tone schema
+     * @param {string} content - Raw response text
+     * @param {array} sentences - Sentences ({id, text}) the scores should cover
+     * @returns {object} {scores, errors} where each score is
+     *                   {id, sentence, valence, arousal, complexity, source, issue}
+     *                   (source is 'model' or 'model-clamped')
+     */
+    check: function(content, sentences) {
+        const parsed = this.parse(content);
+        if (parsed.error) {
+            return { scores: [], errors: [parsed.error] };
+        }
+
+        // Accept a wrapper object such as { "scores": [...] }
+        let items = parsed.data;
+        if (!Array.isArray(items)) {
+            items = items && typeof items === 'object' ?
+                Object.values(items).find(Array.isArray) : null;
+            if (!items) {
+                return { scores: [], errors: ['Response was not a JSON array'] };
+            }
+        }
+
+        const knownIds = new Set(sentences.map(sentence => sentence.id));
+        const seenIds = new Set();
+        const scores = [];
+        const errors = [];
+
+        items.forEach((item, index) => {
+            const label = item && item.id !== undefined ? `Sentence "${item.id}"` : `Item ${index}`;
+
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                errors.push(`${label} is not an object`);
+                return;
+            }
+
+            const id = item.id !== undefined ? String(item.id) : undefined;
+
+            if (id === undefined && typeof item.sentence !== 'string') {
+                errors.push(`${label} has no "id"`);
+                return;
+            }
+            if (id !== undefined && !knownIds.has(id)) {
+                errors.push(`${label} is not one of the requested ids`);
+                return;
+            }
+            if (id !== undefined && seenIds.has(id)) {
+                errors.push(`${label} appears more than once`);
+                return;
+            }
+
+            const score = this.checkFields(item, label, errors);
+            if (!score) {
+                return;
+            }
+
+            score.id = id;
+            score.sentence = item.sentence;
+            if (id !== undefined) {
+                seenIds.add(id);
+            }
+            scores.push(score);
+        });
+
+        const missing = this.findMissing(scores, sentences);
+        if (missing) {
+            errors.push(missing);
+        }
+
+        return { scores: scores, errors: errors };
+    },
+
+    /**
+     * Describes which sentences have no score
+     * @param {array} scores - Validated scores
+     * @param {array} sentences - Sentences ({id}) the scores should cover
+     * @returns {string|null} Error message, or null if every sentence is covered
+     */
+    findMissing: function(scores, sentences) {
+        // Scores matched by text (no id) may cover some of the missing IDs
+        const scoredIds = new Set(scores.map(score => score.id));
+        const textOnlyScores = scores.filter(score => score.id === undefined).length;
+        const missingIds = sentences
+            .map(sentence => sentence.id)
+            .filter(id => !scoredIds.has(id));
+
+        if (missingIds.length <= textOnlyScores) {
+            return null;
+        }
+
+        const listed = missingIds.slice(0, MAX_LISTED_IDS).join(', ');
+        const more = missingIds.length > MAX_LISTED_IDS ? ` and ${missingIds.length - MAX_LISTED_IDS} more` : '';
+        return `Missing scores for ids: ${listed}${more}`;
+    },
+
+    /**
+     * Checks the numeric fields of one score
+     * @param {object} item - Score from the response
+     * @param {string} label - Label for error messages
+     * @param {array} errors - Error list to add to
+     * @returns {object|null} Score with clamped values, or null if it was rejected
+     */
+    checkFields: function(item, label, errors) {
+        const score = { source: 'model' };
+        const clamped = [];
+
+        for (const field of TONE_FIELDS) {
+            const value = typeof item[field.name] === 'string' ? Number(item[field.name]) : item[field.name];
+            const range = `${field.min} to ${field.max}`;
+
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${label}: "${field.name}" must be a number from ${range}`);
+                return null;
+            }
+
+            // Far outside the range usually means a different scale (e.g. 0-10): reject
+            const tolerance = (field.max - field.min) / 2;
+            if (value < field.min - tolerance || value > field.max + tolerance) {
+                errors.push(`${label}: "${field.name}" is ${value}, expected ${range}`);
+                return null;
+            }
+
+            score[field.name] = Math.max(field.min, Math.min(field.max, value));
+            if (score[field.name] !== value) {
+                clamped.push(`${field.name} ${value} clamped to ${score[field.name]}`);
+            }
+        }
+
+        if (clamped.length > 0) {
+            score.source = 'model-clamped';
+            score.issue = clamped.join('; ');
+        }
+
+        return score;
+    },
+
+    /**
+     * Combines a first response with its repair: valid first-pass scores are kept
+     * and the repair fills in the rest
+     * @param {object} original - Result of check() for the first response
+     * @param {object} repaired - Result of check() for the repair response
+     * @param {array} sentences - Sentences ({id}) the scores should cover
+     * @returns {object} {scores, errors} (errors are those left after the repair)
+     */
+    combine: function(original, repaired, sentences) {
+        const originalIds = new Set(original.scores.map(score => score.id).filter(Boolean));
+
+        const repairedScores = repaired.scores
+            .filter(score => !score.id || !originalIds.has(score.id))
+            .map(score => ({
+                ...score,
+                source: 'model-repaired',
+                issue: score.issue ? `repaired; ${score.issue}` : 'repaired'
+            }));
+
+        const scores = original.scores.concat(repairedScores);
+
+        // The repair may leave out sentences the first response already covered
+        const errors = repaired.errors.filter(error => !error.startsWith('Missing scores'));
+        const missing = this.findMissing(scores, sentences);
+        if (missing) {
+            errors.push(missing);
+        }
+
+        return { scores: scores, errors: errors };
+    },
+
+    /**
+     * Builds the follow-up message asking the model to fix its response
+     * @param {array} errors - Validation errors
+     * @returns {string} Repair request
+     */
+    buildRepairPrompt: function(errors) {
+        return CONFIG.content.toneRepairPrompt.replace('{errors}', errors.map(error => `- ${error}`).join('\n'));
+    }
+};
@@ -0,0 +1,316 @@
+/**
+ * WordSurf - World
+ * World mode: pages crawled from one site become levels, and the links
+ * between them become a map the player moves through. A page unlocks once a
+ * page linked to it has been surfed; progress is kept per page in localStorage.
+ */
+
+// localStorage key prefix for per-page progress (one entry per world)
+const WORLD_PROGRESS_PREFIX = 'wordsurf.world.';
+
+const World = {
+    // Current world ({url, title, pages, edges}), or null
+    // pages: [{id, url, title, text, markdown, anchors, depth, neighbours}], edges: [[id, id]]
+    world: null,
+
+    // Progress by page URL ({completed, bestScore, perfectSurfs, plays, completedAt})
+    progress: {},
+
+    // ID of the page being played (-1 when no world page is the current level)
+    currentPage: -1,
+
+    /**
+     * Crawls a site and builds its world
+     * @param {string} url - Start URL
+     * @returns {Promise<object>} World
+     */
+    load: async function(url) {
+        const crawl = await ContentPipeline.crawlSite(url);
+        const world = this.build(crawl);
+
+        if (world.pages.length === 0) {
+            throw new Error('The crawl found no readable pages');
+        }
+
+        this.world = world;
+        this.progress = this.loadProgress();
+        this.currentPage = -1;
+
+        return world;
+    },
+
+    /**
+     * Builds a world from a crawl: same-site pages (within CONFIG.crawl.world.maxPages)
+     * joined by the links between them
+     * @param {object} crawl - Crawl ({url, pages})
+     * @returns {object} World
+     */
+    build: function(crawl) {
+        const origin = new URL(crawl.url).origin;
+        const idsByUrl = new Map();
+        const pages = [];
+
+        crawl.pages.forEach(page => {
+            const url = this.normalizeUrl(page.url);
+            if (!url || new URL(url).origin !== origin || idsByUrl.has(url) || !page.text) {
+                return;
+            }
+            if (pages.length >= CONFIG.crawl.world.maxPages) {
+                return;
+            }
+
+            idsByUrl.set(url, pages.length);
+            pages.push({
+                id: pages.length,
+                url: url,
+                title: page.title || url,
+                text: page.text,
+                markdown: page.markdown || '',
+                anchors: page.anchors,
+                depth: page.depth || 0,
+                links: page.links || [],
+                referrer: page.referrer,
+                neighbours: []
+            });
+        });
+
+        // Links between crawled pages become edges (both directions are one edge)
+        const edgeKeys = new Set();
+        const addEdge = (a, b) => {
+            if (a === undefined || b === undefined || a === b) {
+                return;
+            }
+            const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+            if (!edgeKeys.has(key)) {
+                edgeKeys.add(key);
+                pages[a].neighbours.push(b);
+                pages[b].neighbours.push(a);
+            }
+        };
+
+        pages.forEach(page => {
+            page.links.forEach(link => addEdge(page.id, idsByUrl.get(this.normalizeUrl(link))));
+            if (page.referrer) {
+                addEdge(page.id, idsByUrl.get(this.normalizeUrl(page.referrer)));
+            }
+        });
+
+        // Every page must be reachable; pages the crawl reached some other way hang off the start page
+        let unreached = this.assignDepths(pages);
+        while (unreached.length > 0) {
+            addEdge(0, unreached[0]);
+            unreached = this.assignDepths(pages);
+        }
+
+        pages.forEach(page => {
+            delete page.links;
+            delete page.referrer;
+        });
+
+        return {
+            url: pages.length > 0 ? pages[0].url : this.normalizeUrl(crawl.url),
+            title: pages.length > 0 ? pages[0].title : crawl.url,
+            pages: pages,
+            edges: Array.from(edgeKeys).map(key => key.split('-').map(Number))
+        };
+    },
+
+    /**
+     * Sets each page's depth to its distance in hops from the start page
+     * @param {array} pages - World pages (modified in place)
+     * @returns {array} IDs of pages the start page can't reach
+     */
+    assignDepths: function(pages) {
+        if (pages.length === 0) {
+            return [];
+        }
+
+        pages.forEach(page => {
+            page.depth = Infinity;
+        });
+        pages[0].depth = 0;
+
+        const queue = [pages[0]];
+        while (queue.length > 0) {
+            const page = queue.shift();
+            page.neighbours.forEach(id => {
+                if (pages[id].depth === Infinity) {
+                    pages[id].depth = page.depth + 1;
+                    queue.push(pages[id]);
+                }
+            });
+        }
+
+        return pages.filter(page => page.depth === Infinity).map(page => page.id);
+    },
+
+    /**
+     * Normalizes a page URL so the same page always maps to one node
+     * (no fragment, no trailing slash except for the site root)
+     * @param {string} url - Page URL
+     * @returns {string} Normalized URL, or '' if it can't be parsed
+     */
+    normalizeUrl: function(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.hash = '';
+            if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+                parsed.pathname = parsed.pathname.slice(0, -1);
+            }
+            return parsed.href;
+        } catch (error) {
+            return '';
+        }
+    },
+
+    /**
+     * Lays pages out in columns by depth
+     * @returns {array} Positions ({x, y}, each 0-1) indexed by page ID
+     */
+    getLayout: function() {
+        if (!this.world) {
+            return [];
+        }
+
+        const columns = [];
+        this.world.pages.forEach(page => {
+            columns[page.depth] = columns[page.depth] || [];
+            columns[page.depth].push(page.id);
+        });
+
+        const positions = [];
+        columns.forEach((ids, depth) => {
+            ids.forEach((id, row) => {
+                positions[id] = {
+                    x: columns.length > 1 ? depth / (columns.length - 1) : 0.5,
+                    y: (row + 1) / (ids.length + 1)
+                };
+            });
+        });
+
+        return positions;
+    },
+
+    /**
+     * Checks whether a page has been surfed
+     * @param {number} id - Page ID
+     * @returns {boolean} True once the page's level has been finished
+     */
+    isCompleted: function(id) {
+        const page = this.world && this.world.pages[id];
+        return !!(page && this.progress[page.url] && this.progress[page.url].completed);
+    },
+
+    /**
+     * Checks whether a page can be played: the start page always can, other
+     * pages once a page linked to them has been surfed
+     * @param {number} id - Page ID
+     * @returns {boolean} True if the page is unlocked
+     */
+    isUnlocked: function(id) {
+        const page = this.world && this.world.pages[id];
+        if (!page) {
+            return false;
+        }
+
+        return id === 0 || this.isCompleted(id) || page.neighbours.some(neighbour => this.isCompleted(neighbour));
+    },
+
+    /**
+     * Makes a page the current level
+     * @param {number} id - Page ID
+     * @returns {object|null} The page, or null if it doesn't exist or is locked
+     */
+    select: function(id) {
+        if (!this.isUnlocked(id)) {
+            return null;
+        }
+
+        this.currentPage = id;
+        return this.world.pages[id];
+    },
+
+    /**
+     * Checks whether a world page is being played
+     * @returns {boolean} True while the current level is a world page
+     */
+    isActive: function() {
+        return !!this.world && this.currentPage >= 0;
+    },
+
+    /**
+     * Records the result of the current page's level
+     * @param {number} score - Score for the level
+     * @param {number} perfectSurfs - Perfect surfs in the level
+     */
+    recordResult: function(score, perfectSurfs) {
+        if (!this.isActive()) {
+            return;
+        }
+
+        const url = this.world.pages[this.currentPage].url;
+        const previous = this.progress[url] || { bestScore: 0, perfectSurfs: 0, plays: 0 };
+
+        this.progress[url] = {
+            completed: true,
+            bestScore: Math.max(previous.bestScore, score),
+            perfectSurfs: Math.max(previous.perfectSurfs, perfectSurfs),
+            plays: previous.plays + 1,
+            completedAt: new Date().toISOString()
+        };
+
+        this.saveProgress();
+    },
+
+    /**
+     * Counts surfed pages
+     * @returns {object} {completed, total}
+     */
+    getSummary: function() {
+        const pages = this.world ? this.world.pages : [];
+
+        return {
+            completed: pages.filter(page => this.isCompleted(page.id)).length,
+            total: pages.length
+        };
+    },
+
+    /**
+     * Gets the localStorage key for the current world's progress
+     * @returns {string} Storage key
+     */
+    getStorageKey: function() {
+        return WORLD_PROGRESS_PREFIX + Utils.hashString(this.world.url);
+    },
+
+    /**
+     * Loads the current world's progress from localStorage
+     * @returns {object} Progress by page URL
+     */
+    loadProgress: function() {
+        try {
+            return JSON.parse(localStorage.getItem(this.getStorageKey())) || {};
+        } catch (error) {
+            console.error('Error reading world progress:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Saves the current world's progress to localStorage
+     */
+    saveProgress: function() {
+        try {
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(this.progress));
+        } catch (error) {
+            console.error('Error saving world progress:', error);
+        }
+    },
+
+    /**
+     * Stops playing the world (the crawled world and its progress are kept)
+     */
+    stop: function() {
+        this.currentPage = -1;
+    }
+};
@@ -0,0 +1,69 @@
+/**
+ * Tests for server/content-extractor.js against saved pages in test/fixtures/pages
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ContentExtractor = require('../server/content-extractor');
+
+const readPage = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', name), 'utf8');
+
+test('extracts url, title and article text from a news page', () => {
+    const content = ContentExtractor.extract(readPage('news-article.html'), 'https://news.example/tide-pools');
+
+    assert.equal(content.url, 'https://news.example/tide-pools');
+    assert.equal(content.title, 'Tide Pools Are Warming Faster Than Expected');
+    assert.match(content.text, /^Tide Pools Are Warming Faster Than Expected\n\n/);
+    assert.match(content.text, /warms almost twice as fast as the open sea beside it\./);
+    assert.match(content.text, /less common — a change the team first noticed in a 2019 survey\./);
+    assert.match(content.text, /“The shore is telling us something we should have heard years ago,” said the study’s lead author/);
+    assert.deepEqual(content.links, ['https://news.example/science/urchins-2019']);
+});
+
+test('drops navigation, cookie banners, sidebars and footers', () => {
+    const content = ContentExtractor.extract(readPage('news-article.html'), 'https://news.example/tide-pools');
+
+    ['Opinion', 'cookie', 'Related stories', 'Kelp forests', 'newsletter', 'All rights reserved', 'Tracking pixel', 'font-family']
+        .forEach(boilerplate => assert.ok(!content.text.includes(boilerplate), `"${boilerplate}" should be removed`));
+});
+
+test('finds the article in a page without semantic elements', () => {
+    const content = ContentExtractor.extract(readPage('blog-post.html'), 'https://blog.example/2024/beans');
+
+    assert.equal(content.url, 'https://blog.example/2024/beans');
+    assert.equal(content.title, 'Notes from the Allotment');
+    assert.match(content.text, /The broad beans went in on a cold Saturday in February/);
+    assert.match(content.text, /Broad beans: Aquadulce Claudia, sown direct\n\nOnion sets: Sturon, planted under fleece/);
+
+    ['Archive', 'stores cookies', 'Categories', 'Powered by', 'inside a script']
+        .forEach(boilerplate => assert.ok(!content.text.includes(boilerplate), `"${boilerplate}" should be removed`));
+});
+
+test('leaves out-of-range character references as they are', () => {
+    const content = ContentExtractor.extract(readPage('blog-post.html'), 'https://blog.example/2024/beans');
+
+    assert.match(content.text, /an old recipe file: &#x110000; and A and 🥕 & it should not break/);
+    assert.equal(ContentExtractor.decodeEntities('&#1114112;&#x10FFFF;'), '&#1114112;\u{10FFFF}');
+});
+
+test('falls back to the URL as title and copes with empty input', () => {
+    const content = ContentExtractor.extract('', 'https://empty.example/');
+
+    assert.equal(content.title, 'https://empty.example/');
+    assert.equal(content.text, '');
+});
+
+test('skips script contents case-insensitively without re-scanning the page', () => {
+    const html = '<p>Before the scripts, a paragraph long enough to count as content.</p>' +
+        '<SCRIPT>var x = "<p>hidden</p>";</Script>'.repeat(5000) +
+        '<p>After the scripts, another paragraph long enough to count as content.</p>';
+
+    const started = Date.now();
+    const content = ContentExtractor.extract(html, 'https://scripts.example/');
+
+    assert.ok(Date.now() - started < 2000, 'parsing should stay linear in the number of scripts');
+    assert.ok(!content.text.includes('hidden'));
+    assert.match(content.text, /After the scripts/);
+});
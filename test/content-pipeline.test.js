@@ -0,0 +1,83 @@
+/**
+ * Tests for src/js/content-pipeline.js: structured sentences get IDs, whichever
+ * provider structured them, so tone scores land on the right sentence
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/load-scripts');
+
+const { plain } = loadScripts;
+
+const PIPELINE_SCRIPTS = [
+    'config.js', 'utils.js', 'text-segmenter.js', 'markdown.js', 'tone-lexicon.js', 'tone-validator.js',
+    'readability.js', 'keywords.js', 'content-filter.js', 'content-providers.js', 'article-cache.js', 'content-pipeline.js'
+];
+
+// A BEM AI response: paragraphs and sentences, without sentence IDs
+const BEM_RESPONSE = {
+    source: { url: 'https://example.com/bem', title: 'BEM' },
+    paragraphs: [
+        { index: 0, text: 'First calm sentence. Second calm sentence.', sentences: [
+            { text: 'First calm sentence.', length: 3 },
+            { text: 'Second calm sentence.', length: 3 }
+        ] },
+        { index: 1, text: 'A third one, at last!', sentences: [
+            { text: 'A third one, at last!', length: 5 }
+        ] }
+    ]
+};
+
+test('sentences from the BEM AI structure provider get their own IDs and tone scores', async () => {
+    const sandbox = loadScripts(PIPELINE_SCRIPTS, {
+        fetch: async () => ({ ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(BEM_RESPONSE)) })
+    });
+    sandbox.run('CONFIG.pipeline.providers.structure = "bemAI"; CONFIG.debug.enabled = false;');
+    const ContentPipeline = sandbox.get('ContentPipeline');
+
+    const article = { url: 'https://example.com/bem', title: 'BEM', text: 'First calm sentence. Second calm sentence. A third one, at last!' };
+    const structured = await ContentPipeline.structureContent(article, article.url);
+    const ids = structured.paragraphs.flatMap(paragraph => paragraph.sentences.map(sentence => sentence.id));
+    assert.deepEqual(plain(ids), ['s0', 's1', 's2']);
+
+    const scores = [
+        { id: 's0', valence: 0.1, arousal: 0.2, complexity: 0.3 },
+        { id: 's1', valence: 0.4, arousal: 0.5, complexity: 0.6 },
+        { id: 's2', valence: 0.7, arousal: 0.8, complexity: 0.9 }
+    ];
+    const scored = ContentPipeline.mergeToneScores(structured, scores);
+    const tones = scored.paragraphs.flatMap(paragraph => paragraph.sentences.map(sentence => [sentence.text, sentence.tone.arousal, sentence.toneSource]));
+
+    assert.deepEqual(plain(tones), [
+        ['First calm sentence.', 0.2, 'model'],
+        ['Second calm sentence.', 0.5, 'model'],
+        ['A third one, at last!', 0.8, 'model']
+    ]);
+});
+
+test('assignSentenceIds keeps provider IDs and replaces missing or repeated ones', () => {
+    const ContentPipeline = loadScripts(PIPELINE_SCRIPTS).get('ContentPipeline');
+    const structured = {
+        paragraphs: [
+            { sentences: [{ id: 's1', text: 'a' }, { text: 'b' }] },
+            { sentences: [{ id: 's1', text: 'c' }, { id: 'intro', text: 'd' }, { text: 'e' }] }
+        ]
+    };
+
+    ContentPipeline.assignSentenceIds(structured);
+
+    const ids = structured.paragraphs.flatMap(paragraph => paragraph.sentences.map(sentence => sentence.id));
+    assert.deepEqual(ids, ['s1', 's2', 's3', 'intro', 's4']);
+    assert.equal(new Set(ids).size, ids.length);
+});
+
+test('sentences structured locally keep their IDs', () => {
+    const ContentPipeline = loadScripts(PIPELINE_SCRIPTS).get('ContentPipeline');
+    const structured = ContentPipeline.fallbackStructureContent({ text: 'One here. Two here. Three here.', format: 'text' }, 'https://example.com/');
+    const before = structured.paragraphs.flatMap(paragraph => paragraph.sentences.map(sentence => sentence.id));
+
+    ContentPipeline.assignSentenceIds(structured);
+
+    const after = structured.paragraphs.flatMap(paragraph => paragraph.sentences.map(sentence => sentence.id));
+    assert.deepEqual(plain(after), plain(before));
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for src/js/curve-families.js: every family, over a spread of tones and
+ * platform lengths, starts at 0, stays finite, has no jumps and is never
+ * steeper than CONFIG.curves.maxSlope
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/load-scripts');
+
+const { plain } = loadScripts;
+
+const sandbox = loadScripts(['config.js', 'utils.js', 'curve-families.js']);
+const CONFIG = sandbox.get('CONFIG');
+const CurveFamilies = sandbox.get('CurveFamilies');
+
+const TONES = [
+    { valence: -1, arousal: 1, complexity: 1 },
+    { valence: 0, arousal: 0.5, complexity: 0.5 },
+    { valence: 1, arousal: 0, complexity: 0 },
+    { valence: 0.8, arousal: 0.9, complexity: 0.2 },
+    { valence: -0.6, arousal: 0.1, complexity: 0.9 }
+];
+const LENGTHS = [1.5, 6, 20, 60];
+
+// Samples per platform, finer than CurveFamilies measures with, so a jump between its samples shows up
+const SAMPLES = 800;
+const TOLERANCE = 1e-6;
+
+/**
+ * Builds a family's surface for a tone, as GeometryGenerator.getToneShape would
+ * @param {string} name - Family name
+ * @param {object} tone - Tone ({valence, arousal, complexity})
+ * @param {number} length - Platform length
+ * @param {string} seed - Seed for the spline's control points
+ * @returns {Function} Surface (x -> y)
+ */
+const createSurface = (name, tone, length, seed) => {
+    const frequency = 1 + tone.complexity * (CONFIG.tone.maxFrequency - 1);
+    return CurveFamilies.createSurface(length, {
+        family: name,
+        params: CurveFamilies.getParams(name, tone, frequency, seed),
+        amplitude: tone.arousal * CONFIG.tone.maxAmplitude,
+        climb: CONFIG.tone.baseClimb + tone.valence * CONFIG.tone.valenceClimb
+    });
+};
+
+Object.keys(CurveFamilies.families).forEach(name => {
+    test(`${name}: profile starts at 0 and stays within -1 to 1`, () => {
+        TONES.forEach((tone, toneIndex) => {
+            const frequency = 1 + tone.complexity * (CONFIG.tone.maxFrequency - 1);
+            const params = CurveFamilies.getParams(name, tone, frequency, `tone-${toneIndex}`);
+            const profile = (u) => CurveFamilies.families[name].profile(u, params);
+
+            assert.ok(Math.abs(profile(0)) <= TOLERANCE, `tone ${toneIndex}: starts at ${profile(0)}`);
+            for (let i = 0; i <= SAMPLES; i++) {
+                const value = profile(i / SAMPLES);
+                assert.ok(value >= -1 - TOLERANCE && value <= 1 + TOLERANCE, `tone ${toneIndex}: ${value} at u = ${i / SAMPLES}`);
+            }
+        });
+    });
+
+    test(`${name}: surfaces are continuous, finite and within the slope limit`, () => {
+        TONES.forEach((tone, toneIndex) => {
+            LENGTHS.forEach(length => {
+                const surface = createSurface(name, tone, length, `tone-${toneIndex}`);
+                const where = `tone ${toneIndex}, length ${length}`;
+
+                assert.ok(Math.abs(surface(0)) <= TOLERANCE, `${where}: starts at ${surface(0)}`);
+
+                const step = length / SAMPLES;
+                let previous = surface(0);
+                let steepest = 0;
+                for (let i = 1; i <= SAMPLES; i++) {
+                    const value = surface(i * step);
+                    assert.ok(Number.isFinite(value), `${where}: not finite at x = ${i * step}`);
+                    steepest = Math.max(steepest, Math.abs(value - previous) / step);
+                    previous = value;
+                }
+
+                // A slope a little over the limit is sampling error; a jump is far over it
+                assert.ok(steepest <= CONFIG.curves.maxSlope * 1.05 + TOLERANCE,
+                    `${where}: slope ${steepest.toFixed(2)} exceeds ${CONFIG.curves.maxSlope}`);
+            });
+        });
+    });
+});
+
+test('picks families from tone', () => {
+    assert.equal(CurveFamilies.pick({ valence: 0, arousal: 0.5, complexity: 0.9 }), 'spline');
+    assert.equal(CurveFamilies.pick({ valence: 0.5, arousal: 0.9, complexity: 0.2 }), 'kicker');
+    assert.equal(CurveFamilies.pick({ valence: -0.5, arousal: 0.9, complexity: 0.2 }), 'halfPipe');
+    assert.equal(CurveFamilies.pick({ valence: 0, arousal: 0.1, complexity: 0.2 }), 'ramp');
+    assert.equal(CurveFamilies.pick({ valence: -0.5, arousal: 0.1, complexity: 0.2 }), 'stepDown');
+    assert.equal(CurveFamilies.pick({ valence: 0.5, arousal: 0.5, complexity: 0.2 }), 'swell');
+    assert.equal(CurveFamilies.pick({ valence: 0, arousal: 0.5, complexity: 0.2 }), 'sine');
+});
+
+test('CONFIG.curves.family forces one family', (t) => {
+    t.after(() => { CONFIG.curves.family = 'auto'; });
+    CONFIG.curves.family = 'ramp';
+
+    assert.equal(CurveFamilies.pick({ valence: 0, arousal: 0.5, complexity: 0.9 }), 'ramp');
+});
+
+test('spline control points depend only on the seed', () => {
+    const tone = { valence: 0, arousal: 0.5, complexity: 0.8 };
+
+    assert.deepEqual(plain(CurveFamilies.getParams('spline', tone, 2, 's4')), plain(CurveFamilies.getParams('spline', tone, 2, 's4')));
+    assert.notDeepEqual(plain(CurveFamilies.getParams('spline', tone, 2, 's4')), plain(CurveFamilies.getParams('spline', tone, 2, 's5')));
+});
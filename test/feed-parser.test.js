@@ -0,0 +1,99 @@
+/**
+ * Tests for src/js/feed-parser.js and src/js/playlist.js over the sample feeds
+ * in src/assets/feeds (DOMParser comes from jsdom, as the browser provides it)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const loadScripts = require('./helpers/load-scripts');
+
+const { plain } = loadScripts;
+
+const FEED_DIR = path.join(__dirname, '..', 'src', 'assets', 'feeds');
+const readFeed = (name) => fs.readFileSync(path.join(FEED_DIR, name), 'utf8');
+
+/**
+ * Loads the feed and playlist scripts, serving the sample feeds from the page's origin
+ * @returns {object} Sandbox from loadScripts
+ */
+const loadFeedScripts = () => loadScripts(
+    ['config.js', 'utils.js', 'text-segmenter.js', 'content-filter.js', 'article-cache.js', 'feed-parser.js', 'playlist.js'],
+    {
+        DOMParser: new JSDOM('').window.DOMParser,
+        fetch: async (url) => {
+            const name = new URL(url).pathname.split('/').pop();
+            return { ok: true, status: 200, text: async () => readFeed(name) };
+        }
+    }
+);
+
+test('parses the RSS sample feed: titles, links and skipped entries', () => {
+    const sandbox = loadFeedScripts();
+    const FeedParser = sandbox.get('FeedParser');
+    const sandboxWords = (text) => sandbox.get('Utils').countWords(text);
+    const feed = FeedParser.parse(readFeed('sample-feed.xml'), 'http://localhost:8080/src/assets/feeds/sample-feed.xml');
+
+    assert.equal(feed.title, 'WordSurf Sample Feed');
+    assert.deepEqual(plain(feed.entries.map(entry => [entry.title, entry.url])), [
+        ['Surfing', 'https://en.wikipedia.org/wiki/Surfing'],
+        ['Ocean', 'https://en.wikipedia.org/wiki/Ocean'],
+        ['Wind wave', 'https://en.wikipedia.org/wiki/Wind_wave'],
+        ['Surfboard (relative link)', 'https://en.wikipedia.org/wiki/Surfboard']
+    ]);
+
+    const [surfing, ocean, windWave] = feed.entries;
+    assert.equal(surfing.published, 'Mon, 05 Jan 2026 09:00:00 GMT');
+    assert.ok(surfing.words > sandboxWords(surfing.summary), 'full content should be counted over the summary');
+    assert.equal(ocean.summary, 'The ocean is the body of salt water that covers approximately 70.8% of Earth.');
+    assert.equal(windWave.words, 0);
+});
+
+test('parses the Atom sample feed: alternate links and HTML titles', () => {
+    const FeedParser = loadFeedScripts().get('FeedParser');
+    const feed = FeedParser.parse(readFeed('sample-atom.xml'), 'http://localhost:8080/src/assets/feeds/sample-atom.xml');
+
+    assert.equal(feed.title, 'WordSurf Sample Atom Feed');
+    assert.deepEqual(plain(feed.entries.map(entry => [entry.title, entry.url, entry.published])), [
+        ['Web browser', 'https://en.wikipedia.org/wiki/Web_browser', '2026-01-08T09:00:00Z'],
+        ['Artificial intelligence', 'https://en.wikipedia.org/wiki/Artificial_intelligence', '2026-01-07T09:00:00Z']
+    ]);
+    assert.ok(feed.entries[1].words > 20);
+});
+
+test('refuses documents that are not feeds', () => {
+    const FeedParser = loadFeedScripts().get('FeedParser');
+
+    assert.throws(() => FeedParser.parse('<rss><channel>', 'http://localhost:8080/broken.xml'), /not valid XML/);
+    assert.throws(() => FeedParser.parse('<html><body>Hi</body></html>', 'http://localhost:8080/page.xml'), /Not an RSS or Atom feed/);
+});
+
+test('plays the feed entries in feed order', async (t) => {
+    const sandbox = loadFeedScripts();
+    const Playlist = sandbox.get('Playlist');
+    t.mock.method(sandbox.get('ArticleCache'), 'list', async () => []);
+
+    const feed = await Playlist.load('src/assets/feeds/sample-feed.xml');
+    assert.equal(feed.url, 'http://localhost:8080/src/assets/feeds/sample-feed.xml');
+
+    // As the game does: play an entry, then move on to the next one until there is none
+    const played = [];
+    for (let entry = Playlist.select(0); entry; entry = Playlist.getNextEntry() && Playlist.select(Playlist.currentIndex + 1)) {
+        played.push(entry.title);
+        Playlist.markPlayed();
+    }
+
+    assert.deepEqual(played, ['Surfing', 'Ocean', 'Wind wave', 'Surfboard (relative link)']);
+    assert.ok(Playlist.entries.every(item => item.played && !item.cached));
+});
+
+test('leaves out playlist entries the safety policy refuses', async (t) => {
+    const sandbox = loadFeedScripts();
+    const Playlist = sandbox.get('Playlist');
+    t.mock.method(sandbox.get('ArticleCache'), 'list', async () => []);
+    sandbox.run('CONFIG.safety.blockedDomains = ["wikipedia.org"]');
+
+    await assert.rejects(Playlist.load('src/assets/feeds/sample-atom.xml'), /safety policy blocks every entry/);
+});
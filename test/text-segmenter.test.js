@@ -0,0 +1,53 @@
+/**
+ * Tests for src/js/text-segmenter.js over a multilingual corpus
+ * (test/fixtures/segmenter-corpus.json), with Intl.Segmenter and with the
+ * rule-based fallback used by browsers without it
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const corpus = require('./fixtures/segmenter-corpus.json');
+const loadScripts = require('./helpers/load-scripts');
+
+const { plain } = loadScripts;
+
+const sandbox = loadScripts(['config.js', 'utils.js', 'text-segmenter.js']);
+const TextSegmenter = sandbox.get('TextSegmenter');
+
+const paths = [
+    { name: 'Intl.Segmenter', intl: true },
+    { name: 'rule-based fallback', intl: false }
+];
+
+paths.forEach(({ name, intl }) => {
+    test(`splits the sentence corpus (${name})`, (t) => {
+        t.mock.method(TextSegmenter, 'hasIntlSegmenter', () => intl);
+
+        corpus.sentences.forEach(({ locale, text, expected }) => {
+            assert.deepEqual(plain(TextSegmenter.splitSentences(text, locale)), expected, `${locale}: ${text}`);
+        });
+    });
+
+    test(`segments words in scripts without spaces (${name})`, (t) => {
+        t.mock.method(TextSegmenter, 'hasIntlSegmenter', () => intl);
+
+        corpus.words.forEach(({ locale, text }) => {
+            const words = TextSegmenter.splitWords(text, locale);
+            assert.ok(words.length > 1, `${locale}: ${text} should be more than one word`);
+            assert.equal(TextSegmenter.joinWords(words), text);
+        });
+    });
+});
+
+test('treats "no." as an abbreviation only before a number', () => {
+    assert.equal(TextSegmenter.endsWithAbbreviation('She said no.', 'en', ' We left anyway.'), false);
+    assert.equal(TextSegmenter.endsWithAbbreviation('See No.', 'en', ' 5 in the catalogue.'), true);
+    assert.equal(TextSegmenter.endsWithAbbreviation('See Dr.', 'en', ' Smith.'), true);
+});
+
+test('detects the locale from the script', () => {
+    assert.equal(TextSegmenter.detectLocale('今日は晴れです。'), 'ja');
+    assert.equal(TextSegmenter.detectLocale('我们去公园吧'), 'zh');
+    assert.equal(TextSegmenter.detectLocale('Привет, мир.'), 'ru');
+    assert.equal(TextSegmenter.detectLocale('Plain English text.'), 'en');
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for src/js/tone-lexicon.js and lexicon tone assignment: the same text
+ * must always produce the same tone, curviness and so the same level
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const loadScripts = require('./helpers/load-scripts');
+
+const { plain } = loadScripts;
+
+const PIPELINE_SCRIPTS = [
+    'config.js', 'utils.js', 'text-segmenter.js', 'markdown.js', 'tone-lexicon.js', 'tone-validator.js',
+    'readability.js', 'keywords.js', 'content-filter.js', 'content-providers.js', 'article-cache.js', 'content-pipeline.js'
+];
+
+const ARTICLE = {
+    url: 'https://example.com/storm',
+    title: 'The Storm',
+    format: 'text',
+    text: 'The storm was absolutely terrifying! Nobody expected the river to rise so fast.\n\n' +
+        'The town council met on Tuesday. It was not a good meeting, and people were really angry.\n\n' +
+        'By Friday the sun came out. Everyone felt wonderful, relieved and very grateful?'
+};
+
+/**
+ * Makes Math.random return a different sequence on every call, so any use of it shows up
+ * @param {object} sandbox - Sandbox from loadScripts
+ */
+const scrambleRandom = (sandbox) => {
+    let seed = Date.now() % 997;
+    sandbox.get('Math').random = () => {
+        seed = (seed * 7919 + 13) % 1009;
+        return seed / 1009;
+    };
+};
+
+test('analyze gives the same tone for the same text', () => {
+    const sandbox = loadScripts(PIPELINE_SCRIPTS);
+    const ToneLexicon = sandbox.get('ToneLexicon');
+    scrambleRandom(sandbox);
+
+    ARTICLE.text.split(/(?<=[.!?])\s+/).forEach(sentence => {
+        const first = plain(ToneLexicon.analyze(sentence));
+        const second = plain(ToneLexicon.analyze(sentence));
+        assert.deepEqual(second, first, sentence);
+    });
+});
+
+test('analyze scores in range, with negation and intensifiers', () => {
+    const ToneLexicon = loadScripts(PIPELINE_SCRIPTS).get('ToneLexicon');
+
+    ['', 'The meeting is on Tuesday.', 'This is absolutely terrifying!!!', 'I am not happy.'].forEach(text => {
+        const tone = ToneLexicon.analyze(text);
+        assert.ok(tone.valence >= -1 && tone.valence <= 1, `valence of "${text}"`);
+        assert.ok(tone.arousal >= 0 && tone.arousal <= 1, `arousal of "${text}"`);
+        assert.ok(tone.complexity >= 0 && tone.complexity <= 1, `complexity of "${text}"`);
+    });
+
+    assert.ok(ToneLexicon.analyze('I am happy.').valence > 0);
+    assert.ok(ToneLexicon.analyze('I am not happy.').valence < 0);
+    assert.ok(ToneLexicon.analyze('I am very happy.').valence > ToneLexicon.analyze('I am happy.').valence);
+    assert.ok(ToneLexicon.analyze('The meeting is on Tuesday.').arousal < ToneLexicon.analyze('This is absolutely terrifying!').arousal);
+});
+
+test('lexicon tone assignment builds the same level from the same text', () => {
+    // Separate sandboxes, like two page loads
+    const levels = [0, 1].map(() => {
+        const sandbox = loadScripts(PIPELINE_SCRIPTS);
+        scrambleRandom(sandbox);
+
+        const ContentPipeline = sandbox.get('ContentPipeline');
+        const structured = ContentPipeline.fallbackStructureContent(ARTICLE, ARTICLE.url);
+        return plain(ContentPipeline.assignLexiconTone(structured).paragraphs);
+    });
+
+    assert.deepEqual(levels[1], levels[0]);
+
+    const sentences = levels[0].flatMap(paragraph => paragraph.sentences);
+    assert.equal(sentences.length, 6);
+    sentences.forEach(sentence => {
+        assert.equal(sentence.toneSource, 'lexicon');
+        assert.ok(sentence.curviness >= 0 && sentence.curviness <= 10, `curviness of "${sentence.text}"`);
+    });
+});